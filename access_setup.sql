@@ -0,0 +1,310 @@
+-- Role-based document visibility. Each document has an access level, each
+-- profile a role, and row level security plus the retrieval RPCs only return
+-- documents the signed-in user may see, so restricted passages never reach
+-- the prompt of a user who can't read them.
+-- Run after categories_setup.sql.
+
+-- 1. Roles. is_admin is kept in sync with role = 'admin' for existing checks.
+alter table profiles
+add column if not exists role text not null default 'student'
+check (role in ('student', 'faculty', 'admin'));
+
+update profiles set role = 'admin' where is_admin and role <> 'admin';
+
+-- Only admins may change roles: the "Users can update own profile." policy
+-- would otherwise let anyone make themselves an admin
+create or replace function guard_profile_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_caller_is_admin boolean := auth.uid() is null -- service role and SQL editor
+    or exists ( select 1 from profiles where id = auth.uid() and is_admin = true );
+begin
+  if tg_op = 'INSERT' then
+    if not v_caller_is_admin then
+      new.role := 'student';
+    elsif new.is_admin and new.role <> 'admin' then
+      new.role := 'admin';
+    end if;
+  else
+    if (new.role is distinct from old.role or new.is_admin is distinct from old.is_admin)
+       and not v_caller_is_admin then
+      raise exception 'Only admins can change roles';
+    end if;
+
+    -- Setting only is_admin still works, as before roles existed
+    if new.role is not distinct from old.role and new.is_admin is distinct from old.is_admin then
+      new.role := case when new.is_admin then 'admin' when old.role = 'admin' then 'student' else old.role end;
+    end if;
+  end if;
+
+  new.is_admin := new.role = 'admin';
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_guard_role on profiles;
+create trigger profiles_guard_role
+before insert or update on profiles
+for each row execute function guard_profile_role();
+
+-- 2. Access levels. Existing documents stay visible to every signed-in user.
+alter table documents
+add column if not exists access_level text not null default 'students'
+check (access_level in ('public', 'students', 'faculty', 'admin'));
+
+create index if not exists idx_documents_access_level on documents(access_level);
+
+-- Access levels chosen at upload time are carried by the ingestion job
+alter table ingestion_jobs
+add column if not exists access_level text not null default 'students'
+check (access_level in ('public', 'students', 'faculty', 'admin'));
+
+-- The caller's role; 'anonymous' when not signed in
+create or replace function current_user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when auth.uid() is null then 'anonymous'
+    else coalesce((select role from profiles where id = auth.uid()), 'student')
+  end;
+$$;
+
+-- Whether the caller may read documents with the given access level
+create or replace function can_view_access_level(p_access_level text)
+returns boolean
+language sql
+stable
+as $$
+  select case p_access_level
+    when 'public' then true
+    when 'students' then current_user_role() in ('student', 'faculty', 'admin')
+    when 'faculty' then current_user_role() in ('faculty', 'admin')
+    when 'admin' then current_user_role() = 'admin'
+    else false
+  end;
+$$;
+
+-- 3. Row level security
+drop policy if exists "Documents are viewable by everyone." on documents;
+drop policy if exists "Documents are viewable by their audience." on documents;
+create policy "Documents are viewable by their audience."
+  on documents for select
+  using ( can_view_access_level(access_level) );
+
+-- Editing titles, tags, dates and access levels
+drop policy if exists "Only admins can update documents." on documents;
+create policy "Only admins can update documents."
+  on documents for update
+  using (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+drop policy if exists "Document chunks are viewable by everyone." on document_chunks;
+drop policy if exists "Document chunks are viewable by their document's audience." on document_chunks;
+create policy "Document chunks are viewable by their document's audience."
+  on document_chunks for select
+  using (
+    exists (
+      select 1 from documents
+      where documents.id = document_chunks.document_id
+        and can_view_access_level(documents.access_level)
+    )
+  );
+
+-- Admins also read originals of queued files that aren't documents yet
+drop policy if exists "Authenticated users can read original documents." on storage.objects;
+drop policy if exists "Users can read originals of documents they can view." on storage.objects;
+create policy "Users can read originals of documents they can view."
+  on storage.objects for select
+  using (
+    bucket_id = 'documents'
+    and (
+      exists ( select 1 from public.profiles where id = auth.uid() and is_admin = true )
+      or exists (
+        select 1 from public.documents
+        where documents.storage_path = storage.objects.name
+          and public.can_view_access_level(documents.access_level)
+      )
+    )
+  );
+
+-- 4. Retrieval filters by the caller's role explicitly, rather than relying
+-- only on row level security
+create or replace function match_documents (
+  query_embedding vector(768),
+  match_threshold float,
+  match_count int,
+  user_department text default null,
+  department_mode text default 'boost'
+)
+returns table (
+  id bigint,
+  title text,
+  file_type text,
+  category text,
+  department text,
+  valid_from date,
+  valid_until date,
+  chunk_id bigint,
+  chunk_index int,
+  page_number int,
+  content text,
+  similarity float
+)
+language plpgsql
+as $$
+begin
+  return query
+  select
+    documents.id,
+    documents.title,
+    documents.file_type,
+    documents.category,
+    documents.department,
+    documents.valid_from,
+    documents.valid_until,
+    document_chunks.id as chunk_id,
+    document_chunks.chunk_index,
+    document_chunks.page_number,
+    document_chunks.content,
+    1 - (document_chunks.embedding <=> query_embedding) as similarity
+  from document_chunks
+  join documents on documents.id = document_chunks.document_id
+  where document_is_current(documents)
+    and can_view_access_level(documents.access_level)
+    and (
+      department_mode <> 'restrict' or user_department is null
+      or documents.department is null or documents.department = user_department
+    )
+    and 1 - (document_chunks.embedding <=> query_embedding) > match_threshold
+  order by document_chunks.embedding <=> query_embedding
+  limit match_count;
+end;
+$$;
+
+create or replace function hybrid_search_documents (
+  query_text text,
+  query_embedding vector(768),
+  match_count int,
+  match_threshold float default 0.5,
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50,
+  user_department text default null,
+  department_mode text default 'boost',
+  department_weight float default 1
+)
+returns table (
+  id bigint,
+  title text,
+  file_type text,
+  category text,
+  department text,
+  valid_from date,
+  valid_until date,
+  chunk_id bigint,
+  chunk_index int,
+  page_number int,
+  content text,
+  similarity float,
+  keyword_rank int,
+  semantic_rank int,
+  score float
+)
+language plpgsql
+as $$
+declare
+  -- Match any of the question's terms rather than all of them
+  keyword_query tsquery := to_tsquery(
+    'english',
+    coalesce(array_to_string(tsvector_to_array(to_tsvector('english', query_text)), ' | '), '')
+  );
+begin
+  return query
+  with current_chunks as (
+    select document_chunks.*
+    from document_chunks
+    join documents on documents.id = document_chunks.document_id
+    where document_is_current(documents)
+      and can_view_access_level(documents.access_level)
+      and (
+        department_mode <> 'restrict' or user_department is null
+        or documents.department is null or documents.department = user_department
+      )
+  ),
+  semantic as (
+    select
+      current_chunks.id,
+      row_number() over (order by current_chunks.embedding <=> query_embedding)::int as rank
+    from current_chunks
+    where 1 - (current_chunks.embedding <=> query_embedding) > match_threshold
+    order by current_chunks.embedding <=> query_embedding
+    limit match_count * 4
+  ),
+  keyword as (
+    select
+      current_chunks.id,
+      row_number() over (
+        order by ts_rank_cd(current_chunks.fts, keyword_query)
+          + word_similarity(query_text, current_chunks.content) desc
+      )::int as rank
+    from current_chunks
+    where current_chunks.fts @@ keyword_query
+       or query_text <% current_chunks.content
+    order by rank
+    limit match_count * 4
+  ),
+  fused as (
+    select
+      coalesce(semantic.id, keyword.id) as id,
+      keyword.rank as keyword_rank,
+      semantic.rank as semantic_rank,
+      coalesce(semantic_weight / (rrf_k + semantic.rank), 0.0)
+        + coalesce(full_text_weight / (rrf_k + keyword.rank), 0.0) as score
+    from semantic
+    full outer join keyword on semantic.id = keyword.id
+  ),
+  -- The department boost counts like a top rank in a third result list
+  boosted as (
+    select
+      fused.*,
+      fused.score + case
+        when department_mode = 'boost' and documents.department = user_department
+          then department_weight / (rrf_k + 1)
+        else 0.0
+      end as boosted_score
+    from fused
+    join document_chunks on document_chunks.id = fused.id
+    join documents on documents.id = document_chunks.document_id
+  )
+  select
+    documents.id,
+    documents.title,
+    documents.file_type,
+    documents.category,
+    documents.department,
+    documents.valid_from,
+    documents.valid_until,
+    document_chunks.id as chunk_id,
+    document_chunks.chunk_index,
+    document_chunks.page_number,
+    document_chunks.content,
+    1 - (document_chunks.embedding <=> query_embedding) as similarity,
+    boosted.keyword_rank,
+    boosted.semantic_rank,
+    boosted.boosted_score as score
+  from boosted
+  join document_chunks on document_chunks.id = boosted.id
+  join documents on documents.id = document_chunks.document_id
+  order by boosted.boosted_score desc
+  limit match_count;
+end;
+$$;
@@ -0,0 +1,79 @@
+-- Admin-editable bot persona and generation settings.
+-- Every save creates a new row (version); exactly one row is published and used by chat-handler.
+
+-- 1. Create the bot_settings table
+create table if not exists bot_settings (
+  id bigint generated by default as identity primary key,
+  bot_name text not null default 'BroFessor',
+  persona text not null,
+  tone text,
+  refusal_message text not null,
+  -- [{ "question": "who made you", "answer": "..." }]
+  canned_answers jsonb not null default '[]'::jsonb,
+  temperature float not null default 0.7 check (temperature between 0 and 2),
+  max_tokens int not null default 1000 check (max_tokens between 1 and 4000),
+  notes text,
+  is_published boolean not null default false,
+  created_by uuid references auth.users,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  published_at timestamp with time zone
+);
+
+-- At most one published version
+create unique index if not exists idx_bot_settings_published
+on bot_settings(is_published) where is_published;
+
+-- 2. Row Level Security
+alter table bot_settings enable row level security;
+
+create policy "Published bot settings are viewable by everyone."
+  on bot_settings for select
+  using ( is_published );
+
+create policy "Admins can view all bot settings."
+  on bot_settings for select
+  using (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+create policy "Only admins can insert bot settings."
+  on bot_settings for insert
+  with check (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+-- 3. Publish a version (unpublishing the current one)
+create or replace function publish_bot_settings(p_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists ( select 1 from profiles where id = auth.uid() and is_admin = true ) then
+    raise exception 'Only admins can publish bot settings';
+  end if;
+
+  if not exists ( select 1 from bot_settings where id = p_id ) then
+    raise exception 'Bot settings version % does not exist', p_id;
+  end if;
+
+  update bot_settings set is_published = false where is_published;
+  update bot_settings
+  set is_published = true, published_at = timezone('utc'::text, now())
+  where id = p_id;
+end;
+$$;
+
+-- 4. Seed the persona that used to be hard-coded in chat-handler
+insert into bot_settings (bot_name, persona, tone, refusal_message, canned_answers, notes, is_published, published_at)
+select
+  'BroFessor',
+  'You are a helpful and enthusiastic college assistant chatbot.',
+  'Friendly and encouraging, like a senior student helping a junior.',
+  'If you don''t know something or it''s not in the documents, say so and advise them to contact the college administration.',
+  '[{"question": "who developed you, who made you, or who created you", "answer": "Those Backbenchers from ISE B section Pratham, Prashanth, Varun and Sumeeth developed me and I love them ❤️"}]'::jsonb,
+  'Initial version',
+  true,
+  timezone('utc'::text, now())
+where not exists (select 1 from bot_settings);
@@ -0,0 +1,214 @@
+-- Document categories, tags and department scoping. Admins tag documents with a
+-- category and (for department-specific documents) a department; retrieval
+-- boosts or restricts to the asking student's department.
+-- Run after expiry_setup.sql.
+
+-- 1. Document tags. Documents without a department apply to the whole college.
+alter table documents
+add column if not exists category text,
+add column if not exists department text,
+add column if not exists tags text[] not null default '{}';
+
+create index if not exists idx_documents_category on documents(category);
+create index if not exists idx_documents_department on documents(department);
+create index if not exists idx_documents_tags on documents using gin (tags);
+
+-- Tags chosen at upload time are carried by the ingestion job
+alter table ingestion_jobs
+add column if not exists category text,
+add column if not exists department text;
+
+-- 2. Students' departments, chosen at signup or from the chat page
+alter table profiles
+add column if not exists department text;
+
+create or replace function public.handle_new_user()
+returns trigger as $$
+begin
+  insert into public.profiles (id, email, full_name, department, is_admin)
+  values (
+    new.id,
+    new.email,
+    new.raw_user_meta_data->>'full_name',
+    nullif(new.raw_user_meta_data->>'department', ''),
+    false
+  );
+  return new;
+end;
+$$ language plpgsql security definer;
+
+-- 3. Retrieval takes the student's department. In 'boost' mode passages from
+-- that department's documents rank higher; in 'restrict' mode other
+-- departments' documents are skipped. College-wide documents are always searched.
+-- The signatures change, so the functions are dropped first.
+drop function if exists match_documents(vector, float, int);
+drop function if exists hybrid_search_documents(text, vector, int, float, float, float, int);
+
+create or replace function match_documents (
+  query_embedding vector(768),
+  match_threshold float,
+  match_count int,
+  user_department text default null,
+  department_mode text default 'boost'
+)
+returns table (
+  id bigint,
+  title text,
+  file_type text,
+  category text,
+  department text,
+  valid_from date,
+  valid_until date,
+  chunk_id bigint,
+  chunk_index int,
+  page_number int,
+  content text,
+  similarity float
+)
+language plpgsql
+as $$
+begin
+  return query
+  select
+    documents.id,
+    documents.title,
+    documents.file_type,
+    documents.category,
+    documents.department,
+    documents.valid_from,
+    documents.valid_until,
+    document_chunks.id as chunk_id,
+    document_chunks.chunk_index,
+    document_chunks.page_number,
+    document_chunks.content,
+    1 - (document_chunks.embedding <=> query_embedding) as similarity
+  from document_chunks
+  join documents on documents.id = document_chunks.document_id
+  where document_is_current(documents)
+    and (
+      department_mode <> 'restrict' or user_department is null
+      or documents.department is null or documents.department = user_department
+    )
+    and 1 - (document_chunks.embedding <=> query_embedding) > match_threshold
+  order by document_chunks.embedding <=> query_embedding
+  limit match_count;
+end;
+$$;
+
+create or replace function hybrid_search_documents (
+  query_text text,
+  query_embedding vector(768),
+  match_count int,
+  match_threshold float default 0.5,
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50,
+  user_department text default null,
+  department_mode text default 'boost',
+  department_weight float default 1
+)
+returns table (
+  id bigint,
+  title text,
+  file_type text,
+  category text,
+  department text,
+  valid_from date,
+  valid_until date,
+  chunk_id bigint,
+  chunk_index int,
+  page_number int,
+  content text,
+  similarity float,
+  keyword_rank int,
+  semantic_rank int,
+  score float
+)
+language plpgsql
+as $$
+declare
+  -- Match any of the question's terms rather than all of them
+  keyword_query tsquery := to_tsquery(
+    'english',
+    coalesce(array_to_string(tsvector_to_array(to_tsvector('english', query_text)), ' | '), '')
+  );
+begin
+  return query
+  with current_chunks as (
+    select document_chunks.*
+    from document_chunks
+    join documents on documents.id = document_chunks.document_id
+    where document_is_current(documents)
+      and (
+        department_mode <> 'restrict' or user_department is null
+        or documents.department is null or documents.department = user_department
+      )
+  ),
+  semantic as (
+    select
+      current_chunks.id,
+      row_number() over (order by current_chunks.embedding <=> query_embedding)::int as rank
+    from current_chunks
+    where 1 - (current_chunks.embedding <=> query_embedding) > match_threshold
+    order by current_chunks.embedding <=> query_embedding
+    limit match_count * 4
+  ),
+  keyword as (
+    select
+      current_chunks.id,
+      row_number() over (
+        order by ts_rank_cd(current_chunks.fts, keyword_query)
+          + word_similarity(query_text, current_chunks.content) desc
+      )::int as rank
+    from current_chunks
+    where current_chunks.fts @@ keyword_query
+       or query_text <% current_chunks.content
+    order by rank
+    limit match_count * 4
+  ),
+  fused as (
+    select
+      coalesce(semantic.id, keyword.id) as id,
+      keyword.rank as keyword_rank,
+      semantic.rank as semantic_rank,
+      coalesce(semantic_weight / (rrf_k + semantic.rank), 0.0)
+        + coalesce(full_text_weight / (rrf_k + keyword.rank), 0.0) as score
+    from semantic
+    full outer join keyword on semantic.id = keyword.id
+  ),
+  -- The department boost counts like a top rank in a third result list
+  boosted as (
+    select
+      fused.*,
+      fused.score + case
+        when department_mode = 'boost' and documents.department = user_department
+          then department_weight / (rrf_k + 1)
+        else 0.0
+      end as boosted_score
+    from fused
+    join document_chunks on document_chunks.id = fused.id
+    join documents on documents.id = document_chunks.document_id
+  )
+  select
+    documents.id,
+    documents.title,
+    documents.file_type,
+    documents.category,
+    documents.department,
+    documents.valid_from,
+    documents.valid_until,
+    document_chunks.id as chunk_id,
+    document_chunks.chunk_index,
+    document_chunks.page_number,
+    document_chunks.content,
+    1 - (document_chunks.embedding <=> query_embedding) as similarity,
+    boosted.keyword_rank,
+    boosted.semantic_rank,
+    boosted.boosted_score as score
+  from boosted
+  join document_chunks on document_chunks.id = boosted.id
+  join documents on documents.id = document_chunks.document_id
+  order by boosted.boosted_score desc
+  limit match_count;
+end;
+$$;
@@ -0,0 +1,126 @@
+-- Split documents into overlapping passages, each with its own embedding.
+-- Run after vector_setup.sql and update_rpc.sql.
+
+-- 1. Create the document_chunks table
+create table if not exists document_chunks (
+  id bigint generated by default as identity primary key,
+  document_id bigint references documents(id) on delete cascade not null,
+  chunk_index int not null,
+  content text not null,
+  page_number int,
+  start_offset int,
+  end_offset int,
+  embedding vector(768),
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  unique (document_id, chunk_index)
+);
+
+create index if not exists idx_document_chunks_document
+on document_chunks(document_id);
+
+create index if not exists idx_document_chunks_embedding
+on document_chunks using hnsw (embedding vector_cosine_ops);
+
+-- 2. Row Level Security (same rules as the documents table)
+alter table document_chunks enable row level security;
+
+create policy "Document chunks are viewable by everyone."
+  on document_chunks for select
+  using ( true );
+
+create policy "Only admins can insert document chunks."
+  on document_chunks for insert
+  with check (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+create policy "Only admins can delete document chunks."
+  on document_chunks for delete
+  using (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+-- 3. Carry existing whole-document embeddings over as a single chunk each,
+-- so documents uploaded before chunking stay searchable. The chunk keeps only
+-- the first 1000 characters, a normal passage size, so prompts and citations
+-- stay bounded; the document is flagged for re-indexing into passages from the
+-- Admin page, which restores full coverage.
+alter table documents
+add column if not exists needs_reindex boolean not null default false;
+
+insert into document_chunks (document_id, chunk_index, content, page_number, start_offset, end_offset, embedding)
+select
+  documents.id,
+  0,
+  left(documents.content, 1000),
+  1,
+  0,
+  length(left(documents.content, 1000)),
+  documents.embedding
+from documents
+where documents.embedding is not null
+  and not exists (select 1 from document_chunks where document_chunks.document_id = documents.id);
+
+-- Also catches chunks carried over by earlier runs of this script
+update documents
+set needs_reindex = true
+where documents.embedding is not null
+  and exists (
+    select 1 from document_chunks
+    where document_chunks.document_id = documents.id
+      and document_chunks.chunk_index = 0
+      and document_chunks.embedding = documents.embedding
+  )
+  and not exists (
+    select 1 from document_chunks
+    where document_chunks.document_id = documents.id
+      and document_chunks.chunk_index > 0
+  );
+
+-- One earlier version carried the whole text over; trim those back
+update document_chunks
+set content = left(document_chunks.content, 1000),
+    end_offset = 1000
+from documents
+where document_chunks.document_id = documents.id
+  and documents.needs_reindex
+  and length(document_chunks.content) > 1000;
+
+-- 4. Re-create match_documents to search chunks and return the parent document
+drop function if exists match_documents(vector, float, int);
+
+create or replace function match_documents (
+  query_embedding vector(768),
+  match_threshold float,
+  match_count int
+)
+returns table (
+  id bigint,
+  title text,
+  file_type text,
+  chunk_id bigint,
+  chunk_index int,
+  page_number int,
+  content text,
+  similarity float
+)
+language plpgsql
+as $$
+begin
+  return query
+  select
+    documents.id,
+    documents.title,
+    documents.file_type,
+    document_chunks.id as chunk_id,
+    document_chunks.chunk_index,
+    document_chunks.page_number,
+    document_chunks.content,
+    1 - (document_chunks.embedding <=> query_embedding) as similarity
+  from document_chunks
+  join documents on documents.id = document_chunks.document_id
+  where 1 - (document_chunks.embedding <=> query_embedding) > match_threshold
+  order by document_chunks.embedding <=> query_embedding
+  limit match_count;
+end;
+$$;
@@ -0,0 +1,4 @@
+-- Keep the sources of each answer so citations survive a page reload.
+-- Each entry: { id, title, file_type, page_number, chunk_id, snippet, similarity }
+alter table chat_messages
+add column if not exists citations jsonb;
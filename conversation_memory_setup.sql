@@ -0,0 +1,40 @@
+-- Rolling summary of each conversation's earlier turns. chat-handler sends the
+-- last few exchanges verbatim and folds older ones into this summary, so long
+-- conversations stay within the model's context. The summary goes into the
+-- system prompt, so only chat-handler (with the service role) writes it.
+-- Run after conversations_setup.sql.
+
+alter table conversations
+add column if not exists summary text;
+
+-- Last chat_messages row folded into the summary; later rows are not yet in it
+alter table conversations
+add column if not exists summarized_until bigint;
+
+-- "Users can update their own conversations." must not let users write the
+-- summary or hide stored history by moving summarized_until
+create or replace function guard_conversation_summary()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- No auth.uid() means the service role or the SQL editor
+  if auth.uid() is null then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    new.summary := null;
+    new.summarized_until := null;
+  elsif new.summary is distinct from old.summary
+     or new.summarized_until is distinct from old.summarized_until then
+    raise exception 'Only chat-handler can change a conversation''s summary';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists conversations_guard_summary on conversations;
+create trigger conversations_guard_summary
+before insert or update on conversations
+for each row execute function guard_conversation_summary();
@@ -0,0 +1,77 @@
+-- Group chat_messages into named conversations per user
+
+-- 1. Create the conversations table
+create table if not exists conversations (
+  id bigint generated by default as identity primary key,
+  user_id uuid references auth.users not null,
+  title text not null default 'New conversation',
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create index if not exists idx_conversations_user_updated
+on conversations(user_id, updated_at desc);
+
+-- 2. Link messages to a conversation (deleting a conversation deletes its messages)
+alter table chat_messages
+add column if not exists conversation_id bigint references conversations(id) on delete cascade;
+
+create index if not exists idx_chat_messages_conversation
+on chat_messages(conversation_id, created_at);
+
+-- 3. Row Level Security
+alter table conversations enable row level security;
+
+create policy "Users can view their own conversations."
+  on conversations for select
+  using ( auth.uid() = user_id );
+
+create policy "Users can insert their own conversations."
+  on conversations for insert
+  with check ( auth.uid() = user_id );
+
+create policy "Users can update their own conversations."
+  on conversations for update
+  using ( auth.uid() = user_id );
+
+create policy "Users can delete their own conversations."
+  on conversations for delete
+  using ( auth.uid() = user_id );
+
+create policy "Users can delete their own messages."
+  on chat_messages for delete
+  using ( auth.uid() = user_id );
+
+-- 4. Keep conversations ordered by latest activity
+create or replace function public.touch_conversation()
+returns trigger as $$
+begin
+  update conversations
+  set updated_at = timezone('utc'::text, now())
+  where id = new.conversation_id;
+  return new;
+end;
+$$ language plpgsql security definer;
+
+drop trigger if exists on_chat_message_created on chat_messages;
+create trigger on_chat_message_created
+  after insert on chat_messages
+  for each row execute procedure public.touch_conversation();
+
+-- 5. Move existing flat histories into one conversation per user
+insert into conversations (user_id, title, created_at, updated_at)
+select user_id, 'Earlier chats', min(created_at), max(created_at)
+from chat_messages
+where conversation_id is null
+group by user_id;
+
+update chat_messages
+set conversation_id = (
+  select conversations.id
+  from conversations
+  where conversations.user_id = chat_messages.user_id
+    and conversations.title = 'Earlier chats'
+  order by conversations.id
+  limit 1
+)
+where conversation_id is null;
@@ -0,0 +1,175 @@
+-- Validity dates for time-bound documents (exam schedules, admission deadlines).
+-- Documents outside their validity window are not retrieved; chat answers
+-- mention the effective dates of their sources.
+-- Run after versioning_setup.sql.
+
+-- 1. Validity columns (both optional, inclusive)
+alter table documents
+add column if not exists valid_from date,
+add column if not exists valid_until date;
+
+alter table documents
+drop constraint if exists documents_validity_range;
+alter table documents
+add constraint documents_validity_range
+check (valid_from is null or valid_until is null or valid_from <= valid_until);
+
+create index if not exists idx_documents_valid_until
+on documents(valid_until) where valid_until is not null;
+
+-- Dates chosen at upload time are carried by the ingestion job
+alter table ingestion_jobs
+add column if not exists valid_from date,
+add column if not exists valid_until date;
+
+-- 2. Whether a document should be retrieved today: the active version, inside
+-- its validity window
+create or replace function document_is_current(doc documents)
+returns boolean
+language sql
+stable
+as $$
+  select doc.is_active
+    and (doc.valid_from is null or doc.valid_from <= current_date)
+    and (doc.valid_until is null or doc.valid_until >= current_date);
+$$;
+
+-- 3. Retrieval ignores documents that aren't current and returns their dates.
+-- The return type changes, so the functions are dropped first.
+drop function if exists match_documents(vector, float, int);
+drop function if exists hybrid_search_documents(text, vector, int, float, float, float, int);
+
+create or replace function match_documents (
+  query_embedding vector(768),
+  match_threshold float,
+  match_count int
+)
+returns table (
+  id bigint,
+  title text,
+  file_type text,
+  valid_from date,
+  valid_until date,
+  chunk_id bigint,
+  chunk_index int,
+  page_number int,
+  content text,
+  similarity float
+)
+language plpgsql
+as $$
+begin
+  return query
+  select
+    documents.id,
+    documents.title,
+    documents.file_type,
+    documents.valid_from,
+    documents.valid_until,
+    document_chunks.id as chunk_id,
+    document_chunks.chunk_index,
+    document_chunks.page_number,
+    document_chunks.content,
+    1 - (document_chunks.embedding <=> query_embedding) as similarity
+  from document_chunks
+  join documents on documents.id = document_chunks.document_id
+  where document_is_current(documents)
+    and 1 - (document_chunks.embedding <=> query_embedding) > match_threshold
+  order by document_chunks.embedding <=> query_embedding
+  limit match_count;
+end;
+$$;
+
+create or replace function hybrid_search_documents (
+  query_text text,
+  query_embedding vector(768),
+  match_count int,
+  match_threshold float default 0.5,
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50
+)
+returns table (
+  id bigint,
+  title text,
+  file_type text,
+  valid_from date,
+  valid_until date,
+  chunk_id bigint,
+  chunk_index int,
+  page_number int,
+  content text,
+  similarity float,
+  keyword_rank int,
+  semantic_rank int,
+  score float
+)
+language plpgsql
+as $$
+declare
+  -- Match any of the question's terms rather than all of them
+  keyword_query tsquery := to_tsquery(
+    'english',
+    coalesce(array_to_string(tsvector_to_array(to_tsvector('english', query_text)), ' | '), '')
+  );
+begin
+  return query
+  with current_chunks as (
+    select document_chunks.*
+    from document_chunks
+    join documents on documents.id = document_chunks.document_id
+    where document_is_current(documents)
+  ),
+  semantic as (
+    select
+      current_chunks.id,
+      row_number() over (order by current_chunks.embedding <=> query_embedding)::int as rank
+    from current_chunks
+    where 1 - (current_chunks.embedding <=> query_embedding) > match_threshold
+    order by current_chunks.embedding <=> query_embedding
+    limit match_count * 4
+  ),
+  keyword as (
+    select
+      current_chunks.id,
+      row_number() over (
+        order by ts_rank_cd(current_chunks.fts, keyword_query)
+          + word_similarity(query_text, current_chunks.content) desc
+      )::int as rank
+    from current_chunks
+    where current_chunks.fts @@ keyword_query
+       or query_text <% current_chunks.content
+    order by rank
+    limit match_count * 4
+  ),
+  fused as (
+    select
+      coalesce(semantic.id, keyword.id) as id,
+      keyword.rank as keyword_rank,
+      semantic.rank as semantic_rank,
+      coalesce(semantic_weight / (rrf_k + semantic.rank), 0.0)
+        + coalesce(full_text_weight / (rrf_k + keyword.rank), 0.0) as score
+    from semantic
+    full outer join keyword on semantic.id = keyword.id
+  )
+  select
+    documents.id,
+    documents.title,
+    documents.file_type,
+    documents.valid_from,
+    documents.valid_until,
+    document_chunks.id as chunk_id,
+    document_chunks.chunk_index,
+    document_chunks.page_number,
+    document_chunks.content,
+    1 - (document_chunks.embedding <=> query_embedding) as similarity,
+    fused.keyword_rank,
+    fused.semantic_rank,
+    fused.score
+  from fused
+  join document_chunks on document_chunks.id = fused.id
+  join documents on documents.id = document_chunks.document_id
+  order by fused.score desc
+  limit match_count;
+end;
+$$;
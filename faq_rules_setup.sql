@@ -0,0 +1,168 @@
+-- Admin-defined FAQ / intent rules with pinned Markdown answers.
+-- chat-handler evaluates active rules before retrieval; a matching rule's answer
+-- is returned as-is and its hit count is incremented.
+-- Run after vector_setup.sql (needs pgvector).
+
+-- 1. Rules
+create table if not exists faq_rules (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  -- keywords: any phrase appears in the question (case-insensitive, whole words)
+  -- regex:    any pattern matches the question (case-insensitive)
+  -- semantic: the question is similar to one of the example questions
+  match_type text not null check (match_type in ('keywords', 'regex', 'semantic')),
+  patterns text[] not null default '{}',
+  answer text not null,
+  -- Higher priority rules are tried first
+  priority int not null default 0,
+  similarity_threshold float not null default 0.85 check (similarity_threshold between 0 and 1),
+  is_active boolean not null default true,
+  hit_count bigint not null default 0,
+  last_hit_at timestamp with time zone,
+  created_by uuid references auth.users,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+-- Embedded example questions for semantic rules
+create table if not exists faq_rule_examples (
+  id bigint generated by default as identity primary key,
+  rule_id bigint references faq_rules on delete cascade not null,
+  question text not null,
+  embedding vector(768) not null
+);
+
+create index if not exists idx_faq_rule_examples_rule_id
+on faq_rule_examples(rule_id);
+
+-- 2. Row Level Security
+alter table faq_rules enable row level security;
+alter table faq_rule_examples enable row level security;
+
+create policy "Active FAQ rules are viewable by authenticated users."
+  on faq_rules for select
+  using ( is_active and auth.role() = 'authenticated' );
+
+create policy "Admins can view all FAQ rules."
+  on faq_rules for select
+  using (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+create policy "Only admins can insert FAQ rules."
+  on faq_rules for insert
+  with check (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+create policy "Only admins can update FAQ rules."
+  on faq_rules for update
+  using (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+create policy "Only admins can delete FAQ rules."
+  on faq_rules for delete
+  using (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+create policy "Only admins can view FAQ examples."
+  on faq_rule_examples for select
+  using (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+create policy "Only admins can insert FAQ examples."
+  on faq_rule_examples for insert
+  with check (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+create policy "Only admins can delete FAQ examples."
+  on faq_rule_examples for delete
+  using (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+-- 3. Keep updated_at current
+create or replace function touch_faq_rule()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := timezone('utc'::text, now());
+  return new;
+end;
+$$;
+
+drop trigger if exists faq_rules_touch on faq_rules;
+create trigger faq_rules_touch
+before update of name, match_type, patterns, answer, priority, similarity_threshold, is_active
+on faq_rules
+for each row execute function touch_faq_rule();
+
+-- 4. Best semantic rule for a question embedding. Security definer so students
+-- can match against examples they cannot read.
+create or replace function match_faq_rules (
+  query_embedding vector(768)
+)
+returns table (
+  rule_id bigint,
+  question text,
+  similarity float
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    faq_rules.id as rule_id,
+    faq_rule_examples.question,
+    1 - (faq_rule_examples.embedding <=> query_embedding) as similarity
+  from faq_rule_examples
+  join faq_rules on faq_rules.id = faq_rule_examples.rule_id
+  where faq_rules.is_active
+    and faq_rules.match_type = 'semantic'
+    and 1 - (faq_rule_examples.embedding <=> query_embedding) >= faq_rules.similarity_threshold
+  order by faq_rules.priority desc, faq_rule_examples.embedding <=> query_embedding
+  limit 1;
+$$;
+
+-- 5. Count a rule hit. Only chat-handler (service role) counts hits, so users
+-- can't inflate them.
+create or replace function record_faq_hit(p_rule_id bigint)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update faq_rules
+  set hit_count = hit_count + 1,
+      last_hit_at = timezone('utc'::text, now())
+  where id = p_rule_id and is_active;
+$$;
+
+revoke execute on function match_faq_rules(vector) from anon;
+revoke execute on function record_faq_hit(bigint) from public, anon, authenticated;
+grant execute on function record_faq_hit(bigint) to service_role;
+
+-- 6. Seed the identity question that used to be hard-coded in the Chat page
+insert into faq_rules (name, match_type, patterns, answer, priority)
+select
+  'Bot name',
+  'keywords',
+  array['what is your name', 'who are you', 'what are you called', 'your name'],
+  'Hey! I''m **BroFessor** 🎓 - your friendly college assistant bro! Hit me up with any questions about college stuff and I''ll help you out.',
+  10
+where not exists (select 1 from faq_rules where name = 'Bot name');
+
+insert into faq_rules (name, match_type, patterns, answer, priority)
+select
+  'Developers',
+  'keywords',
+  array['who developed you', 'who made you', 'who created you'],
+  'Those Backbenchers from ISE B section Pratham, Prashanth, Varun and Sumeeth developed me and I love them ❤️',
+  10
+where not exists (select 1 from faq_rules where name = 'Developers');
@@ -0,0 +1,102 @@
+-- Hybrid keyword + vector retrieval over document_chunks.
+-- Run after chunking_setup.sql. Requires pg_trgm (enabled in schema.sql).
+
+-- 1. Full-text and trigram indexes on passage text
+alter table document_chunks
+add column if not exists fts tsvector
+generated always as (to_tsvector('english', content)) stored;
+
+create index if not exists idx_document_chunks_fts
+on document_chunks using gin (fts);
+
+create index if not exists idx_document_chunks_content_trgm
+on document_chunks using gin (content gin_trgm_ops);
+
+-- 2. Rank passages by vector similarity and by keyword match separately, then
+-- merge the two rankings with reciprocal rank fusion:
+--   score = semantic_weight / (rrf_k + semantic_rank) + full_text_weight / (rrf_k + keyword_rank)
+-- Exact tokens such as course codes ("18CS51") and proper nouns are found by the
+-- keyword side even when the embedding blurs them.
+create or replace function hybrid_search_documents (
+  query_text text,
+  query_embedding vector(768),
+  match_count int,
+  match_threshold float default 0.5,
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50
+)
+returns table (
+  id bigint,
+  title text,
+  file_type text,
+  chunk_id bigint,
+  chunk_index int,
+  page_number int,
+  content text,
+  similarity float,
+  keyword_rank int,
+  semantic_rank int,
+  score float
+)
+language plpgsql
+as $$
+declare
+  -- Match any of the question's terms rather than all of them
+  keyword_query tsquery := to_tsquery(
+    'english',
+    coalesce(array_to_string(tsvector_to_array(to_tsvector('english', query_text)), ' | '), '')
+  );
+begin
+  return query
+  with semantic as (
+    select
+      document_chunks.id,
+      row_number() over (order by document_chunks.embedding <=> query_embedding)::int as rank
+    from document_chunks
+    where 1 - (document_chunks.embedding <=> query_embedding) > match_threshold
+    order by document_chunks.embedding <=> query_embedding
+    limit match_count * 4
+  ),
+  keyword as (
+    select
+      document_chunks.id,
+      row_number() over (
+        order by ts_rank_cd(document_chunks.fts, keyword_query)
+          + word_similarity(query_text, document_chunks.content) desc
+      )::int as rank
+    from document_chunks
+    where document_chunks.fts @@ keyword_query
+       or query_text <% document_chunks.content
+    order by rank
+    limit match_count * 4
+  ),
+  fused as (
+    select
+      coalesce(semantic.id, keyword.id) as id,
+      keyword.rank as keyword_rank,
+      semantic.rank as semantic_rank,
+      coalesce(semantic_weight / (rrf_k + semantic.rank), 0.0)
+        + coalesce(full_text_weight / (rrf_k + keyword.rank), 0.0) as score
+    from semantic
+    full outer join keyword on semantic.id = keyword.id
+  )
+  select
+    documents.id,
+    documents.title,
+    documents.file_type,
+    document_chunks.id as chunk_id,
+    document_chunks.chunk_index,
+    document_chunks.page_number,
+    document_chunks.content,
+    1 - (document_chunks.embedding <=> query_embedding) as similarity,
+    fused.keyword_rank,
+    fused.semantic_rank,
+    fused.score
+  from fused
+  join document_chunks on document_chunks.id = fused.id
+  join documents on documents.id = document_chunks.document_id
+  order by fused.score desc
+  limit match_count;
+end;
+$$;
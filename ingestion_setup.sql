@@ -0,0 +1,74 @@
+-- Ingestion queue for bulk and folder uploads. Each uploaded file gets a job;
+-- its original is stored first (see storage_setup.sql) so the Admin page can
+-- resume or retry the job after a reload.
+
+-- 1. Jobs
+create table if not exists ingestion_jobs (
+  id bigint generated by default as identity primary key,
+  -- Files added together (one drop or selection) share a batch
+  batch_id uuid not null,
+  file_name text not null,
+  -- Path inside a dropped folder, e.g. "2025/circulars/fees.pdf"
+  relative_path text,
+  file_type text,
+  file_size bigint,
+  storage_path text,
+  status text not null default 'queued'
+    check (status in ('queued', 'processing', 'completed', 'failed')),
+  -- Progress as a translation key and its parameters, in JSON, e.g.
+  -- {"key": "ingestion.embedding", "done": 32, "total": 80}
+  progress text,
+  -- Same format as progress; errors passed on from other services are plain text
+  error text,
+  attempts int not null default 0,
+  document_id bigint references documents on delete set null,
+  created_by uuid references auth.users,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create index if not exists idx_ingestion_jobs_status
+on ingestion_jobs(status, created_at);
+
+-- 2. Row Level Security: the queue is shared by all admins
+alter table ingestion_jobs enable row level security;
+
+create policy "Only admins can view ingestion jobs."
+  on ingestion_jobs for select
+  using (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+create policy "Only admins can insert ingestion jobs."
+  on ingestion_jobs for insert
+  with check (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+create policy "Only admins can update ingestion jobs."
+  on ingestion_jobs for update
+  using (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+create policy "Only admins can delete ingestion jobs."
+  on ingestion_jobs for delete
+  using (
+    exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+-- 3. Keep updated_at current; a processing job that stops updating was interrupted
+create or replace function touch_ingestion_job()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := timezone('utc'::text, now());
+  return new;
+end;
+$$;
+
+drop trigger if exists ingestion_jobs_touch on ingestion_jobs;
+create trigger ingestion_jobs_touch
+before update on ingestion_jobs
+for each row execute function touch_ingestion_job();
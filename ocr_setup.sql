@@ -0,0 +1,5 @@
+-- Record which pages of an uploaded PDF were read with OCR because they had no
+-- text layer (scanned notices), so admins can review them.
+-- Each entry: { "page_number": 3, "confidence": 87 } (Tesseract confidence, 0-100)
+alter table documents
+add column if not exists ocr_pages jsonb;
@@ -0,0 +1,7 @@
+-- Record the standalone query chat-handler searched the documents with, so
+-- admins can see in feedback review what a follow-up question was rewritten to.
+-- Run after conversations_setup.sql.
+
+-- Null when the question was searched as it was asked
+alter table chat_messages
+add column if not exists search_query text;
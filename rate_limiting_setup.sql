@@ -21,3 +21,108 @@ BEGIN
     WHERE window_start < NOW() - INTERVAL '1 hour';
 END;
 $$;
+
+-- Sliding-window counter: the previous window's count is weighted by how much of
+-- it still overlaps the sliding window, so bursts at a window boundary can't
+-- double the allowed rate.
+ALTER TABLE rate_limits ADD COLUMN IF NOT EXISTS previous_count INTEGER DEFAULT 0;
+
+-- Only the Edge Function (service role) touches rate_limits: RLS with no
+-- policies hides the table from the anon and authenticated API roles
+ALTER TABLE rate_limits ENABLE ROW LEVEL SECURITY;
+
+-- The first version took the caller from auth.uid() and was callable by every
+-- signed-in user, who could pass their own limits and reset their window
+DROP FUNCTION IF EXISTS check_rate_limit(TEXT, INTEGER, INTEGER);
+
+-- Record one request for a user and report whether it is allowed.
+-- Called by the chat-handler Edge Function, with the service role key, before
+-- doing any billable work.
+CREATE OR REPLACE FUNCTION check_rate_limit(
+    p_user_id UUID,
+    p_endpoint TEXT,
+    p_max_requests INTEGER,
+    p_window_seconds INTEGER
+)
+RETURNS TABLE (
+    allowed BOOLEAN,
+    remaining INTEGER,
+    retry_after_seconds INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id UUID := p_user_id;
+    v_window INTERVAL := make_interval(secs => p_window_seconds);
+    v_now TIMESTAMP WITH TIME ZONE := NOW();
+    v_row rate_limits%ROWTYPE;
+    v_elapsed FLOAT;
+    v_estimate FLOAT;
+    v_wait FLOAT;
+BEGIN
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'A user is required';
+    END IF;
+
+    IF p_max_requests IS NULL OR p_max_requests < 1
+       OR p_window_seconds IS NULL OR p_window_seconds < 1 THEN
+        RAISE EXCEPTION 'Rate limits must be positive';
+    END IF;
+
+    INSERT INTO rate_limits (user_id, endpoint, request_count, previous_count, window_start)
+    VALUES (v_user_id, p_endpoint, 0, 0, v_now)
+    ON CONFLICT (user_id, endpoint) DO NOTHING;
+
+    SELECT * INTO v_row
+    FROM rate_limits
+    WHERE user_id = v_user_id AND endpoint = p_endpoint
+    FOR UPDATE;
+
+    -- Roll the window forward
+    IF v_now - v_row.window_start >= 2 * v_window THEN
+        v_row.previous_count := 0;
+        v_row.request_count := 0;
+        v_row.window_start := v_now;
+    ELSIF v_now - v_row.window_start >= v_window THEN
+        v_row.previous_count := v_row.request_count;
+        v_row.request_count := 0;
+        v_row.window_start := v_row.window_start + v_window;
+    END IF;
+
+    v_elapsed := EXTRACT(EPOCH FROM (v_now - v_row.window_start)) / p_window_seconds;
+    v_estimate := COALESCE(v_row.previous_count, 0) * (1 - v_elapsed) + v_row.request_count;
+
+    IF v_estimate + 1 > p_max_requests THEN
+        -- Wait until the previous window has decayed enough, or until the next
+        -- window starts if the current one alone is already full
+        IF v_row.request_count + 1 <= p_max_requests AND v_row.previous_count > 0 THEN
+            v_wait := p_window_seconds * (1 - (p_max_requests - v_row.request_count - 1)::FLOAT / v_row.previous_count)
+                      - EXTRACT(EPOCH FROM (v_now - v_row.window_start));
+        ELSE
+            v_wait := p_window_seconds - EXTRACT(EPOCH FROM (v_now - v_row.window_start));
+        END IF;
+
+        UPDATE rate_limits
+        SET request_count = v_row.request_count,
+            previous_count = v_row.previous_count,
+            window_start = v_row.window_start
+        WHERE user_id = v_user_id AND endpoint = p_endpoint;
+
+        RETURN QUERY SELECT FALSE, 0, GREATEST(CEIL(v_wait)::INTEGER, 1);
+        RETURN;
+    END IF;
+
+    UPDATE rate_limits
+    SET request_count = v_row.request_count + 1,
+        previous_count = v_row.previous_count,
+        window_start = v_row.window_start
+    WHERE user_id = v_user_id AND endpoint = p_endpoint;
+
+    RETURN QUERY SELECT TRUE, GREATEST(FLOOR(p_max_requests - v_estimate - 1)::INTEGER, 0), 0;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION check_rate_limit(UUID, TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION check_rate_limit(UUID, TEXT, INTEGER, INTEGER) TO service_role;
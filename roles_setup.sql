@@ -0,0 +1,569 @@
+-- Roles and permissions. Every admin check (row level security, RPCs, the app
+-- and chat-handler) goes through the permissions granted to the user's role in
+-- role_permissions, replacing profiles.is_admin and the analytics policy's
+-- raw_user_meta_data->>'role'.
+-- Run after access_setup.sql.
+
+-- 1. Roles and their permissions
+create table if not exists roles (
+  name text primary key,
+  label text not null,
+  description text
+);
+
+create table if not exists permissions (
+  name text primary key,
+  description text not null
+);
+
+create table if not exists role_permissions (
+  role text references roles on delete cascade,
+  permission text references permissions on delete cascade,
+  primary key (role, permission)
+);
+
+insert into roles (name, label, description) values
+  ('student', 'Student', 'Chats with the bot and reads student documents'),
+  ('faculty', 'Faculty', 'Also reads faculty-only documents'),
+  ('dept_admin', 'Department admin', 'Manages the documents of their own department'),
+  ('super_admin', 'Super admin', 'Manages everything, including users')
+on conflict (name) do update set label = excluded.label, description = excluded.description;
+
+insert into permissions (name, description) values
+  ('upload_documents', 'Upload, edit, replace and delete documents'),
+  ('all_departments', 'Manage documents of every department, not only their own'),
+  ('review_feedback', 'Review low-rated answers and their feedback'),
+  ('view_analytics', 'View usage analytics'),
+  ('manage_bot', 'Edit the bot persona and pinned FAQ answers'),
+  ('manage_users', 'Change users'' roles and departments')
+on conflict (name) do update set description = excluded.description;
+
+insert into role_permissions (role, permission) values
+  ('dept_admin', 'upload_documents'),
+  ('dept_admin', 'review_feedback'),
+  ('dept_admin', 'view_analytics'),
+  ('super_admin', 'upload_documents'),
+  ('super_admin', 'all_departments'),
+  ('super_admin', 'review_feedback'),
+  ('super_admin', 'view_analytics'),
+  ('super_admin', 'manage_bot'),
+  ('super_admin', 'manage_users')
+on conflict do nothing;
+
+alter table roles enable row level security;
+alter table permissions enable row level security;
+alter table role_permissions enable row level security;
+
+drop policy if exists "Roles are viewable by everyone." on roles;
+create policy "Roles are viewable by everyone."
+  on roles for select
+  using ( true );
+
+drop policy if exists "Permissions are viewable by everyone." on permissions;
+create policy "Permissions are viewable by everyone."
+  on permissions for select
+  using ( true );
+
+drop policy if exists "Role permissions are viewable by everyone." on role_permissions;
+create policy "Role permissions are viewable by everyone."
+  on role_permissions for select
+  using ( true );
+
+-- 2. profiles.role uses the roles table; the old 'admin' role becomes 'super_admin'
+alter table profiles drop constraint if exists profiles_role_check;
+alter table profiles disable trigger profiles_guard_role;
+update profiles set role = 'super_admin' where role = 'admin';
+alter table profiles enable trigger profiles_guard_role;
+
+alter table profiles drop constraint if exists profiles_role_fkey;
+alter table profiles
+add constraint profiles_role_fkey foreign key (role) references roles (name);
+
+-- 3. Permission checks for the signed-in user
+create or replace function current_user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when auth.uid() is null then 'anonymous'
+    else coalesce((select role from profiles where id = auth.uid()), 'student')
+  end;
+$$;
+
+create or replace function current_user_department()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select department from profiles where id = auth.uid();
+$$;
+
+create or replace function has_permission(p_permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from role_permissions
+    where role = current_user_role() and permission = p_permission
+  );
+$$;
+
+-- Whether the user may manage documents of a department (null = college-wide)
+create or replace function can_manage_department(p_department text)
+returns boolean
+language sql
+stable
+as $$
+  select has_permission('upload_documents')
+    and (has_permission('all_departments') or p_department = current_user_department());
+$$;
+
+-- The user's permissions, for the app and chat-handler
+create or replace function my_permissions()
+returns setof text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select permission from role_permissions where role = current_user_role();
+$$;
+
+-- Both admin roles can read documents restricted to admins
+create or replace function can_view_access_level(p_access_level text)
+returns boolean
+language sql
+stable
+as $$
+  select case p_access_level
+    when 'public' then true
+    when 'students' then auth.uid() is not null
+    when 'faculty' then current_user_role() in ('faculty', 'dept_admin', 'super_admin')
+    when 'admin' then current_user_role() in ('dept_admin', 'super_admin')
+    else false
+  end;
+$$;
+
+-- 4. Only users with manage_users change roles. is_admin is kept in sync for
+-- older setups; setting it on its own still promotes to super admin.
+-- A department admin's department decides which documents they manage, so
+-- only user managers change it; students still pick their own.
+create or replace function guard_profile_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  -- No auth.uid() means the service role or the SQL editor
+  v_can_manage boolean := auth.uid() is null or has_permission('manage_users');
+begin
+  if tg_op = 'INSERT' then
+    if not v_can_manage then
+      new.role := 'student';
+    elsif new.is_admin and new.role not in ('dept_admin', 'super_admin') then
+      new.role := 'super_admin';
+    end if;
+  else
+    if (new.role is distinct from old.role or new.is_admin is distinct from old.is_admin)
+       and not v_can_manage then
+      raise exception 'Only user managers can change roles';
+    end if;
+
+    if new.department is distinct from old.department
+       and not v_can_manage and has_permission('upload_documents') then
+      raise exception 'Only user managers can change a document manager''s department';
+    end if;
+
+    if new.role is not distinct from old.role and new.is_admin is distinct from old.is_admin then
+      new.role := case
+        when new.is_admin then 'super_admin'
+        when old.role in ('dept_admin', 'super_admin') then 'student'
+        else old.role
+      end;
+    end if;
+  end if;
+
+  new.is_admin := new.role in ('dept_admin', 'super_admin');
+  return new;
+end;
+$$;
+
+drop policy if exists "User managers can update any profile." on profiles;
+create policy "User managers can update any profile."
+  on profiles for update
+  using ( has_permission('manage_users') );
+
+-- 5. Documents, passages and originals: managed per department
+drop policy if exists "Only admins can insert documents." on documents;
+drop policy if exists "Document managers can insert documents." on documents;
+create policy "Document managers can insert documents."
+  on documents for insert
+  with check ( can_manage_department(department) );
+
+drop policy if exists "Only admins can update documents." on documents;
+drop policy if exists "Document managers can update documents." on documents;
+create policy "Document managers can update documents."
+  on documents for update
+  using ( can_manage_department(department) )
+  with check ( can_manage_department(department) );
+
+drop policy if exists "Only admins can delete documents." on documents;
+drop policy if exists "Document managers can delete documents." on documents;
+create policy "Document managers can delete documents."
+  on documents for delete
+  using ( can_manage_department(department) );
+
+drop policy if exists "Only admins can insert document chunks." on document_chunks;
+drop policy if exists "Document managers can insert document chunks." on document_chunks;
+create policy "Document managers can insert document chunks."
+  on document_chunks for insert
+  with check (
+    exists (
+      select 1 from documents
+      where documents.id = document_chunks.document_id
+        and can_manage_department(documents.department)
+    )
+  );
+
+drop policy if exists "Only admins can delete document chunks." on document_chunks;
+drop policy if exists "Document managers can delete document chunks." on document_chunks;
+create policy "Document managers can delete document chunks."
+  on document_chunks for delete
+  using (
+    exists (
+      select 1 from documents
+      where documents.id = document_chunks.document_id
+        and can_manage_department(documents.department)
+    )
+  );
+
+drop policy if exists "Users can read originals of documents they can view." on storage.objects;
+create policy "Users can read originals of documents they can view."
+  on storage.objects for select
+  using (
+    bucket_id = 'documents'
+    and (
+      public.has_permission('upload_documents')
+      or exists (
+        select 1 from public.documents
+        where documents.storage_path = storage.objects.name
+          and public.can_view_access_level(documents.access_level)
+      )
+    )
+  );
+
+drop policy if exists "Only admins can upload original documents." on storage.objects;
+drop policy if exists "Document managers can upload original documents." on storage.objects;
+create policy "Document managers can upload original documents."
+  on storage.objects for insert
+  with check ( bucket_id = 'documents' and public.has_permission('upload_documents') );
+
+drop policy if exists "Only admins can delete original documents." on storage.objects;
+drop policy if exists "Document managers can delete original documents." on storage.objects;
+-- Originals of documents follow the document's department; files not yet
+-- attached to a document follow their ingestion job, like the queue itself
+create policy "Document managers can delete original documents."
+  on storage.objects for delete
+  using (
+    bucket_id = 'documents'
+    and public.has_permission('upload_documents')
+    and (
+      exists (
+        select 1 from public.documents
+        where documents.storage_path = storage.objects.name
+          and public.can_manage_department(documents.department)
+      )
+      or (
+        not exists (
+          select 1 from public.documents
+          where documents.storage_path = storage.objects.name
+        )
+        and exists (
+          select 1 from public.ingestion_jobs
+          where ingestion_jobs.storage_path = storage.objects.name
+            and (ingestion_jobs.created_by = auth.uid() or public.has_permission('all_departments'))
+        )
+      )
+    )
+  );
+
+-- 6. The ingestion queue: department admins see their own uploads
+drop policy if exists "Only admins can view ingestion jobs." on ingestion_jobs;
+drop policy if exists "Document managers can view ingestion jobs." on ingestion_jobs;
+create policy "Document managers can view ingestion jobs."
+  on ingestion_jobs for select
+  using (
+    has_permission('upload_documents')
+    and (created_by = auth.uid() or has_permission('all_departments'))
+  );
+
+drop policy if exists "Only admins can insert ingestion jobs." on ingestion_jobs;
+drop policy if exists "Document managers can insert ingestion jobs." on ingestion_jobs;
+create policy "Document managers can insert ingestion jobs."
+  on ingestion_jobs for insert
+  with check ( created_by = auth.uid() and can_manage_department(department) );
+
+drop policy if exists "Only admins can update ingestion jobs." on ingestion_jobs;
+drop policy if exists "Document managers can update ingestion jobs." on ingestion_jobs;
+create policy "Document managers can update ingestion jobs."
+  on ingestion_jobs for update
+  using (
+    has_permission('upload_documents')
+    and (created_by = auth.uid() or has_permission('all_departments'))
+  );
+
+drop policy if exists "Only admins can delete ingestion jobs." on ingestion_jobs;
+drop policy if exists "Document managers can delete ingestion jobs." on ingestion_jobs;
+create policy "Document managers can delete ingestion jobs."
+  on ingestion_jobs for delete
+  using (
+    has_permission('upload_documents')
+    and (created_by = auth.uid() or has_permission('all_departments'))
+  );
+
+create or replace function publish_document_version(p_old_id bigint, p_new_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group_id bigint;
+  v_department text;
+  v_new_group_id bigint;
+  v_new_department text;
+  v_version int;
+begin
+  if p_new_id = p_old_id then
+    raise exception 'A document cannot replace itself';
+  end if;
+
+  select version_group_id, department into v_group_id, v_department from documents where id = p_old_id;
+  if v_group_id is null then
+    raise exception 'Document % does not exist', p_old_id;
+  end if;
+
+  select version_group_id, department into v_new_group_id, v_new_department from documents where id = p_new_id;
+  if v_new_group_id is null then
+    raise exception 'Document % does not exist', p_new_id;
+  end if;
+
+  if not can_manage_department(v_department) or not can_manage_department(v_new_department) then
+    raise exception 'You cannot replace documents of this department';
+  end if;
+
+  -- Only a fresh upload, still alone in its own group, can become a new version
+  if v_new_group_id <> p_new_id
+     or exists ( select 1 from documents where version_group_id = v_new_group_id and id <> p_new_id ) then
+    raise exception 'Document % already belongs to another version group', p_new_id;
+  end if;
+
+  select max(version) + 1 into v_version from documents where version_group_id = v_group_id;
+
+  update documents
+  set is_active = false, replaced_at = timezone('utc'::text, now())
+  where version_group_id = v_group_id and is_active;
+
+  update documents
+  set version_group_id = v_group_id, version = v_version, is_active = true
+  where id = p_new_id;
+end;
+$$;
+
+-- 7. Bot persona and FAQ answers
+drop policy if exists "Admins can view all bot settings." on bot_settings;
+drop policy if exists "Bot managers can view all bot settings." on bot_settings;
+create policy "Bot managers can view all bot settings."
+  on bot_settings for select
+  using ( has_permission('manage_bot') );
+
+drop policy if exists "Only admins can insert bot settings." on bot_settings;
+drop policy if exists "Bot managers can insert bot settings." on bot_settings;
+create policy "Bot managers can insert bot settings."
+  on bot_settings for insert
+  with check ( has_permission('manage_bot') );
+
+create or replace function publish_bot_settings(p_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not has_permission('manage_bot') then
+    raise exception 'You cannot publish bot settings';
+  end if;
+
+  if not exists ( select 1 from bot_settings where id = p_id ) then
+    raise exception 'Bot settings version % does not exist', p_id;
+  end if;
+
+  update bot_settings set is_published = false where is_published;
+  update bot_settings
+  set is_published = true, published_at = timezone('utc'::text, now())
+  where id = p_id;
+end;
+$$;
+
+drop policy if exists "Admins can view all FAQ rules." on faq_rules;
+drop policy if exists "Bot managers can view all FAQ rules." on faq_rules;
+create policy "Bot managers can view all FAQ rules."
+  on faq_rules for select
+  using ( has_permission('manage_bot') );
+
+drop policy if exists "Only admins can insert FAQ rules." on faq_rules;
+drop policy if exists "Bot managers can insert FAQ rules." on faq_rules;
+create policy "Bot managers can insert FAQ rules."
+  on faq_rules for insert
+  with check ( has_permission('manage_bot') );
+
+drop policy if exists "Only admins can update FAQ rules." on faq_rules;
+drop policy if exists "Bot managers can update FAQ rules." on faq_rules;
+create policy "Bot managers can update FAQ rules."
+  on faq_rules for update
+  using ( has_permission('manage_bot') );
+
+drop policy if exists "Only admins can delete FAQ rules." on faq_rules;
+drop policy if exists "Bot managers can delete FAQ rules." on faq_rules;
+create policy "Bot managers can delete FAQ rules."
+  on faq_rules for delete
+  using ( has_permission('manage_bot') );
+
+drop policy if exists "Only admins can view FAQ examples." on faq_rule_examples;
+drop policy if exists "Bot managers can view FAQ examples." on faq_rule_examples;
+create policy "Bot managers can view FAQ examples."
+  on faq_rule_examples for select
+  using ( has_permission('manage_bot') );
+
+drop policy if exists "Only admins can insert FAQ examples." on faq_rule_examples;
+drop policy if exists "Bot managers can insert FAQ examples." on faq_rule_examples;
+create policy "Bot managers can insert FAQ examples."
+  on faq_rule_examples for insert
+  with check ( has_permission('manage_bot') );
+
+drop policy if exists "Only admins can delete FAQ examples." on faq_rule_examples;
+drop policy if exists "Bot managers can delete FAQ examples." on faq_rule_examples;
+create policy "Bot managers can delete FAQ examples."
+  on faq_rule_examples for delete
+  using ( has_permission('manage_bot') );
+
+-- 8. Feedback review and analytics. Reviewers only see low-rated answers;
+-- analytics viewers get counts from get_analytics_summary(), never messages.
+drop policy if exists "Staff can view messages for review and analytics." on chat_messages;
+drop policy if exists "Feedback reviewers can view low-rated messages." on chat_messages;
+create policy "Feedback reviewers can view low-rated messages."
+  on chat_messages for select
+  using ( rating = 'down' and has_permission('review_feedback') );
+
+-- Reviewers can only clear the feedback text, not edit messages
+drop policy if exists "Feedback reviewers can dismiss feedback." on chat_messages;
+
+create or replace function dismiss_feedback(p_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not has_permission('review_feedback') then
+    raise exception 'You cannot review feedback';
+  end if;
+
+  update chat_messages set feedback = null where id = p_id and rating = 'down';
+  if not found then
+    raise exception 'Message % has no feedback to dismiss', p_id;
+  end if;
+end;
+$$;
+
+revoke execute on function dismiss_feedback(bigint) from anon;
+
+drop policy if exists "Admins can view all analytics" on analytics_events;
+drop policy if exists "Analytics viewers can view all analytics" on analytics_events;
+create policy "Analytics viewers can view all analytics"
+  on analytics_events for select
+  to authenticated
+  using ( has_permission('view_analytics') );
+
+-- The summary is computed with elevated rights, so it checks the caller itself
+CREATE OR REPLACE FUNCTION get_analytics_summary(days_back INTEGER DEFAULT 7)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    result JSON;
+BEGIN
+    IF NOT has_permission('view_analytics') THEN
+        RAISE EXCEPTION 'You cannot view analytics';
+    END IF;
+
+    SELECT json_build_object(
+        'total_messages', (
+            SELECT COUNT(*) 
+            FROM analytics_events 
+            WHERE event_type = 'chat_message' 
+            AND created_at > NOW() - (days_back || ' days')::INTERVAL
+        ),
+        'unique_users', (
+            SELECT COUNT(DISTINCT user_id) 
+            FROM analytics_events 
+            WHERE created_at > NOW() - (days_back || ' days')::INTERVAL
+        ),
+        'avg_response_time', (
+            SELECT AVG((metadata->>'response_time_ms')::FLOAT) 
+            FROM analytics_events 
+            WHERE event_type = 'chat_message' 
+            AND metadata->>'response_time_ms' IS NOT NULL
+            AND created_at > NOW() - (days_back || ' days')::INTERVAL
+        ),
+        'top_questions', (
+            SELECT json_agg(question_data)
+            FROM (
+                SELECT 
+                    metadata->>'question' as question,
+                    COUNT(*) as count
+                FROM analytics_events
+                WHERE event_type = 'chat_message'
+                AND created_at > NOW() - (days_back || ' days')::INTERVAL
+                GROUP BY metadata->>'question'
+                ORDER BY count DESC
+                LIMIT 10
+            ) question_data
+        ),
+        'ratings', (
+            SELECT json_build_object(
+                'up', COUNT(*) FILTER (WHERE rating = 'up'),
+                'down', COUNT(*) FILTER (WHERE rating = 'down')
+            )
+            FROM chat_messages
+            WHERE rating IS NOT NULL
+        ),
+        'messages_by_day', (
+            SELECT json_agg(day_data)
+            FROM (
+                SELECT 
+                    DATE(created_at) as date,
+                    COUNT(*) as count
+                FROM analytics_events
+                WHERE event_type = 'chat_message'
+                AND created_at > NOW() - (days_back || ' days')::INTERVAL
+                GROUP BY DATE(created_at)
+                ORDER BY date DESC
+            ) day_data
+        )
+    ) INTO result;
+    
+    RETURN result;
+END;
+$$;
@@ -0,0 +1,129 @@
+// Reports translation keys that are missing or unused across src/i18n/*.json.
+//
+//   npm run check-i18n
+//
+// en.json is the reference. A key counts as used when it appears as a string
+// literal anywhere under src/, or matches a template literal such as
+// `faq.match_types.${type}.label`. Keys the code uses but en.json lacks, and
+// keys nothing uses, fail the check; keys a translation lacks are listed as
+// warnings because those strings fall back to English.
+import { readdirSync, readFileSync } from 'node:fs';
+import { join, extname, basename } from 'node:path';
+
+const ROOT = new URL('..', import.meta.url).pathname;
+const LOCALES_DIR = join(ROOT, 'src/i18n');
+const SOURCE_DIR = join(ROOT, 'src');
+const REFERENCE_LANGUAGE = 'en';
+const SOURCE_EXTENSIONS = new Set(['.js', '.jsx']);
+
+// Flatten { chat: { title: 'x' } } to { 'chat.title': 'x' }. An object with an
+// `other` form is one plural entry, not a nested group.
+function flatten(entries, prefix = '') {
+    const keys = {};
+    for (const [name, value] of Object.entries(entries)) {
+        const key = prefix + name;
+        if (value && typeof value === 'object' && !('other' in value)) {
+            Object.assign(keys, flatten(value, `${key}.`));
+        } else {
+            keys[key] = value;
+        }
+    }
+    return keys;
+}
+
+function placeholders(value) {
+    const text = typeof value === 'string' ? value : Object.values(value).join(' ');
+    return new Set([...text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]));
+}
+
+function sourceFiles(dir) {
+    return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) return sourceFiles(path);
+        return SOURCE_EXTENSIONS.has(extname(entry.name)) ? [path] : [];
+    });
+}
+
+// Every string literal that looks like a key, plus template literals turned
+// into patterns where each ${...} matches one key segment
+function usedKeys() {
+    const literals = new Set();
+    const patterns = [];
+
+    for (const file of sourceFiles(SOURCE_DIR)) {
+        const source = readFileSync(file, 'utf8');
+        for (const [, key] of source.matchAll(/['"]([a-z_]+(?:\.\w+)*)['"]/g)) {
+            literals.add(key);
+        }
+        for (const [, template] of source.matchAll(/`([a-z_]+\.[\w.${}]*\$\{[^`]*)`/g)) {
+            const pattern = template
+                .split(/\$\{[^}]*\}/)
+                .map(part => part.replace(/\./g, '\\.'))
+                .join('[^.]+');
+            patterns.push(new RegExp(`^${pattern}$`));
+        }
+    }
+
+    return { literals, patterns };
+}
+
+const locales = Object.fromEntries(
+    readdirSync(LOCALES_DIR)
+        .filter(name => extname(name) === '.json')
+        .map(name => [basename(name, '.json'), flatten(JSON.parse(readFileSync(join(LOCALES_DIR, name), 'utf8')))])
+);
+
+const reference = locales[REFERENCE_LANGUAGE];
+const referenceKeys = Object.keys(reference);
+const errors = [];
+const warnings = [];
+
+const { literals, patterns } = usedKeys();
+const isUsed = key => literals.has(key) || patterns.some(pattern => pattern.test(key));
+
+// Only literals under a namespace en.json has are keys; 'auth.users' and the
+// like are table names and object paths
+const namespaces = new Set(referenceKeys.map(key => key.split('.')[0]));
+for (const key of literals) {
+    if (namespaces.has(key.split('.')[0]) && !(key in reference) && !referenceKeys.some(k => k.startsWith(`${key}.`))) {
+        errors.push(`${REFERENCE_LANGUAGE}: "${key}" is used in src/ but not defined`);
+    }
+}
+
+for (const key of referenceKeys) {
+    if (!isUsed(key)) errors.push(`${REFERENCE_LANGUAGE}: "${key}" is not used anywhere in src/`);
+}
+
+for (const [language, keys] of Object.entries(locales)) {
+    if (language === REFERENCE_LANGUAGE) continue;
+
+    for (const key of referenceKeys) {
+        if (!(key in keys)) {
+            warnings.push(`${language}: "${key}" is missing (falls back to ${REFERENCE_LANGUAGE})`);
+            continue;
+        }
+        const expected = placeholders(reference[key]);
+        const actual = placeholders(keys[key]);
+        if ([...expected].some(name => !actual.has(name)) || [...actual].some(name => !expected.has(name))) {
+            errors.push(`${language}: "${key}" has placeholders {${[...actual].join(', ')}}, expected {${[...expected].join(', ')}}`);
+        }
+    }
+
+    for (const key of Object.keys(keys)) {
+        if (!(key in reference)) errors.push(`${language}: "${key}" is not in ${REFERENCE_LANGUAGE}.json`);
+    }
+}
+
+for (const [language, keys] of Object.entries(locales)) {
+    const total = Object.keys(keys).filter(key => key in reference).length;
+    console.log(`${language}: ${total}/${referenceKeys.length} keys`);
+}
+
+warnings.forEach(warning => console.warn(`warning  ${warning}`));
+errors.forEach(error => console.error(`error    ${error}`));
+
+if (errors.length > 0) {
+    console.error(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+    process.exit(1);
+}
+console.log(`\nNo errors, ${warnings.length} warning(s)`);
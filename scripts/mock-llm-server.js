@@ -0,0 +1,109 @@
+// Local OpenAI-compatible stand-in for testing chat-handler without a real LLM.
+//
+//   npm run mock-llm
+//   npx supabase secrets set LLM_PROVIDER=openai OPENAI_BASE_URL=http://host.docker.internal:11435/v1
+//
+// Serves /v1/chat/completions (JSON or `stream: true` SSE) and /v1/embeddings
+// (deterministic 768-dimension vectors). Set MOCK_LLM_STATUS=429 to make every
+// completion fail, which exercises LLM_FALLBACK_PROVIDER.
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.MOCK_LLM_PORT ?? 11435);
+const FORCED_STATUS = Number(process.env.MOCK_LLM_STATUS ?? 0);
+const EMBEDDING_DIMENSIONS = 768;
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data ? JSON.parse(data) : {}));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Same text always maps to the same unit vector
+function fakeEmbedding(text) {
+    let seed = 0;
+    for (const char of text) seed = (seed * 31 + char.charCodeAt(0)) >>> 0;
+
+    const vector = Array.from({ length: EMBEDDING_DIMENSIONS }, () => {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        return (seed / 0xffffffff) * 2 - 1;
+    });
+    const norm = Math.hypot(...vector);
+    return vector.map(value => value / norm);
+}
+
+function handleCompletion(body, res) {
+    const question = body.messages?.filter(m => m.role === 'user').pop()?.content ?? '';
+    const answer = `**Mock answer** from \`${body.model}\`.\n\nYou asked: "${question}"`;
+    const usage = { prompt_tokens: 10, completion_tokens: answer.split(/\s+/).length, total_tokens: 0 };
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+    if (!body.stream) {
+        sendJson(res, 200, {
+            id: 'mock-completion',
+            object: 'chat.completion',
+            model: body.model,
+            choices: [{ index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' }],
+            usage
+        });
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const words = answer.split(/(?<=\s)/);
+    let i = 0;
+
+    const timer = setInterval(() => {
+        if (i < words.length) {
+            res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: words[i++] } }] })}\n\n`);
+            return;
+        }
+        clearInterval(timer);
+        if (body.stream_options?.include_usage) {
+            res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+        }
+        res.write('data: [DONE]\n\n');
+        res.end();
+    }, 30);
+}
+
+const server = createServer(async (req, res) => {
+    try {
+        if (req.method !== 'POST') {
+            sendJson(res, 404, { error: { message: 'Not found' } });
+            return;
+        }
+
+        const body = await readBody(req);
+
+        if (req.url === '/v1/chat/completions') {
+            if (FORCED_STATUS) {
+                sendJson(res, FORCED_STATUS, { error: { message: `Mock failure ${FORCED_STATUS}` } });
+                return;
+            }
+            handleCompletion(body, res);
+        } else if (req.url === '/v1/embeddings') {
+            const inputs = Array.isArray(body.input) ? body.input : [body.input];
+            sendJson(res, 200, {
+                object: 'list',
+                model: body.model,
+                data: inputs.map((text, index) => ({ object: 'embedding', index, embedding: fakeEmbedding(String(text)) }))
+            });
+        } else {
+            sendJson(res, 404, { error: { message: 'Not found' } });
+        }
+    } catch (error) {
+        sendJson(res, 400, { error: { message: error.message } });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock OpenAI-compatible server listening on http://localhost:${PORT}/v1`);
+});
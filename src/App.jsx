@@ -6,6 +6,8 @@ import Register from './pages/Register';
 import Chat from './pages/Chat';
 import Admin from './pages/Admin';
 import Analytics from './pages/Analytics';
+import Users from './pages/Users';
+import { ADMIN_PAGE_PERMISSIONS, PERMISSIONS } from './lib/permissions';
 
 function App() {
   return (
@@ -21,10 +23,15 @@ function App() {
           </Route>
 
           {/* Admin Routes */}
-          <Route element={<ProtectedRoute requireAdmin={true} />}>
+          <Route element={<ProtectedRoute permission={ADMIN_PAGE_PERMISSIONS} />}>
             <Route path="/admin" element={<Admin />} />
+          </Route>
+          <Route element={<ProtectedRoute permission={PERMISSIONS.VIEW_ANALYTICS} />}>
             <Route path="/analytics" element={<Analytics />} />
           </Route>
+          <Route element={<ProtectedRoute permission={PERMISSIONS.MANAGE_USERS} />}>
+            <Route path="/admin/users" element={<Users />} />
+          </Route>
 
           {/* Fallback */}
           <Route path="*" element={<Navigate to="/" replace />} />
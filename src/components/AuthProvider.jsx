@@ -1,5 +1,6 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 import { supabase } from '../lib/supabase';
+import { PERMISSIONS } from '../lib/permissions';
 
 const AuthContext = createContext({});
 
@@ -8,7 +9,9 @@ export const useAuth = () => useContext(AuthContext);
 export default function AuthProvider({ children }) {
     const [user, setUser] = useState(null);
     const [session, setSession] = useState(null);
-    const [isAdmin, setIsAdmin] = useState(false);
+    const [role, setRole] = useState(null);
+    const [permissions, setPermissions] = useState([]);
+    const [department, setDepartment] = useState(null);
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
@@ -17,7 +20,7 @@ export default function AuthProvider({ children }) {
             setSession(session);
             setUser(session?.user ?? null);
             if (session?.user) {
-                checkAdmin(session.user.id);
+                loadProfile(session.user.id);
             } else {
                 setLoading(false);
             }
@@ -28,9 +31,11 @@ export default function AuthProvider({ children }) {
             setSession(session);
             setUser(session?.user ?? null);
             if (session?.user) {
-                checkAdmin(session.user.id);
+                loadProfile(session.user.id);
             } else {
-                setIsAdmin(false);
+                setRole(null);
+                setPermissions([]);
+                setDepartment(null);
                 setLoading(false);
             }
         });
@@ -38,34 +43,61 @@ export default function AuthProvider({ children }) {
         return () => subscription.unsubscribe();
     }, []);
 
-    async function checkAdmin(userId) {
+    // Load the user's role, department and the permissions their role grants
+    async function loadProfile(userId) {
         try {
-            const { data, error } = await supabase
-                .from('profiles')
-                .select('is_admin')
-                .eq('id', userId)
-                .single();
+            const [{ data, error }, { data: granted, error: permissionsError }] = await Promise.all([
+                supabase.from('profiles').select('role, department').eq('id', userId).single(),
+                supabase.rpc('my_permissions')
+            ]);
 
             if (error) {
-                console.error('Error checking admin status:', error);
+                console.error('Error loading profile:', error);
+            }
+            if (permissionsError) {
+                console.error('Error loading permissions:', permissionsError);
             }
 
-            setIsAdmin(data?.is_admin ?? false);
+            setRole(data?.role ?? null);
+            setDepartment(data?.department ?? null);
+            setPermissions(granted ?? []);
         } catch (err) {
-            console.error('Error checking admin status:', err);
+            console.error('Error loading profile:', err);
         } finally {
             setLoading(false);
         }
     }
 
+    const hasPermission = (permission) => permissions.includes(permission);
+
+    // Documents without a department can only be managed with all_departments
+    const canManageDepartment = (value) => hasPermission(PERMISSIONS.UPLOAD_DOCUMENTS)
+        && (hasPermission(PERMISSIONS.ALL_DEPARTMENTS) || (!!value && value === department));
+
+    // Save the student's department, used to scope document retrieval
+    async function updateDepartment(value) {
+        const { error } = await supabase
+            .from('profiles')
+            .update({ department: value || null })
+            .eq('id', user.id);
+
+        if (error) throw error;
+        setDepartment(value || null);
+    }
+
     const value = {
         session,
         user,
-        isAdmin,
+        role,
+        permissions,
+        hasPermission,
+        canManageDepartment,
+        department,
         loading,
         signIn: (data) => supabase.auth.signInWithPassword(data),
         signUp: (data) => supabase.auth.signUp(data),
         signOut: () => supabase.auth.signOut(),
+        updateDepartment,
     };
 
     return (
@@ -0,0 +1,324 @@
+import { useState, useEffect } from 'react';
+import { Bot, Plus, Trash2, Save, Send, History, CheckCircle } from 'lucide-react';
+import ReactMarkdown from 'react-markdown';
+import { supabase } from '../lib/supabase';
+import { previewResponse } from '../lib/chat';
+import { useTranslation } from '../lib/i18n';
+
+const EMPTY_SETTINGS = {
+    bot_name: 'BroFessor',
+    persona: '',
+    tone: '',
+    refusal_message: '',
+    canned_answers: [],
+    temperature: 0.7,
+    max_tokens: 1000,
+    notes: ''
+};
+
+const EDITABLE_FIELDS = ['bot_name', 'persona', 'tone', 'refusal_message', 'canned_answers', 'temperature', 'max_tokens', 'notes'];
+
+async function fetchVersions() {
+    const { data, error } = await supabase
+        .from('bot_settings')
+        .select('*')
+        .order('id', { ascending: false });
+
+    if (error) throw error;
+    return data;
+}
+
+function toDraft(version) {
+    const draft = { ...EMPTY_SETTINGS };
+    EDITABLE_FIELDS.forEach(field => {
+        if (version?.[field] != null) draft[field] = version[field];
+    });
+    draft.notes = '';
+    return draft;
+}
+
+const inputStyle = {
+    width: '100%',
+    padding: '0.75rem 1rem',
+    background: 'var(--bg-secondary)',
+    border: '1px solid var(--glass-border)',
+    borderRadius: '0.5rem',
+    color: 'var(--text-primary)',
+    fontSize: '0.95rem',
+    outline: 'none',
+    fontFamily: 'inherit'
+};
+
+const labelStyle = { display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)', fontSize: '0.9rem' };
+
+export default function BotSettingsEditor({ user, onMessage }) {
+    const [versions, setVersions] = useState([]);
+    const [draft, setDraft] = useState(EMPTY_SETTINGS);
+    const [saving, setSaving] = useState(false);
+    const [testMessage, setTestMessage] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [previewing, setPreviewing] = useState(false);
+    const { t, language } = useTranslation();
+
+    useEffect(() => {
+        fetchVersions()
+            .then(data => {
+                setVersions(data);
+                setDraft(toDraft(data.find(v => v.is_published) ?? data[0]));
+            })
+            .catch(error => console.error('Error fetching bot settings:', error));
+    }, []);
+
+    function updateField(field, value) {
+        setDraft(prev => ({ ...prev, [field]: value }));
+    }
+
+    function updateCanned(index, field, value) {
+        setDraft(prev => ({
+            ...prev,
+            canned_answers: prev.canned_answers.map((c, i) => i === index ? { ...c, [field]: value } : c)
+        }));
+    }
+
+    async function saveVersion(publish) {
+        if (!draft.persona.trim() || !draft.refusal_message.trim()) {
+            onMessage({ type: 'error', text: t('bot.required_fields') });
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const { data, error } = await supabase.from('bot_settings').insert({
+                ...draft,
+                canned_answers: draft.canned_answers.filter(c => c.question.trim() && c.answer.trim()),
+                temperature: Number(draft.temperature),
+                max_tokens: Number(draft.max_tokens),
+                notes: draft.notes.trim() || null,
+                created_by: user.id
+            }).select().single();
+
+            if (error) throw error;
+
+            if (publish) {
+                const { error: publishError } = await supabase.rpc('publish_bot_settings', { p_id: data.id });
+                if (publishError) throw publishError;
+            }
+
+            setVersions(await fetchVersions());
+            onMessage({ type: 'success', text: t(publish ? 'bot.published' : 'bot.saved_draft', { id: String(data.id) }) });
+        } catch (error) {
+            console.error('Error saving bot settings:', error);
+            onMessage({ type: 'error', text: t('bot.save_failed', { message: error.message }) });
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    async function publishVersion(id) {
+        if (!confirm(t('bot.confirm_publish', { id: String(id) }))) return;
+
+        try {
+            const { error } = await supabase.rpc('publish_bot_settings', { p_id: id });
+            if (error) throw error;
+
+            setVersions(await fetchVersions());
+            onMessage({ type: 'success', text: t('bot.published', { id: String(id) }) });
+        } catch (error) {
+            console.error('Error publishing bot settings:', error);
+            onMessage({ type: 'error', text: t('bot.publish_failed', { message: error.message }) });
+        }
+    }
+
+    async function runPreview() {
+        if (!testMessage.trim()) return;
+
+        setPreviewing(true);
+        setPreview(null);
+        try {
+            setPreview(await previewResponse(draft, testMessage.trim(), language));
+        } catch (error) {
+            setPreview({ error: error.message });
+        } finally {
+            setPreviewing(false);
+        }
+    }
+
+    return (
+        <div className="card" style={{ marginBottom: '2rem' }}>
+            <h2 style={{ fontSize: '1.25rem', fontWeight: 'bold', marginBottom: '1.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <Bot size={20} /> {t('bot.title')}
+            </h2>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) minmax(0, 1fr)', gap: '2rem' }}>
+                {/* Editor */}
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+                    <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '1rem' }}>
+                        <div>
+                            <label style={labelStyle}>{t('bot.bot_name')}</label>
+                            <input type="text" value={draft.bot_name} onChange={(e) => updateField('bot_name', e.target.value)} style={inputStyle} />
+                        </div>
+                        <div>
+                            <label style={labelStyle}>{t('bot.temperature')}</label>
+                            <input type="number" min="0" max="2" step="0.1" value={draft.temperature} onChange={(e) => updateField('temperature', e.target.value)} style={inputStyle} />
+                        </div>
+                        <div>
+                            <label style={labelStyle}>{t('bot.max_tokens')}</label>
+                            <input type="number" min="1" max="4000" step="50" value={draft.max_tokens} onChange={(e) => updateField('max_tokens', e.target.value)} style={inputStyle} />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label style={labelStyle}>{t('bot.persona')}</label>
+                        <textarea value={draft.persona} onChange={(e) => updateField('persona', e.target.value)} rows={3} style={{ ...inputStyle, resize: 'vertical' }} />
+                    </div>
+
+                    <div>
+                        <label style={labelStyle}>{t('bot.tone')}</label>
+                        <input type="text" value={draft.tone} onChange={(e) => updateField('tone', e.target.value)} style={inputStyle} />
+                    </div>
+
+                    <div>
+                        <label style={labelStyle}>{t('bot.refusal')}</label>
+                        <textarea value={draft.refusal_message} onChange={(e) => updateField('refusal_message', e.target.value)} rows={2} style={{ ...inputStyle, resize: 'vertical' }} />
+                    </div>
+
+                    <div>
+                        <label style={labelStyle}>{t('bot.canned_answers')}</label>
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                            {draft.canned_answers.map((canned, i) => (
+                                <div key={i} style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-start' }}>
+                                    <input
+                                        type="text"
+                                        placeholder={t('bot.canned_question')}
+                                        value={canned.question}
+                                        onChange={(e) => updateCanned(i, 'question', e.target.value)}
+                                        style={{ ...inputStyle, flex: 1 }}
+                                    />
+                                    <input
+                                        type="text"
+                                        placeholder={t('bot.canned_answer')}
+                                        value={canned.answer}
+                                        onChange={(e) => updateCanned(i, 'answer', e.target.value)}
+                                        style={{ ...inputStyle, flex: 2 }}
+                                    />
+                                    <button
+                                        onClick={() => updateField('canned_answers', draft.canned_answers.filter((_, j) => j !== i))}
+                                        title={t('common.remove')}
+                                        style={{ background: 'transparent', border: 'none', color: '#ef4444', cursor: 'pointer', padding: '0.75rem 0.25rem' }}
+                                    >
+                                        <Trash2 size={16} />
+                                    </button>
+                                </div>
+                            ))}
+                            <button
+                                onClick={() => updateField('canned_answers', [...draft.canned_answers, { question: '', answer: '' }])}
+                                className="btn btn-secondary"
+                                style={{ alignSelf: 'flex-start', display: 'flex', alignItems: 'center', gap: '0.5rem' }}
+                            >
+                                <Plus size={16} /> {t('bot.add_canned')}
+                            </button>
+                        </div>
+                    </div>
+
+                    <div>
+                        <label style={labelStyle}>{t('bot.notes')}</label>
+                        <input type="text" placeholder={t('bot.notes_placeholder')} value={draft.notes} onChange={(e) => updateField('notes', e.target.value)} style={inputStyle} />
+                    </div>
+
+                    <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'flex-end' }}>
+                        <button onClick={() => saveVersion(false)} disabled={saving} className="btn btn-secondary" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                            <Save size={16} /> {t('bot.save_draft')}
+                        </button>
+                        <button onClick={() => saveVersion(true)} disabled={saving} className="btn btn-primary" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                            <CheckCircle size={16} /> {t('bot.save_publish')}
+                        </button>
+                    </div>
+
+                    {/* Preview */}
+                    <div style={{ borderTop: '1px solid var(--glass-border)', paddingTop: '1rem' }}>
+                        <label style={labelStyle}>{t('bot.preview_label')}</label>
+                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                            <input
+                                type="text"
+                                placeholder={t('bot.preview_placeholder')}
+                                value={testMessage}
+                                onChange={(e) => setTestMessage(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && runPreview()}
+                                style={{ ...inputStyle, flex: 1 }}
+                            />
+                            <button onClick={runPreview} disabled={previewing || !testMessage.trim()} className="btn btn-primary" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                <Send size={16} /> {previewing ? t('bot.running') : t('bot.preview')}
+                            </button>
+                        </div>
+
+                        {preview && (
+                            <div style={{
+                                marginTop: '1rem',
+                                padding: '1rem',
+                                background: 'var(--bg-secondary)',
+                                border: `1px solid ${preview.error ? 'rgba(239, 68, 68, 0.5)' : 'var(--glass-border)'}`,
+                                borderRadius: '0.5rem',
+                                color: preview.error ? '#fca5a5' : 'var(--text-primary)',
+                                fontSize: '0.9rem'
+                            }}>
+                                {preview.error ? preview.error : (
+                                    <>
+                                        <ReactMarkdown>{preview.response}</ReactMarkdown>
+                                        {preview.systemPrompt && (
+                                            <details style={{ marginTop: '0.75rem', color: 'var(--text-secondary)' }}>
+                                                <summary style={{ cursor: 'pointer' }}>{t('bot.system_prompt')}</summary>
+                                                <pre style={{ whiteSpace: 'pre-wrap', fontSize: '0.8rem', marginTop: '0.5rem' }}>{preview.systemPrompt}</pre>
+                                            </details>
+                                        )}
+                                    </>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                {/* Version history */}
+                <div>
+                    <h3 style={{ fontSize: '1rem', fontWeight: 'bold', marginBottom: '1rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <History size={16} /> {t('admin.version_history')}
+                    </h3>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', maxHeight: '600px', overflowY: 'auto' }}>
+                        {versions.length === 0 && (
+                            <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>{t('bot.no_versions')}</p>
+                        )}
+                        {versions.map(version => (
+                            <div key={version.id} style={{
+                                padding: '0.75rem',
+                                background: 'var(--bg-secondary)',
+                                border: `1px solid ${version.is_published ? 'rgba(16, 185, 129, 0.4)' : 'var(--glass-border)'}`,
+                                borderRadius: '0.5rem',
+                                fontSize: '0.85rem'
+                            }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.25rem' }}>
+                                    <strong style={{ color: 'var(--text-primary)' }}>{t('bot.version', { id: String(version.id) })}</strong>
+                                    {version.is_published && (
+                                        <span style={{ fontSize: '0.7rem', padding: '0.1rem 0.4rem', borderRadius: '0.25rem', background: 'rgba(16, 185, 129, 0.1)', color: '#10b981', border: '1px solid rgba(16, 185, 129, 0.2)' }}>
+                                            {t('bot.published_badge')}
+                                        </span>
+                                    )}
+                                </div>
+                                <div style={{ color: 'var(--text-secondary)' }}>{new Date(version.created_at).toLocaleString()}</div>
+                                {version.notes && <div style={{ color: 'var(--text-secondary)', marginTop: '0.25rem' }}>{version.notes}</div>}
+                                <div style={{ display: 'flex', gap: '0.75rem', marginTop: '0.5rem' }}>
+                                    <button onClick={() => setDraft(toDraft(version))} style={{ background: 'transparent', border: 'none', color: 'var(--accent-primary)', cursor: 'pointer', padding: 0, fontSize: '0.8rem' }}>
+                                        {t('bot.load')}
+                                    </button>
+                                    {!version.is_published && (
+                                        <button onClick={() => publishVersion(version.id)} style={{ background: 'transparent', border: 'none', color: '#10b981', cursor: 'pointer', padding: 0, fontSize: '0.8rem' }}>
+                                            {t('bot.publish')}
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
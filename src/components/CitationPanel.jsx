@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import { ExternalLink, FileText, X } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { openOriginal } from '../lib/storage';
+import { describeValidity } from '../lib/validity';
+import { useTranslation } from '../lib/i18n';
+
+// Characters of surrounding document text shown on each side of the passage
+const CONTEXT_CHARS = 400;
+
+export default function CitationPanel({ citation, onClose }) {
+    const [context, setContext] = useState(null);
+    const [storagePath, setStoragePath] = useState(null);
+    const [openError, setOpenError] = useState('');
+    const { t } = useTranslation();
+
+    useEffect(() => {
+        let cancelled = false;
+
+        // Load the text around the cited passage so it can be read in place
+        const fetchContext = async () => {
+            setContext(null);
+            setStoragePath(null);
+            setOpenError('');
+
+            const [{ data: chunk }, { data: doc }] = await Promise.all([
+                citation.chunk_id
+                    ? supabase.from('document_chunks').select('start_offset, end_offset').eq('id', citation.chunk_id).single()
+                    : { data: null },
+                supabase.from('documents').select('content, storage_path').eq('id', citation.id).single()
+            ]);
+
+            if (cancelled) return;
+            setStoragePath(doc?.storage_path ?? null);
+            if (!chunk || !doc?.content || chunk.start_offset == null) return;
+
+            const start = Math.max(chunk.start_offset - CONTEXT_CHARS, 0);
+            const end = Math.min(chunk.end_offset + CONTEXT_CHARS, doc.content.length);
+            setContext({
+                before: `${start > 0 ? '…' : ''}${doc.content.slice(start, chunk.start_offset)}`,
+                passage: doc.content.slice(chunk.start_offset, chunk.end_offset),
+                after: `${doc.content.slice(chunk.end_offset, end)}${end < doc.content.length ? '…' : ''}`
+            });
+        };
+
+        fetchContext().catch(error => console.error('Error loading citation context:', error));
+        return () => { cancelled = true; };
+    }, [citation]);
+
+    async function handleOpenOriginal() {
+        setOpenError('');
+        try {
+            await openOriginal(storagePath, citation.page_number);
+        } catch (error) {
+            console.error('Error opening original document:', error);
+            setOpenError(t('citation.open_failed'));
+        }
+    }
+
+    return (
+        <aside style={{
+            position: 'fixed',
+            top: 0,
+            right: 0,
+            bottom: 0,
+            width: 'min(420px, 100%)',
+            background: 'var(--bg-secondary)',
+            borderLeft: '1px solid var(--glass-border)',
+            boxShadow: '-10px 0 40px rgba(0, 0, 0, 0.4)',
+            zIndex: 50,
+            display: 'flex',
+            flexDirection: 'column',
+            animation: 'fadeIn 0.2s ease-out'
+        }}>
+            <div style={{
+                padding: '1.25rem 1.5rem',
+                borderBottom: '1px solid var(--glass-border)',
+                display: 'flex',
+                alignItems: 'flex-start',
+                gap: '0.75rem'
+            }}>
+                <FileText size={20} style={{ color: 'var(--accent-primary)', flexShrink: 0, marginTop: '0.15rem' }} />
+                <div style={{ flex: 1, minWidth: 0 }}>
+                    <h3 style={{ margin: 0, fontSize: '1rem', fontWeight: 'bold', color: 'var(--text-primary)', wordBreak: 'break-word' }}>
+                        {citation.title || t('chat.document_fallback', { id: String(citation.id) })}
+                    </h3>
+                    <div style={{ display: 'flex', gap: '0.75rem', marginTop: '0.35rem', fontSize: '0.8rem', color: 'var(--text-secondary)', flexWrap: 'wrap' }}>
+                        {citation.file_type && <span>{citation.file_type.toUpperCase()}</span>}
+                        {citation.page_number && <span>{t('citation.page', { page: citation.page_number })}</span>}
+                        {citation.department && <span>{citation.department}</span>}
+                        {describeValidity(citation) && <span>{describeValidity(citation)}</span>}
+                        {citation.similarity != null && <span>{t('chat.match', { percent: Math.round(citation.similarity * 100) })}</span>}
+                    </div>
+                </div>
+                <button
+                    onClick={onClose}
+                    title={t('common.close')}
+                    style={{ background: 'transparent', border: 'none', color: 'var(--text-secondary)', cursor: 'pointer', padding: 0, display: 'flex' }}
+                >
+                    <X size={20} />
+                </button>
+            </div>
+
+            <div style={{
+                flex: 1,
+                overflowY: 'auto',
+                padding: '1.5rem',
+                fontSize: '0.9rem',
+                lineHeight: '1.7',
+                color: 'var(--text-secondary)',
+                whiteSpace: 'pre-wrap'
+            }}>
+                {context ? (
+                    <>
+                        {context.before}
+                        <mark style={highlightStyle}>{context.passage}</mark>
+                        {context.after}
+                    </>
+                ) : (
+                    <mark style={highlightStyle}>{citation.snippet || t('citation.no_passage')}</mark>
+                )}
+            </div>
+
+            {storagePath && (
+                <div style={{ padding: '1rem 1.5rem', borderTop: '1px solid var(--glass-border)' }}>
+                    <button
+                        onClick={handleOpenOriginal}
+                        className="btn btn-primary"
+                        style={{ width: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.5rem' }}
+                    >
+                        <ExternalLink size={16} />
+                        {citation.page_number && citation.file_type === 'pdf' ? t('citation.open_at_page', { page: citation.page_number }) : t('citation.open_original')}
+                    </button>
+                    {openError && <p style={{ margin: '0.5rem 0 0', fontSize: '0.8rem', color: '#fca5a5' }}>{openError}</p>}
+                </div>
+            )}
+        </aside>
+    );
+}
+
+const highlightStyle = {
+    background: 'rgba(102, 126, 234, 0.25)',
+    color: 'var(--text-primary)',
+    borderRadius: '0.25rem',
+    padding: '0.1rem 0'
+};
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { Plus, MessageSquare, Edit2, Trash2, Check, X } from 'lucide-react';
+import { useTranslation } from '../lib/i18n';
+
+export default function ConversationSidebar({ conversations, activeId, onSelect, onNew, onRename, onDelete }) {
+    const [editingId, setEditingId] = useState(null);
+    const [editTitle, setEditTitle] = useState('');
+    const { t } = useTranslation();
+
+    function startEdit(conversation) {
+        setEditingId(conversation.id);
+        setEditTitle(conversation.title);
+    }
+
+    function saveEdit(id) {
+        if (!editTitle.trim()) return;
+        onRename(id, editTitle.trim());
+        setEditingId(null);
+    }
+
+    return (
+        <aside style={{
+            width: '260px',
+            flexShrink: 0,
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '0.75rem',
+            padding: '1rem',
+            borderRight: '1px solid var(--glass-border)',
+            background: 'var(--glass-bg)',
+            backdropFilter: 'blur(var(--glass-blur))',
+            overflowY: 'auto',
+            position: 'relative',
+            zIndex: 2
+        }}>
+            <button
+                onClick={onNew}
+                style={{
+                    padding: '0.75rem 1rem',
+                    background: 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))',
+                    border: 'none',
+                    borderRadius: '0.75rem',
+                    color: 'white',
+                    cursor: 'pointer',
+                    fontWeight: '600',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: '0.5rem'
+                }}
+            >
+                <Plus size={18} /> {t('sidebar.new_chat')}
+            </button>
+
+            {conversations.length === 0 && (
+                <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', textAlign: 'center', marginTop: '1rem' }}>
+                    {t('sidebar.empty')}
+                </p>
+            )}
+
+            {conversations.map(conversation => {
+                const isActive = conversation.id === activeId;
+                const isEditing = conversation.id === editingId;
+
+                return (
+                    <div
+                        key={conversation.id}
+                        onClick={() => !isEditing && onSelect(conversation.id)}
+                        style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '0.5rem',
+                            padding: '0.625rem 0.75rem',
+                            borderRadius: '0.5rem',
+                            cursor: 'pointer',
+                            background: isActive ? 'rgba(102, 126, 234, 0.15)' : 'transparent',
+                            border: `1px solid ${isActive ? 'rgba(102, 126, 234, 0.4)' : 'transparent'}`,
+                            color: 'var(--text-primary)',
+                            fontSize: '0.9rem',
+                            transition: 'all 0.2s'
+                        }}
+                    >
+                        <MessageSquare size={16} style={{ flexShrink: 0, color: 'var(--text-secondary)' }} />
+                        {isEditing ? (
+                            <>
+                                <input
+                                    type="text"
+                                    value={editTitle}
+                                    onChange={(e) => setEditTitle(e.target.value)}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') saveEdit(conversation.id);
+                                        if (e.key === 'Escape') setEditingId(null);
+                                    }}
+                                    style={{
+                                        flex: 1,
+                                        minWidth: 0,
+                                        padding: '0.2rem 0.4rem',
+                                        background: 'var(--bg-tertiary)',
+                                        border: '1px solid var(--accent-primary)',
+                                        borderRadius: '0.25rem',
+                                        color: 'var(--text-primary)',
+                                        fontSize: '0.85rem'
+                                    }}
+                                    autoFocus
+                                />
+                                <button onClick={() => saveEdit(conversation.id)} title={t('common.save')} style={{ background: 'transparent', border: 'none', color: '#10b981', cursor: 'pointer', padding: 0, display: 'flex' }}>
+                                    <Check size={14} />
+                                </button>
+                                <button onClick={() => setEditingId(null)} title={t('common.cancel')} style={{ background: 'transparent', border: 'none', color: '#ef4444', cursor: 'pointer', padding: 0, display: 'flex' }}>
+                                    <X size={14} />
+                                </button>
+                            </>
+                        ) : (
+                            <>
+                                <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={conversation.title}>
+                                    {conversation.title}
+                                </span>
+                                <button
+                                    onClick={(e) => { e.stopPropagation(); startEdit(conversation); }}
+                                    title={t('sidebar.rename')}
+                                    style={{ background: 'transparent', border: 'none', color: 'var(--text-secondary)', cursor: 'pointer', padding: 0, display: 'flex' }}
+                                >
+                                    <Edit2 size={14} />
+                                </button>
+                                <button
+                                    onClick={(e) => { e.stopPropagation(); onDelete(conversation.id); }}
+                                    title={t('sidebar.delete')}
+                                    style={{ background: 'transparent', border: 'none', color: '#ef4444', cursor: 'pointer', padding: 0, display: 'flex' }}
+                                >
+                                    <Trash2 size={14} />
+                                </button>
+                            </>
+                        )}
+                    </div>
+                );
+            })}
+        </aside>
+    );
+}
@@ -0,0 +1,153 @@
+import { useState, useEffect, useMemo } from 'react';
+import { History, X } from 'lucide-react';
+import { diffArrays } from 'diff';
+import { supabase } from '../lib/supabase';
+import { useTranslation } from '../lib/i18n';
+
+// Unchanged runs longer than this are collapsed, keeping a little context
+const CONTEXT_SEGMENTS = 2;
+
+// Split document text into lines, and long lines (a PDF page is one line) into
+// sentences, so a changed date doesn't mark a whole page as changed
+function toSegments(content) {
+    return (content || '')
+        .split('\n')
+        .flatMap(line => line.length > 200 ? line.split(/(?<=[.!?])\s+/) : [line])
+        .map(segment => segment.trim())
+        .filter(Boolean);
+}
+
+function diffVersions(from, to) {
+    const rows = [];
+    for (const part of diffArrays(toSegments(from.content), toSegments(to.content))) {
+        const type = part.added ? 'added' : part.removed ? 'removed' : 'same';
+
+        if (type === 'same' && part.value.length > CONTEXT_SEGMENTS * 2 + 1) {
+            rows.push(...part.value.slice(0, CONTEXT_SEGMENTS).map(text => ({ type, text })));
+            rows.push({ type: 'skipped', count: part.value.length - CONTEXT_SEGMENTS * 2 });
+            rows.push(...part.value.slice(-CONTEXT_SEGMENTS).map(text => ({ type, text })));
+        } else {
+            rows.push(...part.value.map(text => ({ type, text })));
+        }
+    }
+    return rows;
+}
+
+const ROW_STYLES = {
+    added: { background: 'rgba(16, 185, 129, 0.12)', color: '#86efac', prefix: '+ ' },
+    removed: { background: 'rgba(239, 68, 68, 0.12)', color: '#fca5a5', prefix: '- ' },
+    same: { background: 'transparent', color: 'var(--text-secondary)', prefix: '  ' },
+    skipped: { background: 'transparent', color: 'var(--text-secondary)', prefix: '', fontStyle: 'italic' }
+};
+
+export default function DocumentHistory({ doc, onClose }) {
+    const [versions, setVersions] = useState([]);
+    const [fromId, setFromId] = useState(null);
+    const [toId, setToId] = useState(null);
+    const { t } = useTranslation();
+
+    useEffect(() => {
+        supabase
+            .from('documents')
+            .select('id, title, content, file_type, version, is_active, uploaded_at, replaced_at')
+            .eq('version_group_id', doc.version_group_id)
+            .order('version', { ascending: false })
+            .then(({ data, error }) => {
+                if (error) {
+                    console.error('Error fetching document versions:', error);
+                    return;
+                }
+                setVersions(data);
+                // Compare the current version with the one before it
+                setToId(data[0]?.id ?? null);
+                setFromId(data[1]?.id ?? data[0]?.id ?? null);
+            });
+    }, [doc.version_group_id]);
+
+    const from = versions.find(v => v.id === fromId);
+    const to = versions.find(v => v.id === toId);
+    const rows = useMemo(() => from && to ? diffVersions(from, to) : [], [from, to]);
+    const added = rows.filter(r => r.type === 'added').length;
+    const removed = rows.filter(r => r.type === 'removed').length;
+
+    const selectStyle = {
+        padding: '0.4rem 0.75rem',
+        background: 'var(--bg-secondary)',
+        border: '1px solid var(--glass-border)',
+        borderRadius: '0.5rem',
+        color: 'var(--text-primary)',
+        fontSize: '0.85rem'
+    };
+
+    const versionLabel = (v) => `v${v.version} · ${new Date(v.uploaded_at).toLocaleDateString()}${v.is_active ? ` ${t('history.current')}` : ''}`;
+
+    return (
+        <div style={{
+            position: 'fixed',
+            inset: 0,
+            background: 'rgba(0,0,0,0.7)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000,
+            padding: '1rem'
+        }} onClick={onClose}>
+            <div className="card" style={{ width: 'min(960px, 100%)', maxHeight: '90vh', display: 'flex', flexDirection: 'column' }} onClick={(e) => e.stopPropagation()}>
+                <div style={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', marginBottom: '1rem', gap: '1rem' }}>
+                    <div>
+                        <h2 style={{ fontSize: '1.25rem', fontWeight: 'bold', margin: 0, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                            <History size={20} /> {t('admin.version_history')}
+                        </h2>
+                        <p style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', margin: '0.25rem 0 0' }}>{doc.title}</p>
+                    </div>
+                    <button onClick={onClose} title={t('common.close')} style={{ background: 'transparent', border: 'none', color: 'var(--text-secondary)', cursor: 'pointer', padding: 0, display: 'flex' }}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {versions.length < 2 ? (
+                    <p style={{ color: 'var(--text-secondary)' }}>{versions.length === 0 ? t('history.loading') : t('history.no_versions')}</p>
+                ) : (
+                    <>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '1rem', flexWrap: 'wrap', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                            <span>{t('history.compare')}</span>
+                            <select value={fromId ?? ''} onChange={(e) => setFromId(Number(e.target.value))} style={selectStyle}>
+                                {versions.map(v => <option key={v.id} value={v.id}>{versionLabel(v)}</option>)}
+                            </select>
+                            <span>{t('history.with')}</span>
+                            <select value={toId ?? ''} onChange={(e) => setToId(Number(e.target.value))} style={selectStyle}>
+                                {versions.map(v => <option key={v.id} value={v.id}>{versionLabel(v)}</option>)}
+                            </select>
+                            <span style={{ marginLeft: 'auto' }}>
+                                <span style={{ color: '#86efac' }}>+{added}</span> / <span style={{ color: '#fca5a5' }}>-{removed}</span> {t('history.lines')}
+                            </span>
+                        </div>
+
+                        <div style={{
+                            flex: 1,
+                            overflowY: 'auto',
+                            background: 'var(--bg-secondary)',
+                            border: '1px solid var(--glass-border)',
+                            borderRadius: '0.5rem',
+                            padding: '0.5rem 0',
+                            fontFamily: 'monospace',
+                            fontSize: '0.8rem',
+                            lineHeight: '1.6'
+                        }}>
+                            {added === 0 && removed === 0 ? (
+                                <p style={{ color: 'var(--text-secondary)', padding: '0 1rem', fontFamily: 'inherit' }}>{t('history.no_changes')}</p>
+                            ) : rows.map((row, i) => {
+                                const { prefix, ...style } = ROW_STYLES[row.type];
+                                return (
+                                    <div key={i} style={{ ...style, padding: '0 1rem', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                                        {prefix}{row.type === 'skipped' ? t('history.unchanged', { count: row.count }) : row.text}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,283 @@
+import { useState, useEffect } from 'react';
+import { ListChecks, Plus, Edit2, Trash2, Save, X } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { embedTexts } from '../lib/chat';
+import { useTranslation } from '../lib/i18n';
+
+// Labels and hints are translated under faq.match_types
+const MATCH_TYPES = ['keywords', 'regex', 'semantic'];
+
+// Example questions are embedded in one request, and chat-handler embeds at
+// most this many texts at once (MAX_EMBEDDING_BATCH)
+const MAX_EXAMPLES = 32;
+
+const EMPTY_RULE = {
+    id: null,
+    name: '',
+    match_type: 'keywords',
+    patterns: '',
+    answer: '',
+    priority: 0,
+    similarity_threshold: 0.85,
+    is_active: true
+};
+
+async function fetchRules() {
+    const { data, error } = await supabase
+        .from('faq_rules')
+        .select('*')
+        .order('priority', { ascending: false })
+        .order('id', { ascending: true });
+
+    if (error) throw error;
+    return data;
+}
+
+function invalidRegex(patterns) {
+    return patterns.find(pattern => {
+        try {
+            new RegExp(pattern, 'iu');
+            return false;
+        } catch {
+            return true;
+        }
+    });
+}
+
+const inputStyle = {
+    width: '100%',
+    padding: '0.75rem 1rem',
+    background: 'var(--bg-secondary)',
+    border: '1px solid var(--glass-border)',
+    borderRadius: '0.5rem',
+    color: 'var(--text-primary)',
+    fontSize: '0.95rem',
+    outline: 'none',
+    fontFamily: 'inherit'
+};
+
+const labelStyle = { display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)', fontSize: '0.9rem' };
+
+export default function FaqRulesEditor({ user, onMessage }) {
+    const [rules, setRules] = useState([]);
+    const [editing, setEditing] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const { t } = useTranslation();
+
+    useEffect(() => {
+        fetchRules()
+            .then(setRules)
+            .catch(error => console.error('Error fetching FAQ rules:', error));
+    }, []);
+
+    function updateField(field, value) {
+        setEditing(prev => ({ ...prev, [field]: value }));
+    }
+
+    function startEdit(rule) {
+        setEditing({ ...rule, patterns: rule.patterns.join('\n') });
+    }
+
+    async function saveRule() {
+        const patterns = editing.patterns.split('\n').map(p => p.trim()).filter(Boolean);
+
+        if (!editing.name.trim() || !editing.answer.trim() || patterns.length === 0) {
+            onMessage({ type: 'error', text: t('faq.required_fields') });
+            return;
+        }
+
+        if (editing.match_type === 'semantic' && patterns.length > MAX_EXAMPLES) {
+            onMessage({ type: 'error', text: t('faq.too_many_examples', { count: patterns.length, max: MAX_EXAMPLES }) });
+            return;
+        }
+
+        const badPattern = editing.match_type === 'regex' && invalidRegex(patterns);
+        if (badPattern) {
+            onMessage({ type: 'error', text: t('faq.invalid_regex', { pattern: badPattern }) });
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const row = {
+                name: editing.name.trim(),
+                match_type: editing.match_type,
+                patterns,
+                answer: editing.answer.trim(),
+                priority: Number(editing.priority) || 0,
+                similarity_threshold: Number(editing.similarity_threshold),
+                is_active: editing.is_active
+            };
+
+            const { data: saved, error } = editing.id
+                ? await supabase.from('faq_rules').update(row).eq('id', editing.id).select().single()
+                : await supabase.from('faq_rules').insert({ ...row, created_by: user.id }).select().single();
+
+            if (error) throw error;
+
+            // Example questions are matched by embedding, so re-embed them on every save
+            const { error: deleteError } = await supabase.from('faq_rule_examples').delete().eq('rule_id', saved.id);
+            if (deleteError) throw deleteError;
+
+            if (saved.match_type === 'semantic') {
+                onMessage({ type: 'info', text: t('faq.embedding') });
+                const embeddings = await embedTexts(patterns);
+                const { error: examplesError } = await supabase.from('faq_rule_examples').insert(
+                    patterns.map((question, i) => ({ rule_id: saved.id, question, embedding: embeddings[i] }))
+                );
+                if (examplesError) throw examplesError;
+            }
+
+            setRules(await fetchRules());
+            setEditing(null);
+            onMessage({ type: 'success', text: t('faq.saved', { name: saved.name }) });
+        } catch (error) {
+            console.error('Error saving FAQ rule:', error);
+            onMessage({ type: 'error', text: t('faq.save_failed', { message: error.message }) });
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    async function toggleActive(rule) {
+        const { error } = await supabase.from('faq_rules').update({ is_active: !rule.is_active }).eq('id', rule.id);
+
+        if (error) {
+            console.error('Error updating FAQ rule:', error);
+            onMessage({ type: 'error', text: t('faq.update_failed') });
+            return;
+        }
+        setRules(prev => prev.map(r => r.id === rule.id ? { ...r, is_active: !r.is_active } : r));
+    }
+
+    async function deleteRule(rule) {
+        if (!confirm(t('faq.confirm_delete', { name: rule.name }))) return;
+
+        const { error } = await supabase.from('faq_rules').delete().eq('id', rule.id);
+
+        if (error) {
+            console.error('Error deleting FAQ rule:', error);
+            onMessage({ type: 'error', text: t('faq.delete_failed') });
+            return;
+        }
+        setRules(prev => prev.filter(r => r.id !== rule.id));
+        onMessage({ type: 'success', text: t('faq.deleted') });
+    }
+
+    return (
+        <div className="card" style={{ marginBottom: '2rem' }}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '1.5rem' }}>
+                <h2 style={{ fontSize: '1.25rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '0.5rem', margin: 0 }}>
+                    <ListChecks size={20} /> {t('faq.title')}
+                </h2>
+                {!editing && (
+                    <button onClick={() => setEditing(EMPTY_RULE)} className="btn btn-primary" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <Plus size={16} /> {t('faq.new_rule')}
+                    </button>
+                )}
+            </div>
+
+            {editing && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem', marginBottom: '1.5rem', padding: '1rem', background: 'var(--bg-secondary)', borderRadius: '0.5rem', border: '1px solid var(--glass-border)' }}>
+                    <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '1rem' }}>
+                        <div>
+                            <label style={labelStyle}>{t('faq.name')}</label>
+                            <input type="text" placeholder={t('faq.name_placeholder')} value={editing.name} onChange={(e) => updateField('name', e.target.value)} style={inputStyle} />
+                        </div>
+                        <div>
+                            <label style={labelStyle}>{t('faq.match_by')}</label>
+                            <select value={editing.match_type} onChange={(e) => updateField('match_type', e.target.value)} style={inputStyle}>
+                                {MATCH_TYPES.map(value => (
+                                    <option key={value} value={value}>{t(`faq.match_types.${value}.label`)}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label style={labelStyle}>{t('faq.priority')}</label>
+                            <input type="number" step="1" value={editing.priority} onChange={(e) => updateField('priority', e.target.value)} style={inputStyle} />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label style={labelStyle}>{t(`faq.match_types.${editing.match_type}.hint`)}</label>
+                        <textarea value={editing.patterns} onChange={(e) => updateField('patterns', e.target.value)} rows={4} style={{ ...inputStyle, resize: 'vertical', fontFamily: editing.match_type === 'regex' ? 'monospace' : 'inherit' }} />
+                    </div>
+
+                    {editing.match_type === 'semantic' && (
+                        <div style={{ maxWidth: '240px' }}>
+                            <label style={labelStyle}>{t('faq.min_similarity')}</label>
+                            <input type="number" min="0" max="1" step="0.01" value={editing.similarity_threshold} onChange={(e) => updateField('similarity_threshold', e.target.value)} style={inputStyle} />
+                        </div>
+                    )}
+
+                    <div>
+                        <label style={labelStyle}>{t('faq.answer')}</label>
+                        <textarea value={editing.answer} onChange={(e) => updateField('answer', e.target.value)} rows={4} style={{ ...inputStyle, resize: 'vertical' }} />
+                    </div>
+
+                    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: 'var(--text-secondary)', fontSize: '0.9rem', cursor: 'pointer' }}>
+                            <input type="checkbox" checked={editing.is_active} onChange={(e) => updateField('is_active', e.target.checked)} />
+                            {t('faq.active')}
+                        </label>
+                        <div style={{ display: 'flex', gap: '0.75rem' }}>
+                            <button onClick={() => setEditing(null)} disabled={saving} className="btn btn-secondary" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                <X size={16} /> {t('common.cancel')}
+                            </button>
+                            <button onClick={saveRule} disabled={saving} className="btn btn-primary" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                <Save size={16} /> {saving ? t('common.saving') : t('faq.save_rule')}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {rules.length === 0 ? (
+                <p style={{ color: 'var(--text-secondary)', textAlign: 'center', padding: '1rem' }}>{t('faq.empty')}</p>
+            ) : (
+                <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+                        <thead>
+                            <tr style={{ textAlign: 'left', color: 'var(--text-secondary)', borderBottom: '1px solid var(--glass-border)' }}>
+                                <th style={{ padding: '0.75rem 0.5rem' }}>{t('faq.rule')}</th>
+                                <th style={{ padding: '0.75rem 0.5rem' }}>{t('faq.match_by')}</th>
+                                <th style={{ padding: '0.75rem 0.5rem' }}>{t('faq.priority')}</th>
+                                <th style={{ padding: '0.75rem 0.5rem' }}>{t('faq.hits')}</th>
+                                <th style={{ padding: '0.75rem 0.5rem' }}>{t('faq.last_used')}</th>
+                                <th style={{ padding: '0.75rem 0.5rem' }}>{t('faq.active')}</th>
+                                <th style={{ padding: '0.75rem 0.5rem' }}></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rules.map(rule => (
+                                <tr key={rule.id} style={{ borderBottom: '1px solid var(--glass-border)', opacity: rule.is_active ? 1 : 0.6 }}>
+                                    <td style={{ padding: '0.75rem 0.5rem' }}>
+                                        <div style={{ fontWeight: '500' }}>{rule.name}</div>
+                                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>{rule.patterns.join(' · ')}</div>
+                                    </td>
+                                    <td style={{ padding: '0.75rem 0.5rem' }}>{MATCH_TYPES.includes(rule.match_type) ? t(`faq.match_types.${rule.match_type}.label`) : rule.match_type}</td>
+                                    <td style={{ padding: '0.75rem 0.5rem' }}>{rule.priority}</td>
+                                    <td style={{ padding: '0.75rem 0.5rem', fontWeight: 'bold' }}>{rule.hit_count}</td>
+                                    <td style={{ padding: '0.75rem 0.5rem', color: 'var(--text-secondary)' }}>
+                                        {rule.last_hit_at ? new Date(rule.last_hit_at).toLocaleString() : t('common.never')}
+                                    </td>
+                                    <td style={{ padding: '0.75rem 0.5rem' }}>
+                                        <input type="checkbox" checked={rule.is_active} onChange={() => toggleActive(rule)} />
+                                    </td>
+                                    <td style={{ padding: '0.75rem 0.5rem', whiteSpace: 'nowrap' }}>
+                                        <button onClick={() => startEdit(rule)} title={t('common.edit')} style={{ background: 'transparent', border: 'none', color: 'var(--text-secondary)', cursor: 'pointer', padding: '0.25rem' }}>
+                                            <Edit2 size={16} />
+                                        </button>
+                                        <button onClick={() => deleteRule(rule)} title={t('common.delete')} style={{ background: 'transparent', border: 'none', color: '#ef4444', cursor: 'pointer', padding: '0.25rem' }}>
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
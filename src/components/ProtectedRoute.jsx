@@ -1,14 +1,16 @@
 import { Navigate, Outlet } from 'react-router-dom';
 import { useAuth } from './AuthProvider';
 
-export default function ProtectedRoute({ requireAdmin = false }) {
-    const { user, isAdmin } = useAuth();
+// `permission` is a permission name, or a list of which any one is enough
+export default function ProtectedRoute({ permission = null }) {
+    const { user, hasPermission } = useAuth();
 
     if (!user) {
         return <Navigate to="/login" replace />;
     }
 
-    if (requireAdmin && !isAdmin) {
+    const required = [permission].flat().filter(Boolean);
+    if (required.length > 0 && !required.some(hasPermission)) {
         return <Navigate to="/" replace />;
     }
 
@@ -0,0 +1,348 @@
+import { useState, useEffect, useEffectEvent, useImperativeHandle, useRef } from 'react';
+import { Upload, FolderUp, RotateCcw, X, CheckCircle, AlertCircle, Loader, Clock, CalendarRange, Tag } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { useAuth } from './AuthProvider';
+import { ACCEPTED_FILE_TYPES, EXTRACTORS } from '../lib/extractors';
+import { claimNextJob, collectDroppedFiles, describeProgress, enqueueFiles, fetchJobs, MAX_FILE_SIZE, processJob, progressMessage, updateJob } from '../lib/ingestion';
+import { removeOriginals } from '../lib/storage';
+import { describeValidity } from '../lib/validity';
+import { useTranslation } from '../lib/i18n';
+import { ACCESS_LEVELS, CATEGORIES, DEFAULT_ACCESS_LEVEL, DEPARTMENTS, accessLevelLabel, categoryLabel, departmentLabel } from '../lib/taxonomy';
+
+const STATUS_STYLES = {
+    queued: { icon: Clock, color: 'var(--text-secondary)', labelKey: 'upload.status_queued' },
+    processing: { icon: Loader, color: '#93c5fd', labelKey: 'upload.status_processing' },
+    completed: { icon: CheckCircle, color: '#10b981', labelKey: 'upload.status_completed' },
+    failed: { icon: AlertCircle, color: '#ef4444', labelKey: 'upload.status_failed' }
+};
+
+export default function UploadQueue({ ref, user, onMessage, onIngested }) {
+    const [jobs, setJobs] = useState([]);
+    const [dragging, setDragging] = useState(false);
+    const [enqueueing, setEnqueueing] = useState(false);
+    const { t } = useTranslation();
+    // Tags, audience and optional validity window applied to the next files added
+    const [category, setCategory] = useState('');
+    const { department: ownDepartment, canManageDepartment } = useAuth();
+    // Department admins can only upload for their own department
+    const [department, setDepartment] = useState(canManageDepartment(null) ? '' : ownDepartment ?? '');
+    const [accessLevel, setAccessLevel] = useState(DEFAULT_ACCESS_LEVEL);
+    const [validFrom, setValidFrom] = useState('');
+    const [validUntil, setValidUntil] = useState('');
+    // Files picked in this session, so they don't have to be downloaded again
+    const filesRef = useRef(new Map());
+    const runningRef = useRef(false);
+
+    function upsertJob(job) {
+        setJobs(prev => prev.some(j => j.id === job.id)
+            ? prev.map(j => j.id === job.id ? job : j)
+            : [job, ...prev]);
+    }
+
+    // Work through queued jobs one file at a time (embedding is rate-limited)
+    async function runQueue() {
+        if (runningRef.current) return;
+        runningRef.current = true;
+
+        try {
+            for (let job = await claimNextJob(); job; job = await claimNextJob()) {
+                upsertJob(job);
+                const finished = await processJob(job, {
+                    userId: user.id,
+                    file: filesRef.current.get(job.id),
+                    onUpdate: upsertJob
+                });
+                filesRef.current.delete(job.id);
+                if (finished.status === 'completed') onIngested();
+            }
+        } catch (error) {
+            console.error('Ingestion queue error:', error);
+            onMessage({ type: 'error', text: t('upload.queue_stopped', { message: error.message }) });
+        } finally {
+            runningRef.current = false;
+        }
+    }
+
+    const resumeQueue = useEffectEvent(() => runQueue());
+
+    // Show the queue as it was before a reload and resume any unfinished jobs
+    useEffect(() => {
+        fetchJobs()
+            .then(data => {
+                setJobs(data);
+                resumeQueue();
+            })
+            .catch(error => console.error('Error fetching ingestion jobs:', error));
+    }, []);
+
+    async function addFiles(entries, options) {
+        if (entries.length === 0) return;
+        if (options.validFrom && options.validUntil && options.validFrom > options.validUntil) {
+            onMessage({ type: 'error', text: t('admin.invalid_date_range') });
+            return;
+        }
+
+        setEnqueueing(true);
+        try {
+            const { jobs: queued, files, skipped } = await enqueueFiles(entries, user.id, (done, total) => {
+                onMessage({ type: 'info', text: t('upload.adding_progress', { done, total }) });
+            }, options);
+
+            files.forEach((file, id) => filesRef.current.set(id, file));
+            setJobs(prev => [...[...queued].reverse(), ...prev]);
+
+            if (skipped.length > 0) {
+                const names = skipped.slice(0, 5).map(s => `${s.name} (${describeProgress(s.reason, t)})`).join(', ');
+                onMessage({
+                    type: queued.length > 0 ? 'info' : 'error',
+                    text: t('upload.queued_with_skipped', { count: queued.length, skipped: skipped.length, names: `${names}${skipped.length > 5 ? ', …' : ''}` })
+                });
+            } else {
+                onMessage({ type: 'success', text: t('upload.queued', { count: queued.length }) });
+            }
+        } finally {
+            setEnqueueing(false);
+        }
+
+        runQueue();
+    }
+
+    // Lets the document list queue a file as the next version of a document
+    useImperativeHandle(ref, () => ({
+        replaceDocument: (doc, file) => addFiles([{ file, relativePath: file.name }], { replacesDocumentId: doc.id })
+    }));
+
+    // New uploads take the tags and validity dates chosen above the drop zone
+    function addNewFiles(entries) {
+        return addFiles(entries, {
+            category: category || null,
+            department: department || null,
+            accessLevel,
+            validFrom: validFrom || null,
+            validUntil: validUntil || null
+        });
+    }
+
+    function handleFileInput(e) {
+        const entries = [...e.target.files].map(file => ({ file, relativePath: file.webkitRelativePath || file.name }));
+        e.target.value = null;
+        addNewFiles(entries);
+    }
+
+    async function handleDrop(e) {
+        e.preventDefault();
+        setDragging(false);
+        if (enqueueing) return;
+        addNewFiles(await collectDroppedFiles(e.dataTransfer));
+    }
+
+    async function retryJob(job) {
+        try {
+            upsertJob(await updateJob(job.id, { status: 'queued', error: null, progress: progressMessage('ingestion.waiting_retry') }));
+            runQueue();
+        } catch (error) {
+            console.error('Error retrying ingestion job:', error);
+            onMessage({ type: 'error', text: t('upload.retry_failed') });
+        }
+    }
+
+    async function removeJobs(toRemove) {
+        // Completed jobs' originals now belong to their documents. The others can
+        // only be removed while their job row exists.
+        await removeOriginals(toRemove.filter(j => j.status !== 'completed').map(j => j.storage_path));
+
+        const { error } = await supabase.from('ingestion_jobs').delete().in('id', toRemove.map(j => j.id));
+
+        if (error) {
+            console.error('Error removing ingestion jobs:', error);
+            onMessage({ type: 'error', text: t('upload.remove_failed') });
+            return;
+        }
+
+        setJobs(prev => prev.filter(j => !toRemove.some(r => r.id === j.id)));
+    }
+
+    const fieldStyle = {
+        padding: '0.4rem 0.75rem',
+        background: 'var(--bg-secondary)',
+        border: '1px solid var(--glass-border)',
+        borderRadius: '0.5rem',
+        color: 'var(--text-primary)',
+        fontSize: '0.85rem',
+        colorScheme: 'dark'
+    };
+
+    const counts = jobs.reduce((acc, job) => ({ ...acc, [job.status]: (acc[job.status] || 0) + 1 }), {});
+    const busy = enqueueing || (counts.queued || 0) + (counts.processing || 0) > 0;
+
+    return (
+        <div className="card" style={{ marginBottom: '2rem' }}>
+            <h2 style={{ fontSize: '1.25rem', fontWeight: 'bold', marginBottom: '1.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <Upload size={20} /> {t('upload.title')}
+            </h2>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.75rem', flexWrap: 'wrap', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                <Tag size={16} />
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    {t('admin.category')}
+                    <select value={category} onChange={(e) => setCategory(e.target.value)} style={fieldStyle}>
+                        <option value="">{t('common.none')}</option>
+                        {CATEGORIES.map(c => <option key={c.value} value={c.value}>{categoryLabel(c.value)}</option>)}
+                    </select>
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    {t('admin.department')}
+                    <select value={department} onChange={(e) => setDepartment(e.target.value)} style={fieldStyle}>
+                        {canManageDepartment(null) && <option value="">{t('common.all_departments')}</option>}
+                        {DEPARTMENTS.filter(d => canManageDepartment(d.value)).map(d => <option key={d.value} value={d.value}>{departmentLabel(d.value)}</option>)}
+                    </select>
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    {t('admin.visible_to')}
+                    <select value={accessLevel} onChange={(e) => setAccessLevel(e.target.value)} style={fieldStyle}>
+                        {ACCESS_LEVELS.map(a => <option key={a.value} value={a.value}>{accessLevelLabel(a.value)}</option>)}
+                    </select>
+                </label>
+            </div>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '1rem', flexWrap: 'wrap', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                <CalendarRange size={16} />
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    {t('upload.valid_from')}
+                    <input type="date" value={validFrom} max={validUntil || undefined} onChange={(e) => setValidFrom(e.target.value)} style={fieldStyle} />
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    {t('upload.valid_until')}
+                    <input type="date" value={validUntil} min={validFrom || undefined} onChange={(e) => setValidUntil(e.target.value)} style={fieldStyle} />
+                </label>
+                <span>{t('upload.validity_hint')}</span>
+            </div>
+
+            <div style={{
+                border: `2px dashed ${dragging ? 'var(--accent-primary)' : 'var(--glass-border)'}`,
+                borderRadius: '1rem',
+                padding: '3rem',
+                textAlign: 'center',
+                cursor: enqueueing ? 'wait' : 'pointer',
+                background: dragging ? 'rgba(102, 126, 234, 0.08)' : 'rgba(255,255,255,0.02)',
+                transition: 'all 0.2s'
+            }}
+                onClick={() => !enqueueing && document.getElementById('file-upload').click()}
+                onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+                onDragLeave={() => setDragging(false)}
+                onDrop={handleDrop}
+            >
+                <input
+                    type="file"
+                    id="file-upload"
+                    style={{ display: 'none' }}
+                    accept={ACCEPTED_FILE_TYPES}
+                    multiple
+                    onChange={handleFileInput}
+                    disabled={enqueueing}
+                />
+                <input
+                    type="file"
+                    id="folder-upload"
+                    style={{ display: 'none' }}
+                    webkitdirectory=""
+                    onChange={handleFileInput}
+                    disabled={enqueueing}
+                />
+                <div style={{
+                    width: '64px',
+                    height: '64px',
+                    borderRadius: '50%',
+                    background: 'var(--bg-secondary)',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    margin: '0 auto 1rem'
+                }}>
+                    <Upload size={32} color="var(--accent-primary)" />
+                </div>
+                <h3 style={{ fontSize: '1.1rem', marginBottom: '0.5rem' }}>
+                    {enqueueing ? t('upload.adding') : t('upload.drop_prompt')}
+                </h3>
+                <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', marginBottom: '1rem' }}>
+                    {t('upload.accepted_types', { types: EXTRACTORS.map(e => e.label).join(', '), size: MAX_FILE_SIZE / 1024 / 1024 })}
+                </p>
+                <button
+                    onClick={(e) => { e.stopPropagation(); document.getElementById('folder-upload').click(); }}
+                    disabled={enqueueing}
+                    className="btn btn-secondary"
+                    style={{ display: 'inline-flex', alignItems: 'center', gap: '0.5rem' }}
+                >
+                    <FolderUp size={16} /> {t('upload.choose_folder')}
+                </button>
+            </div>
+
+            {jobs.length > 0 && (
+                <div style={{ marginTop: '1.5rem' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '0.75rem', flexWrap: 'wrap', gap: '0.5rem' }}>
+                        <div style={{ display: 'flex', gap: '1rem', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                            {Object.entries(STATUS_STYLES).map(([status, { labelKey, color }]) => counts[status] ? (
+                                <span key={status} style={{ color }}>{t(labelKey)}: {counts[status]}</span>
+                            ) : null)}
+                            {busy && <span>{t('upload.keep_open')}</span>}
+                        </div>
+                        {counts.completed > 0 && (
+                            <button
+                                onClick={() => removeJobs(jobs.filter(j => j.status === 'completed'))}
+                                className="btn btn-secondary"
+                                style={{ fontSize: '0.8rem', padding: '0.35rem 0.75rem' }}
+                            >
+                                {t('upload.clear_finished')}
+                            </button>
+                        )}
+                    </div>
+
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', maxHeight: '360px', overflowY: 'auto' }}>
+                        {jobs.map(job => {
+                            const { icon: StatusIcon, color, labelKey } = STATUS_STYLES[job.status] ?? STATUS_STYLES.queued;
+                            const label = t(labelKey);
+                            return (
+                                <div key={job.id} style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: '0.75rem',
+                                    padding: '0.6rem 0.75rem',
+                                    background: 'var(--bg-secondary)',
+                                    border: '1px solid var(--glass-border)',
+                                    borderRadius: '0.5rem',
+                                    fontSize: '0.85rem'
+                                }}>
+                                    <StatusIcon size={16} color={color} style={{ flexShrink: 0 }} title={label} />
+                                    <div style={{ flex: 1, minWidth: 0 }}>
+                                        <div style={{ color: 'var(--text-primary)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={job.relative_path || job.file_name}>
+                                            {job.relative_path || job.file_name}
+                                            {job.replaces_document_id && <span style={{ color: 'var(--text-secondary)' }}> · {t('upload.new_version')}</span>}
+                                            {job.category && <span style={{ color: 'var(--text-secondary)' }}> · {categoryLabel(job.category)}</span>}
+                                            {job.department && <span style={{ color: 'var(--text-secondary)' }}> · {job.department}</span>}
+                                            {job.access_level && job.access_level !== DEFAULT_ACCESS_LEVEL && <span style={{ color: 'var(--text-secondary)' }}> · {accessLevelLabel(job.access_level)}</span>}
+                                            {describeValidity(job) && <span style={{ color: 'var(--text-secondary)' }}> · {describeValidity(job)}</span>}
+                                        </div>
+                                        <div style={{ color: job.status === 'failed' ? '#fca5a5' : 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                                            {job.status === 'failed' ? describeProgress(job.error, t) : describeProgress(job.progress, t) || label}
+                                            {job.attempts > 1 && ` · ${t('upload.attempt', { attempt: job.attempts })}`}
+                                        </div>
+                                    </div>
+                                    {job.status === 'failed' && (
+                                        <button onClick={() => retryJob(job)} title={t('upload.retry')} style={{ background: 'transparent', border: 'none', color: 'var(--accent-primary)', cursor: 'pointer', padding: '0.25rem', display: 'flex' }}>
+                                            <RotateCcw size={16} />
+                                        </button>
+                                    )}
+                                    {job.status !== 'processing' && (
+                                        <button onClick={() => removeJobs([job])} title={t('upload.remove')} style={{ background: 'transparent', border: 'none', color: 'var(--text-secondary)', cursor: 'pointer', padding: '0.25rem', display: 'flex' }}>
+                                            <X size={16} />
+                                        </button>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,26 @@
+import { supabase } from './supabase';
+
+/**
+ * Record an analytics event for the signed-in user.
+ * Events from the chat pipeline itself are recorded by the Edge Function; this is
+ * for actions that only happen in the browser (uploads, ratings).
+ * Never throws: a failed analytics insert must not break the UI.
+ * @param {string} eventType - e.g. 'upload', 'rating'
+ * @param {Object} metadata - Event details stored in analytics_events.metadata
+ */
+export async function trackEvent(eventType, metadata = {}) {
+    try {
+        const { data: { session } } = await supabase.auth.getSession();
+        if (!session?.user) return;
+
+        const { error } = await supabase.from('analytics_events').insert({
+            event_type: eventType,
+            user_id: session.user.id,
+            metadata
+        });
+
+        if (error) throw error;
+    } catch (error) {
+        console.error(`Failed to record ${eventType} event:`, error);
+    }
+}
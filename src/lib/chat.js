@@ -0,0 +1,243 @@
+import { supabase } from './supabase';
+import { translate } from './i18n';
+
+const FUNCTIONS_URL = `${import.meta.env.VITE_SUPABASE_URL}/functions/v1`;
+
+// Build an Error from an `{ error, retryAfter, maxChars }` body returned by the Edge Function
+function serverError(data) {
+    const error = new Error(data?.error || 'Invalid response from server');
+    error.retryAfter = data?.retryAfter;
+    error.maxChars = data?.maxChars;
+    return error;
+}
+
+// Map server and network errors to messages suitable for the chat window
+function toFriendlyError(error) {
+    if (error.message?.includes('Rate limit')) {
+        const friendly = new Error(`⏱️ ${error.retryAfter
+            ? translate('errors.rate_limit_wait', { count: error.retryAfter })
+            : translate('errors.rate_limit')}`);
+        friendly.retryAfter = error.retryAfter;
+        return friendly;
+    } else if (error.maxChars) {
+        return new Error(translate('errors.message_too_long', { max: error.maxChars }));
+    } else if (error.message?.includes('API key') || error.message?.includes('401')) {
+        return new Error(translate('errors.auth'));
+    } else if (error.message?.includes('quota') || error.message?.includes('429')) {
+        return new Error(translate('errors.quota'));
+    } else if (error.message?.includes('network') || error.message?.includes('fetch')) {
+        return new Error(translate('errors.network'));
+    }
+
+    return new Error(translate('errors.generate_failed', { message: error.message || translate('errors.unknown') }));
+}
+
+/**
+ * Stream a response from the Edge Function as server-sent events
+ * @param {Array} messages - Chat history
+ * @param {string} [language] - UI language code the answer should be written in
+ * @param {number} [conversationId] - Stored conversation to read earlier turns from
+ * @yields {{type: 'token', content: string} | {type: 'citations', citations: Array} | {type: 'done', response: string, searchQuery: ?string}}
+ */
+export async function* streamResponse(messages, language, conversationId) {
+    const { data: { session } } = await supabase.auth.getSession();
+
+    const res = await fetch(`${FUNCTIONS_URL}/chat-handler`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'apikey': import.meta.env.VITE_SUPABASE_ANON_KEY,
+            'Authorization': `Bearer ${session?.access_token ?? import.meta.env.VITE_SUPABASE_ANON_KEY}`
+        },
+        body: JSON.stringify({ messages, language, conversationId, stream: true })
+    });
+
+    if (!res.ok) {
+        throw new Error(`Edge Function returned ${res.status}`);
+    }
+
+    // Validation and auth errors still come back as a plain JSON body
+    if (!res.headers.get('content-type')?.includes('text/event-stream')) {
+        throw serverError(await res.json());
+    }
+
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const raw of events) {
+            if (!raw.startsWith('data:')) continue;
+            const event = JSON.parse(raw.slice(5).trim());
+
+            if (event.type === 'error') {
+                throw new Error(event.error);
+            }
+            yield event;
+        }
+    }
+}
+
+/**
+ * Generate a response using the Edge Function (which calls the configured LLM provider)
+ * @param {Array} messages - Chat history, or just the new question when `conversationId` is given
+ * @param {{onToken?: (token: string, text: string) => void, language?: string, conversationId?: number}} options - Pass `onToken`
+ *   to stream the response; it is called with each new token and the text received so far.
+ *   `language` is the UI language code the answer should be written in. With `conversationId`
+ *   the server reads earlier turns, and their summary, from the stored conversation.
+ * @returns {Promise<{response: string, citations: Array, searchQuery: ?string}>} `searchQuery`
+ *   is the standalone query the documents were searched with, when it differs from the question.
+ */
+export async function generateResponse(messages, { onToken, language, conversationId } = {}) {
+    try {
+        if (onToken) {
+            let response = '';
+            let citations = [];
+            let searchQuery = null;
+
+            for await (const event of streamResponse(messages, language, conversationId)) {
+                if (event.type === 'token') {
+                    response += event.content;
+                    onToken(event.content, response);
+                } else if (event.type === 'citations') {
+                    citations = event.citations || [];
+                } else if (event.type === 'done') {
+                    response = event.response;
+                    searchQuery = event.searchQuery ?? null;
+                }
+            }
+
+            if (!response) {
+                throw new Error('Invalid response from server');
+            }
+
+            return { response, citations, searchQuery };
+        }
+
+        const { data, error } = await supabase.functions.invoke('chat-handler', {
+            body: { messages, language, conversationId }
+        });
+
+        if (error) {
+            console.error('Edge Function Error:', error);
+            throw error;
+        }
+
+        if (data?.error) {
+            throw serverError(data);
+        }
+
+        if (!data || !data.response) {
+            throw new Error('Invalid response from server');
+        }
+
+        // Return the response with its citations and search query
+        return {
+            response: data.response,
+            citations: data.citations || [],
+            searchQuery: data.searchQuery ?? null
+        };
+    } catch (error) {
+        console.error('Chat Error:', error);
+
+        // User-friendly error messages
+        throw toFriendlyError(error);
+    }
+}
+
+/**
+ * Run one chat turn against a draft bot_settings version without publishing it (admins only)
+ * @param {Object} settings - Draft bot settings (persona, tone, refusal_message, canned_answers, temperature, max_tokens)
+ * @param {string} message - Test question
+ * @param {string} [language] - UI language code the answer should be written in
+ * @returns {Promise<{response: string, citations: Array, systemPrompt: string}>}
+ */
+export async function previewResponse(settings, message, language) {
+    const { data, error } = await supabase.functions.invoke('chat-handler', {
+        body: { action: 'preview', settings, language, messages: [{ role: 'user', content: message }] }
+    });
+
+    if (error) {
+        console.error('Preview Error:', error);
+        throw toFriendlyError(error);
+    }
+
+    if (data?.error) {
+        throw toFriendlyError(serverError(data));
+    }
+
+    return {
+        response: data.response,
+        citations: data.citations || [],
+        systemPrompt: data.systemPrompt
+    };
+}
+
+/**
+ * Generate embedding for text using the Edge Function
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]|null>} - Embedding vector or null
+ */
+export async function embedText(text) {
+    try {
+        const { data, error } = await supabase.functions.invoke('chat-handler', {
+            body: { action: 'embed', text }
+        });
+
+        if (error) {
+            console.error('Embedding Error:', error);
+            throw new Error(`Embedding failed: ${error.message || 'Unknown server error'}`);
+        }
+
+        if (!data || !data.embedding) {
+            if (data?.error) {
+                throw new Error(`Embedding API error: ${data.error}`);
+            }
+            throw new Error('No embedding returned from server');
+        }
+
+        return data.embedding;
+    } catch (error) {
+        console.error('Embedding failed:', error);
+        throw error; // Propagate error to caller
+    }
+}
+
+/**
+ * Generate embeddings for a batch of texts using the Edge Function
+ * @param {string[]} texts - Texts to embed (at most 32 per call)
+ * @returns {Promise<number[][]>} - One embedding vector per text, in order
+ */
+export async function embedTexts(texts) {
+    try {
+        const { data, error } = await supabase.functions.invoke('chat-handler', {
+            body: { action: 'embed', texts }
+        });
+
+        if (error) {
+            console.error('Embedding Error:', error);
+            throw new Error(`Embedding failed: ${error.message || 'Unknown server error'}`);
+        }
+
+        if (!data || !Array.isArray(data.embeddings)) {
+            if (data?.error) {
+                // Keep retryAfter so callers can wait out a rate limit
+                const apiError = new Error(`Embedding API error: ${data.error}`);
+                apiError.retryAfter = data.retryAfter;
+                throw apiError;
+            }
+            throw new Error('No embeddings returned from server');
+        }
+
+        return data.embeddings;
+    } catch (error) {
+        console.error('Embedding failed:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,86 @@
+// Passage size in characters. Kept well below the embedding model's input limit
+// so every chunk is embedded in full.
+export const CHUNK_SIZE = 1000;
+export const CHUNK_OVERLAP = 200;
+
+/**
+ * Join extracted pages into one document body, remembering where each page starts
+ * @param {Array<{pageNumber: number, text: string}>} pages
+ * @returns {{content: string, pageStarts: Array<{pageNumber: number, offset: number}>}}
+ */
+export function joinPages(pages) {
+    let content = '';
+    const pageStarts = [];
+
+    for (const page of pages) {
+        pageStarts.push({ pageNumber: page.pageNumber, offset: content.length });
+        content += page.text + '\n';
+    }
+
+    return { content, pageStarts };
+}
+
+function pageAt(pageStarts, offset) {
+    let pageNumber = pageStarts[0]?.pageNumber ?? 1;
+    for (const start of pageStarts) {
+        if (start.offset > offset) break;
+        pageNumber = start.pageNumber;
+    }
+    return pageNumber;
+}
+
+// Prefer to end a chunk on a paragraph, sentence or word boundary in the last
+// third of the window rather than cutting a word in half.
+function findBreak(content, start, end) {
+    if (end >= content.length) return content.length;
+
+    const minEnd = start + Math.floor((end - start) * 2 / 3);
+    const window = content.slice(minEnd, end);
+
+    for (const separator of ['\n\n', '\n', '. ', ' ']) {
+        const idx = window.lastIndexOf(separator);
+        if (idx !== -1) return minEnd + idx + separator.length;
+    }
+
+    return end;
+}
+
+/**
+ * Split a document into overlapping passages with page and offset metadata
+ * @param {Array<{pageNumber: number, text: string}>} pages - Extracted pages (a plain text file is one page)
+ * @param {{chunkSize?: number, overlap?: number}} options
+ * @returns {{content: string, chunks: Array<{chunk_index: number, content: string, page_number: number, start_offset: number, end_offset: number}>}}
+ */
+export function chunkDocument(pages, { chunkSize = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+    const { content, pageStarts } = joinPages(pages);
+    const chunks = [];
+    let start = 0;
+
+    while (start < content.length) {
+        let end = findBreak(content, start, start + chunkSize);
+        // A remainder shorter than the overlap would make a last chunk that is
+        // almost all repeated text, so it joins this chunk instead
+        if (content.length - end < overlap) end = content.length;
+
+        const text = content.slice(start, end).trim();
+
+        if (text) {
+            chunks.push({
+                chunk_index: chunks.length,
+                content: text,
+                page_number: pageAt(pageStarts, start),
+                start_offset: start,
+                end_offset: end
+            });
+        }
+
+        if (end >= content.length) break;
+
+        // Step back by the overlap, but always make progress
+        start = Math.max(end - overlap, start + 1);
+        const nextSpace = content.indexOf(' ', start);
+        if (nextSpace !== -1 && nextSpace < end) start = nextSpace + 1;
+    }
+
+    return { content, chunks };
+}
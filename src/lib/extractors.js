@@ -0,0 +1,256 @@
+import { extractPagesFromPdf } from './pdf';
+
+// Tags that start a new line of text when flattening HTML
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+    'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL',
+    'P', 'PRE', 'SECTION', 'TABLE', 'UL'
+]);
+
+function cleanText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Render table rows as readable lines. The first row is treated as the header,
+ * so each later row reads "Header: value; Header: value".
+ * @param {Array<Array<string>>} rows - Cell text, row by row
+ * @returns {Array<string>}
+ */
+export function formatTableRows(rows) {
+    const cleaned = rows
+        .map(row => row.map(cell => cleanText(String(cell ?? ''))))
+        .filter(row => row.some(Boolean));
+
+    if (cleaned.length < 2) {
+        return cleaned.map(row => row.filter(Boolean).join(' | '));
+    }
+
+    const [header, ...body] = cleaned;
+    return body.map(row => row
+        .map((cell, i) => {
+            if (!cell) return null;
+            return header[i] ? `${header[i]}: ${cell}` : cell;
+        })
+        .filter(Boolean)
+        .join('; '));
+}
+
+function tableToLines(table) {
+    const rows = [...table.rows].map(row => [...row.cells].map(cell => cell.textContent));
+    return formatTableRows(rows);
+}
+
+function isBlock(element) {
+    return BLOCK_TAGS.has(element.tagName) || element.querySelector([...BLOCK_TAGS].join(',')) !== null;
+}
+
+// Walk the DOM, emitting one line per block element and per table row
+function collectLines(node, lines) {
+    let inline = '';
+    const flush = () => {
+        const text = cleanText(inline);
+        if (text) lines.push(text);
+        inline = '';
+    };
+
+    for (const child of node.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+            inline += child.textContent;
+        } else if (child.nodeType !== Node.ELEMENT_NODE) {
+            continue;
+        } else if (child.tagName === 'BR') {
+            flush();
+        } else if (child.tagName === 'TABLE') {
+            flush();
+            lines.push(...tableToLines(child));
+        } else if (isBlock(child)) {
+            flush();
+            const first = lines.length;
+            collectLines(child, lines);
+            if (child.tagName === 'LI' && lines.length > first) {
+                lines[first] = `- ${lines[first]}`;
+            }
+        } else {
+            inline += child.textContent;
+        }
+    }
+
+    flush();
+}
+
+/**
+ * Convert HTML into plain text, one line per paragraph, list item or table row
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.querySelectorAll('script, style, noscript, template').forEach(el => el.remove());
+
+    const lines = [];
+    collectLines(doc.body, lines);
+    return lines.join('\n');
+}
+
+const MD_TABLE_SEPARATOR = /^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?$/;
+
+function splitMarkdownRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|');
+}
+
+function stripInlineMarkdown(text) {
+    return text
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(\*|_)(\S(?:.*?\S)?)\1/g, '$2')
+        .replace(/~~(.+?)~~/g, '$1');
+}
+
+/**
+ * Convert Markdown into plain text, keeping paragraphs and list items and
+ * rendering tables as readable rows
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToText(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const output = [];
+    let inCode = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (/^\s*(```|~~~)/.test(line)) {
+            inCode = !inCode;
+            continue;
+        }
+        if (inCode) {
+            output.push(line);
+            continue;
+        }
+
+        // A table is a header row followed by a |---|---| separator
+        if (line.includes('|') && MD_TABLE_SEPARATOR.test(lines[i + 1]?.trim() ?? '')) {
+            const rows = [splitMarkdownRow(line)];
+            i += 2;
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                rows.push(splitMarkdownRow(lines[i]));
+                i++;
+            }
+            i--;
+            output.push(...formatTableRows(rows.map(row => row.map(stripInlineMarkdown))));
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) continue;
+
+        output.push(stripInlineMarkdown(line
+            .replace(/^\s{0,3}#{1,6}\s+/, '')
+            .replace(/\s+#+\s*$/, '')
+            .replace(/^\s*>\s?/, '')
+            .replace(/^(\s*)[*+]\s+/, '$1- ')));
+    }
+
+    return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+async function extractDocx(file) {
+    const { default: mammoth } = await import('mammoth');
+    const { value: html } = await mammoth.convertToHtml({ arrayBuffer: await file.arrayBuffer() });
+    return [{ pageNumber: 1, text: htmlToText(html) }];
+}
+
+// Every sheet becomes a "page", so citations point at the right sheet
+async function extractSpreadsheet(file) {
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+
+    return workbook.SheetNames.map((name, idx) => {
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, blankrows: false, defval: '', raw: false });
+        const lines = formatTableRows(rows);
+        const text = workbook.SheetNames.length > 1 ? [`Sheet: ${name}`, ...lines].join('\n') : lines.join('\n');
+        return { pageNumber: idx + 1, text };
+    });
+}
+
+/**
+ * Supported upload formats. `type` is stored as the document's file_type.
+ * Each `extract(file, { onProgress })` returns the document's pages as
+ * [{ pageNumber, text }]; PDF pages read by OCR also carry `ocrConfidence`.
+ */
+export const EXTRACTORS = [
+    {
+        type: 'pdf',
+        label: 'PDF',
+        extensions: ['.pdf'],
+        mimeTypes: ['application/pdf'],
+        extract: extractPagesFromPdf
+    },
+    {
+        type: 'docx',
+        label: 'Word',
+        extensions: ['.docx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        extract: extractDocx
+    },
+    {
+        type: 'xlsx',
+        label: 'Excel',
+        extensions: ['.xlsx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+        extract: extractSpreadsheet
+    },
+    {
+        type: 'xls',
+        label: 'Excel 97-2003',
+        extensions: ['.xls'],
+        mimeTypes: ['application/vnd.ms-excel'],
+        extract: extractSpreadsheet
+    },
+    {
+        type: 'csv',
+        label: 'CSV',
+        extensions: ['.csv'],
+        mimeTypes: ['text/csv'],
+        extract: extractSpreadsheet
+    },
+    {
+        type: 'html',
+        label: 'HTML',
+        extensions: ['.html', '.htm'],
+        mimeTypes: ['text/html'],
+        extract: async (file) => [{ pageNumber: 1, text: htmlToText(await file.text()) }]
+    },
+    {
+        type: 'md',
+        label: 'Markdown',
+        extensions: ['.md', '.markdown'],
+        mimeTypes: ['text/markdown', 'text/x-markdown'],
+        extract: async (file) => [{ pageNumber: 1, text: markdownToText(await file.text()) }]
+    },
+    {
+        type: 'txt',
+        label: 'TXT',
+        extensions: ['.txt'],
+        mimeTypes: ['text/plain'],
+        extract: async (file) => [{ pageNumber: 1, text: await file.text() }]
+    }
+];
+
+// Value for an <input type="file"> accept attribute
+export const ACCEPTED_FILE_TYPES = EXTRACTORS.flatMap(e => e.extensions).join(',');
+
+/**
+ * Find the extractor for a file by extension, falling back to its MIME type
+ * (browsers report an empty or generic type for many of these formats)
+ * @param {File} file
+ * @returns {object|undefined}
+ */
+export function findExtractor(file) {
+    const name = file.name.toLowerCase();
+    return EXTRACTORS.find(e => e.extensions.some(ext => name.endsWith(ext)))
+        ?? EXTRACTORS.find(e => e.mimeTypes.includes(file.type));
+}
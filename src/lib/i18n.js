@@ -1,46 +1,172 @@
-import { useState, useEffect } from 'react';
+import { useSyncExternalStore } from 'react';
 import en from '../i18n/en.json';
-import es from '../i18n/es.json';
-import hi from '../i18n/hi.json';
-import fr from '../i18n/fr.json';
 
-const translations = { en, es, hi, fr };
+// Strings missing from a translation fall back to English, so it ships with
+// the app; the other languages are fetched the first time they are used
+const DEFAULT_LANGUAGE = 'en';
 
-// Get browser language or default to English
-const getBrowserLanguage = () => {
-    const lang = navigator.language.split('-')[0]; // Get 'en' from 'en-US'
-    return translations[lang] ? lang : 'en';
+const loaders = {
+    es: () => import('../i18n/es.json'),
+    hi: () => import('../i18n/hi.json'),
+    fr: () => import('../i18n/fr.json'),
+    kn: () => import('../i18n/kn.json')
 };
 
-// Create i18n context
-export const useTranslation = () => {
-    const [language, setLanguage] = useState(() => {
-        return localStorage.getItem('language') || getBrowserLanguage();
-    });
-
-    const t = (key) => {
-        const keys = key.split('.');
-        let value = translations[language];
-
-        for (const k of keys) {
-            value = value?.[k];
-        }
-
-        return value || key;
-    };
-
-    const changeLanguage = (lang) => {
-        setLanguage(lang);
-        localStorage.setItem('language', lang);
-    };
-
-    return { t, language, changeLanguage, languages: Object.keys(translations) };
-};
+export const languages = [DEFAULT_LANGUAGE, ...Object.keys(loaders)];
 
 // Language names for display
 export const languageNames = {
     en: 'English',
     es: 'Español',
     hi: 'हिंदी',
-    fr: 'Français'
+    fr: 'Français',
+    kn: 'ಕನ್ನಡ'
+};
+
+const bundles = { [DEFAULT_LANGUAGE]: en };
+
+/**
+ * The languages to look a string up in, most specific first: 'kn-IN' gives
+ * ['kn-IN', 'kn', 'en']. Every chain ends in English.
+ * @param {string} language
+ * @returns {string[]}
+ */
+export function fallbackChain(language) {
+    const parts = language.split('-');
+    const chain = parts.map((part, i) => parts.slice(0, parts.length - i).join('-'));
+    return chain.includes(DEFAULT_LANGUAGE) ? chain : [...chain, DEFAULT_LANGUAGE];
+}
+
+// The first language in the chain that we have a translation for
+function supportedLanguage(language) {
+    return fallbackChain(language).find(lang => languages.includes(lang));
+}
+
+let currentLanguage = DEFAULT_LANGUAGE;
+let requestedLanguage = DEFAULT_LANGUAGE;
+
+// The language is shared by every component, so switching it in the chat
+// header re-renders the whole app
+const listeners = new Set();
+
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export function getLanguage() {
+    return currentLanguage;
+}
+
+async function loadLanguage(lang) {
+    if (!bundles[lang]) {
+        bundles[lang] = (await loaders[lang]()).default;
+    }
+}
+
+/**
+ * Switch the app to another language once its strings have loaded. If the
+ * bundle cannot be fetched the current language stays.
+ * @param {string} lang
+ */
+export async function changeLanguage(lang) {
+    const language = supportedLanguage(lang);
+    requestedLanguage = language;
+
+    try {
+        await loadLanguage(language);
+    } catch (error) {
+        console.error(`Error loading the ${language} translations:`, error);
+        return;
+    }
+
+    // A later switch won while this bundle was loading
+    if (requestedLanguage !== language || language === currentLanguage) return;
+
+    currentLanguage = language;
+    localStorage.setItem('language', language);
+    document.documentElement.lang = language;
+    listeners.forEach(listener => listener());
+}
+
+/**
+ * Load the saved language, or the browser's, before the app first renders.
+ * @returns {Promise<void>}
+ */
+export function initLanguage() {
+    document.documentElement.lang = currentLanguage;
+    return changeLanguage(localStorage.getItem('language') || navigator.language);
+}
+
+function lookup(language, key) {
+    let value = bundles[language];
+    for (const k of key.split('.')) {
+        value = value?.[k];
+    }
+    return value;
+}
+
+// The entry for a key from the first language in the chain that has it
+function findEntry(key, language) {
+    for (const lang of fallbackChain(language)) {
+        const value = lookup(lang, key);
+        if (value != null) return { value, entryLanguage: lang };
+    }
+    return { value: undefined, entryLanguage: language };
+}
+
+/**
+ * Whether a key has a translation, for labels that may only exist in the database.
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasTranslation(key) {
+    return findEntry(key, currentLanguage).value !== undefined;
+}
+
+// Warn once per key, in development only, about strings no language has
+const reportedMissing = new Set();
+
+function reportMissing(key) {
+    if (!import.meta.env.DEV || reportedMissing.has(key)) return;
+    reportedMissing.add(key);
+    console.warn(`Missing translation for "${key}"`);
+}
+
+/**
+ * Translate a dotted key such as 'chat.placeholder'.
+ * The key is looked up along the language's fallback chain. `{{name}}`
+ * placeholders are filled from `params`, formatting numbers for the
+ * language. When the entry is an object
+ * of plural forms ({ one, other, ... }), `params.count` picks the form using
+ * the plural rules of the language the entry came from.
+ * @param {string} key
+ * @param {Object} [params]
+ * @param {string} [language] - Defaults to the current language
+ * @returns {string} The translation, or the key itself when there is none
+ */
+export function translate(key, params = {}, language = currentLanguage) {
+    let { value, entryLanguage } = findEntry(key, language);
+
+    if (value && typeof value === 'object' && typeof params.count === 'number') {
+        value = value[new Intl.PluralRules(entryLanguage).select(params.count)] ?? value.other;
+    }
+
+    if (typeof value !== 'string') {
+        reportMissing(key);
+        return key;
+    }
+    return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        const param = params[name];
+        if (param == null) return match;
+        return typeof param === 'number' ? param.toLocaleString(language) : param;
+    });
+}
+
+export const useTranslation = () => {
+    const language = useSyncExternalStore(subscribe, getLanguage);
+
+    const t = (key, params) => translate(key, params, language);
+
+    return { t, language, changeLanguage, languages };
 };
@@ -0,0 +1,489 @@
+import { supabase } from './supabase';
+import { embedTexts } from './chat';
+import { chunkDocument } from './chunking';
+import { findExtractor } from './extractors';
+import { trackEvent } from './analytics';
+import { downloadOriginal, removeOriginals, uploadOriginal } from './storage';
+import { DEFAULT_ACCESS_LEVEL } from './taxonomy';
+
+export const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Number of chunks sent to the embedding endpoint per request
+const EMBED_BATCH_SIZE = 16;
+
+// Attempts per embedding batch before the job fails
+const EMBED_MAX_ATTEMPTS = 4;
+
+// A processing job that hasn't been updated for this long was interrupted
+// (tab closed or reloaded) and is put back in the queue
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+/**
+ * A job's progress as stored in ingestion_jobs.progress: a translation key and
+ * its parameters, so the upload queue shows it in each admin's language.
+ * @param {string} key - e.g. 'ingestion.embedding'
+ * @param {Object} [params]
+ * @returns {string}
+ */
+export function progressMessage(key, params = {}) {
+    return JSON.stringify({ key, ...params });
+}
+
+// An Error whose message is a progressMessage(), so it can be stored in
+// ingestion_jobs.error and translated like progress
+function ingestionError(key, params) {
+    return new Error(progressMessage(key, params));
+}
+
+/**
+ * Translate a stored progress message, job error or skip reason. Rows saved
+ * before these were translatable, and errors passed on from the server, hold
+ * plain text, shown as it is.
+ * @param {?string} progress
+ * @param {function(string, Object): string} t
+ * @returns {?string}
+ */
+export function describeProgress(progress, t) {
+    if (!progress) return null;
+    try {
+        const { key, ...params } = JSON.parse(progress);
+        if (typeof key === 'string') return t(key, params);
+    } catch {
+        // Plain text from an older row
+    }
+    return progress;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Read every file below a dropped directory entry
+function readEntry(entry, path = '') {
+    if (entry.isFile) {
+        return new Promise((resolve, reject) => {
+            entry.file(file => resolve([{ file, relativePath: `${path}${file.name}` }]), reject);
+        });
+    }
+
+    if (!entry.isDirectory) return Promise.resolve([]);
+
+    const reader = entry.createReader();
+    const readBatch = () => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+    return (async () => {
+        const results = [];
+        // readEntries returns at most ~100 entries per call
+        for (let batch = await readBatch(); batch.length > 0; batch = await readBatch()) {
+            for (const child of batch) {
+                results.push(...await readEntry(child, `${path}${entry.name}/`));
+            }
+        }
+        return results;
+    })();
+}
+
+/**
+ * Collect the files from a drop, walking into dropped folders
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<{file: File, relativePath: string}>>}
+ */
+export async function collectDroppedFiles(dataTransfer) {
+    const entries = [...(dataTransfer.items ?? [])]
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+
+    if (entries.length === 0) {
+        return [...dataTransfer.files].map(file => ({ file, relativePath: file.name }));
+    }
+
+    const nested = await Promise.all(entries.map(entry => readEntry(entry)));
+    return nested.flat();
+}
+
+/**
+ * Store each file's original and add it to the ingestion queue
+ * @param {Array<{file: File, relativePath?: string}>} entries
+ * @param {string} userId
+ * @param {function(number, number): void} [onProgress] - (queued, total)
+ * @param {{replacesDocumentId?: number, validFrom?: string, validUntil?: string, category?: string, department?: string, accessLevel?: string}} [options]
+ *   `replacesDocumentId` queues the file as a new version of a document; `validFrom` and
+ *   `validUntil` (YYYY-MM-DD) limit when the documents are used in answers; `category` and
+ *   `department` tag the documents; `accessLevel` limits who can read them
+ * @returns {Promise<{jobs: Array, files: Map<number, File>, skipped: Array<{name: string, reason: string}>}>}
+ */
+export async function enqueueFiles(entries, userId, onProgress, { replacesDocumentId = null, validFrom = null, validUntil = null, category = null, department = null, accessLevel = null } = {}) {
+    const batchId = crypto.randomUUID();
+    const jobs = [];
+    const files = new Map();
+    const skipped = [];
+
+    for (const [idx, { file, relativePath }] of entries.entries()) {
+        const extractor = findExtractor(file);
+        if (!extractor) {
+            skipped.push({ name: relativePath || file.name, reason: progressMessage('ingestion.skip_unsupported') });
+            continue;
+        }
+        if (file.size > MAX_FILE_SIZE) {
+            skipped.push({ name: relativePath || file.name, reason: progressMessage('ingestion.skip_too_large', { size: MAX_FILE_SIZE / 1024 / 1024 }) });
+            continue;
+        }
+
+        try {
+            const storagePath = await uploadOriginal(file);
+            const { data: job, error } = await supabase.from('ingestion_jobs').insert({
+                batch_id: batchId,
+                file_name: file.name,
+                relative_path: relativePath && relativePath !== file.name ? relativePath : null,
+                file_type: extractor.type,
+                file_size: file.size,
+                storage_path: storagePath,
+                replaces_document_id: replacesDocumentId,
+                valid_from: validFrom,
+                valid_until: validUntil,
+                category,
+                department,
+                access_level: accessLevel ?? DEFAULT_ACCESS_LEVEL,
+                created_by: userId
+            }).select().single();
+
+            if (error) {
+                await removeOriginals([storagePath]);
+                throw error;
+            }
+
+            jobs.push(job);
+            files.set(job.id, file);
+        } catch (error) {
+            console.error('Error queueing file:', error);
+            skipped.push({ name: relativePath || file.name, reason: error.message });
+        }
+
+        onProgress?.(idx + 1, entries.length);
+    }
+
+    return { jobs, files, skipped };
+}
+
+/**
+ * Recent ingestion jobs, newest first. Interrupted jobs are re-queued first.
+ * @returns {Promise<Array>}
+ */
+export async function fetchJobs() {
+    const staleBefore = new Date(Date.now() - STALE_JOB_MS).toISOString();
+    const { error: requeueError } = await supabase
+        .from('ingestion_jobs')
+        .update({ status: 'queued', progress: progressMessage('ingestion.interrupted') })
+        .eq('status', 'processing')
+        .lt('updated_at', staleBefore);
+
+    if (requeueError) console.error('Error re-queueing interrupted jobs:', requeueError);
+
+    const { data, error } = await supabase
+        .from('ingestion_jobs')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(200);
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Update a job and return the updated row
+ * @param {number} id
+ * @param {object} patch
+ */
+export async function updateJob(id, patch) {
+    const { data, error } = await supabase.from('ingestion_jobs').update(patch).eq('id', id).select().single();
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Claim the oldest queued job. The status check in the update makes the claim
+ * atomic, so two open Admin tabs never process the same file.
+ * @returns {Promise<object|null>}
+ */
+export async function claimNextJob() {
+    while (true) {
+        const { data: next, error } = await supabase
+            .from('ingestion_jobs')
+            .select('id, attempts')
+            .eq('status', 'queued')
+            .order('created_at', { ascending: true })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!next) return null;
+
+        const { data: claimed, error: claimError } = await supabase
+            .from('ingestion_jobs')
+            .update({ status: 'processing', progress: progressMessage('ingestion.starting'), error: null, attempts: next.attempts + 1 })
+            .eq('id', next.id)
+            .eq('status', 'queued')
+            .select()
+            .maybeSingle();
+
+        if (claimError) throw claimError;
+        if (claimed) return claimed;
+    }
+}
+
+// Embed one batch, waiting out rate limits and retrying transient failures
+async function embedWithRetry(texts, onRetry) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await embedTexts(texts);
+        } catch (error) {
+            if (attempt >= EMBED_MAX_ATTEMPTS) throw error;
+
+            const delay = error.retryAfter ? error.retryAfter * 1000 : 2000 * 2 ** (attempt - 1);
+            onRetry?.(attempt, delay, error);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Extract, chunk, embed and save one file as a document
+ * @param {File} file
+ * @param {{userId: string, storagePath?: string, replacesDocumentId?: number, validFrom?: string, validUntil?: string, category?: string, department?: string, accessLevel?: string, onProgress?: function(string): void}} options
+ *   With `replacesDocumentId` the file becomes the new active version of that document.
+ *   `onProgress` is called with progressMessage() strings.
+ * @returns {Promise<{documentId: number, pageCount: number, ocrPages: Array, chunkCount: number}>}
+ */
+export async function ingestFile(file, { userId, storagePath = null, replacesDocumentId = null, validFrom = null, validUntil = null, category = null, department = null, accessLevel = null, onProgress }) {
+    const extractor = findExtractor(file);
+    if (!extractor) throw ingestionError('ingestion.error_unsupported');
+    if (validFrom && validUntil && validFrom > validUntil) {
+        throw ingestionError('ingestion.error_dates');
+    }
+
+    // A new version keeps the title, tags and access level admins gave the
+    // document, and its validity dates unless new ones were chosen
+    let title = file.name;
+    let tags = [];
+    if (replacesDocumentId) {
+        const { data: previous, error } = await supabase
+            .from('documents')
+            .select('title, valid_from, valid_until, category, department, tags, access_level')
+            .eq('id', replacesDocumentId)
+            .single();
+
+        if (error) throw ingestionError('ingestion.error_replaced_missing', { message: error.message });
+        title = previous.title;
+        category = category ?? previous.category;
+        department = department ?? previous.department;
+        tags = previous.tags ?? [];
+        accessLevel = previous.access_level;
+        if (!validFrom && !validUntil) {
+            validFrom = previous.valid_from;
+            validUntil = previous.valid_until;
+        }
+    }
+
+    onProgress?.(progressMessage('ingestion.extracting', { type: extractor.label }));
+    const pages = await extractor.extract(file, {
+        onProgress: ({ pageNumber, pageCount, ocr, confidence }) => {
+            if (!ocr) return;
+            onProgress?.(confidence === undefined
+                ? progressMessage('ingestion.ocr_running', { page: pageNumber, pages: pageCount })
+                : progressMessage('ingestion.ocr_done', { page: pageNumber, pages: pageCount, confidence }));
+        }
+    });
+
+    // Remember scanned pages so they can be reviewed after upload
+    const ocrPages = pages
+        .filter(page => page.ocrConfidence !== undefined)
+        .map(page => ({ page_number: page.pageNumber, confidence: page.ocrConfidence }));
+
+    const { content, chunks } = chunkDocument(pages);
+    if (!content.trim() || chunks.length === 0) {
+        throw ingestionError('ingestion.error_empty');
+    }
+
+    for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+        onProgress?.(progressMessage('ingestion.embedding', { done: i, total: chunks.length }));
+        const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+        const embeddings = await embedWithRetry(batch.map(chunk => chunk.content), (attempt, delay) => {
+            onProgress?.(progressMessage('ingestion.embedding_retry', { done: i, total: chunks.length, attempt, seconds: Math.ceil(delay / 1000) }));
+        });
+        batch.forEach((chunk, j) => { chunk.embedding = embeddings[j]; });
+    }
+
+    onProgress?.(progressMessage('ingestion.saving'));
+    const { data: inserted, error } = await supabase.from('documents').insert({
+        title,
+        content: content,
+        file_type: extractor.type,
+        ocr_pages: ocrPages.length > 0 ? ocrPages : null,
+        storage_path: storagePath,
+        valid_from: validFrom,
+        valid_until: validUntil,
+        category,
+        department,
+        tags,
+        access_level: accessLevel ?? DEFAULT_ACCESS_LEVEL,
+        uploaded_by: userId
+    }).select('id').single();
+
+    if (error) {
+        if (error.code === '23505') {
+            throw ingestionError('ingestion.error_duplicate');
+        }
+        throw ingestionError('ingestion.error_database', { message: error.message });
+    }
+
+    const { error: chunkError } = await supabase.from('document_chunks').insert(
+        chunks.map(chunk => ({ ...chunk, document_id: inserted.id }))
+    );
+
+    if (chunkError) {
+        // Don't leave a document behind that can never be retrieved
+        await supabase.from('documents').delete().eq('id', inserted.id);
+        throw ingestionError('ingestion.error_database', { message: chunkError.message });
+    }
+
+    if (replacesDocumentId) {
+        const { error: versionError } = await supabase.rpc('publish_document_version', {
+            p_old_id: replacesDocumentId,
+            p_new_id: inserted.id
+        });
+
+        if (versionError) {
+            // Keep the previous version active rather than having two
+            await supabase.from('documents').delete().eq('id', inserted.id);
+            throw ingestionError('ingestion.error_versioning', { message: versionError.message });
+        }
+    }
+
+    return { documentId: inserted.id, pageCount: pages.length, ocrPages, chunkCount: chunks.length };
+}
+
+/**
+ * Split a document carried over from before chunking (one whole-document
+ * passage, flagged needs_reindex by chunking_setup.sql) into passages from its
+ * stored text, and embed them
+ * @param {{id: number, content: string}} doc
+ * @returns {Promise<number>} The number of passages
+ */
+export async function reindexDocument(doc) {
+    const { chunks } = chunkDocument([{ pageNumber: 1, text: doc.content ?? '' }]);
+    if (chunks.length === 0) {
+        throw ingestionError('ingestion.error_no_text');
+    }
+
+    for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+        const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+        const embeddings = await embedWithRetry(batch.map(chunk => chunk.content));
+        batch.forEach((chunk, j) => { chunk.embedding = embeddings[j]; });
+    }
+
+    const { data: previous, error: previousError } = await supabase
+        .from('document_chunks')
+        .select('chunk_index, content, page_number, start_offset, end_offset, embedding')
+        .eq('document_id', doc.id);
+    if (previousError) throw ingestionError('ingestion.error_database', { message: previousError.message });
+
+    const { error: deleteError } = await supabase.from('document_chunks').delete().eq('document_id', doc.id);
+    if (deleteError) throw ingestionError('ingestion.error_database', { message: deleteError.message });
+
+    const { error: chunkError } = await supabase.from('document_chunks').insert(
+        chunks.map(chunk => ({ ...chunk, document_id: doc.id }))
+    );
+
+    if (chunkError) {
+        // Put the old passage back so the document stays searchable
+        const { error: restoreError } = await supabase
+            .from('document_chunks')
+            .insert(previous.map(chunk => ({ ...chunk, document_id: doc.id })));
+        if (restoreError) {
+            throw ingestionError('ingestion.error_restore_failed', { message: chunkError.message, restore: restoreError.message });
+        }
+        throw ingestionError('ingestion.error_database', { message: chunkError.message });
+    }
+
+    const { error: flagError } = await supabase.from('documents').update({ needs_reindex: false }).eq('id', doc.id);
+    if (flagError) throw ingestionError('ingestion.error_database', { message: flagError.message });
+
+    return chunks.length;
+}
+
+/**
+ * Run a claimed job to completion, recording progress and the outcome on the job row
+ * @param {object} job - Claimed ingestion_jobs row
+ * @param {{userId: string, file?: File, onUpdate: function(object): void}} options
+ *   `file` is the picked file when it is still in memory; otherwise the stored original is used
+ * @returns {Promise<object>} The final job row
+ */
+export async function processJob(job, { userId, file, onUpdate }) {
+    const startedAt = Date.now();
+    let lastWriteAt = 0;
+    let writes = Promise.resolve();
+
+    // Progress is saved at most once a second; status changes always are.
+    // Writes are chained so a slow progress write never lands after the final status.
+    const report = (patch, force = false) => {
+        job = { ...job, ...patch };
+        onUpdate(job);
+
+        if (!force && Date.now() - lastWriteAt < 1000) return writes;
+        lastWriteAt = Date.now();
+
+        writes = writes.then(() => updateJob(job.id, patch)).catch(error => {
+            console.error('Error updating ingestion job:', error);
+        });
+        return writes;
+    };
+
+    try {
+        const source = file ?? await downloadOriginal(job.storage_path, job.file_name);
+        const result = await ingestFile(source, {
+            userId,
+            storagePath: job.storage_path,
+            replacesDocumentId: job.replaces_document_id,
+            validFrom: job.valid_from,
+            validUntil: job.valid_until,
+            category: job.category,
+            department: job.department,
+            accessLevel: job.access_level,
+            onProgress: (progress) => report({ progress })
+        });
+
+        trackEvent('upload', {
+            success: true,
+            file_type: job.file_type,
+            file_size: job.file_size,
+            pages: result.pageCount,
+            ocr_pages: result.ocrPages.length,
+            chunks: result.chunkCount,
+            attempts: job.attempts,
+            duration_ms: Date.now() - startedAt
+        });
+
+        await report({
+            status: 'completed',
+            document_id: result.documentId,
+            progress: result.ocrPages.length > 0
+                ? progressMessage('ingestion.done_ocr', { count: result.ocrPages.length })
+                : progressMessage('ingestion.done', { count: result.chunkCount })
+        }, true);
+    } catch (error) {
+        console.error('Ingestion error:', error);
+        trackEvent('upload', {
+            success: false,
+            file_type: job.file_type,
+            file_size: job.file_size,
+            attempts: job.attempts,
+            duration_ms: Date.now() - startedAt,
+            error: error.message
+        });
+
+        await report({ status: 'failed', progress: null, error: error.message || progressMessage('ingestion.error_unknown') }, true);
+    }
+
+    return job;
+}
@@ -3,22 +3,85 @@ import * as pdfjsLib from 'pdfjs-dist';
 // Set worker source
 pdfjsLib.GlobalWorkerOptions.workerSrc = `https://unpkg.com/pdfjs-dist@${pdfjsLib.version}/build/pdf.worker.min.mjs`;
 
-export async function extractTextFromPdf(file) {
+// Pages whose text layer has fewer characters than this are treated as scanned
+const MIN_TEXT_LAYER_CHARS = 20;
+
+// Render scale for OCR. Scanned notices are often small print, and Tesseract
+// is noticeably more accurate at ~200 DPI than at the default 72.
+const OCR_RENDER_SCALE = 2.5;
+
+const OCR_LANGUAGES = 'eng';
+
+// Served by the app itself (see vite.config.js), never fetched from a CDN
+const TESSERACT_BASE = `${import.meta.env.BASE_URL}tesseract`;
+const OCR_WORKER_OPTIONS = {
+    workerPath: `${TESSERACT_BASE}/worker.min.js`,
+    corePath: `${TESSERACT_BASE}/core`,
+    langPath: `${TESSERACT_BASE}/lang`
+};
+
+async function renderPageToCanvas(page) {
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+
+    await page.render({ canvas, canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas;
+}
+
+/**
+ * Extract the text layer of each page of a PDF. Pages without a text layer
+ * (scanned pages) are rendered and run through OCR instead.
+ * @param {File} file - PDF file
+ * @param {{onProgress?: function({pageNumber: number, pageCount: number, ocr: boolean, confidence?: number}): void}} options
+ * @returns {Promise<Array<{pageNumber: number, text: string, ocrConfidence?: number}>>}
+ */
+export async function extractPagesFromPdf(file, { onProgress } = {}) {
+    let ocrWorker = null;
+
     try {
         const arrayBuffer = await file.arrayBuffer();
         const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-        let fullText = '';
+        const pages = [];
 
         for (let i = 1; i <= pdf.numPages; i++) {
             const page = await pdf.getPage(i);
             const textContent = await page.getTextContent();
             const pageText = textContent.items.map(item => item.str).join(' ');
-            fullText += pageText + '\n';
+
+            if (pageText.replace(/\s/g, '').length >= MIN_TEXT_LAYER_CHARS) {
+                pages.push({ pageNumber: i, text: pageText });
+                onProgress?.({ pageNumber: i, pageCount: pdf.numPages, ocr: false });
+                continue;
+            }
+
+            onProgress?.({ pageNumber: i, pageCount: pdf.numPages, ocr: true });
+
+            // Tesseract is large, so it is only loaded once a scanned page turns up
+            if (!ocrWorker) {
+                const { createWorker } = await import('tesseract.js');
+                ocrWorker = await createWorker(OCR_LANGUAGES, undefined, OCR_WORKER_OPTIONS);
+            }
+
+            const canvas = await renderPageToCanvas(page);
+            const { data } = await ocrWorker.recognize(canvas);
+            const confidence = Math.round(data.confidence);
+
+            pages.push({ pageNumber: i, text: data.text, ocrConfidence: confidence });
+            onProgress?.({ pageNumber: i, pageCount: pdf.numPages, ocr: true, confidence });
         }
 
-        return fullText;
+        return pages;
     } catch (error) {
         console.error('Error extracting text from PDF:', error);
         throw error;
+    } finally {
+        await ocrWorker?.terminate();
     }
 }
+
+export async function extractTextFromPdf(file) {
+    const pages = await extractPagesFromPdf(file);
+    return pages.map(page => page.text + '\n').join('');
+}
@@ -0,0 +1,16 @@
+// Named permissions granted to roles in the role_permissions table (see roles_setup.sql)
+export const PERMISSIONS = {
+    UPLOAD_DOCUMENTS: 'upload_documents',
+    ALL_DEPARTMENTS: 'all_departments',
+    REVIEW_FEEDBACK: 'review_feedback',
+    VIEW_ANALYTICS: 'view_analytics',
+    MANAGE_BOT: 'manage_bot',
+    MANAGE_USERS: 'manage_users'
+};
+
+// Any of these opens the Admin page; each section checks its own permission
+export const ADMIN_PAGE_PERMISSIONS = [
+    PERMISSIONS.UPLOAD_DOCUMENTS,
+    PERMISSIONS.REVIEW_FEEDBACK,
+    PERMISSIONS.MANAGE_BOT
+];
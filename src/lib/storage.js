@@ -0,0 +1,91 @@
+import { supabase } from './supabase';
+
+// Private bucket holding the original uploaded files (see storage_setup.sql)
+export const DOCUMENTS_BUCKET = 'documents';
+
+// Signed links are short-lived; a new one is created every time a file is opened
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+/**
+ * Upload an original file to the documents bucket
+ * @param {File} file
+ * @returns {Promise<string>} Storage path to save on the document row
+ */
+export async function uploadOriginal(file) {
+    // Keep the original name (for downloads) under a unique folder
+    const safeName = file.name.replace(/[^\w.-]+/g, '_');
+    const path = `${crypto.randomUUID()}/${safeName}`;
+
+    const { error } = await supabase.storage
+        .from(DOCUMENTS_BUCKET)
+        .upload(path, file, { contentType: file.type || undefined, upsert: false });
+
+    if (error) throw new Error(`Storage error: ${error.message}`);
+    return path;
+}
+
+/**
+ * Download an original file, e.g. to resume an ingestion job after a reload
+ * @param {string} path
+ * @param {string} name - File name to give the result
+ * @returns {Promise<File>}
+ */
+export async function downloadOriginal(path, name) {
+    const { data, error } = await supabase.storage.from(DOCUMENTS_BUCKET).download(path);
+
+    if (error) throw new Error(`Storage error: ${error.message}`);
+    return new File([data], name, { type: data.type });
+}
+
+/**
+ * Remove original files. Failures are logged, not thrown: a stray file in the
+ * bucket is better than a document that can't be deleted.
+ * @param {Array<string|null>} paths
+ */
+export async function removeOriginals(paths) {
+    const existing = paths.filter(Boolean);
+    if (existing.length === 0) return;
+
+    const { error } = await supabase.storage.from(DOCUMENTS_BUCKET).remove(existing);
+    if (error) console.error('Error removing original files:', error);
+}
+
+/**
+ * Create a signed URL for an original file, opening PDFs at the given page
+ * @param {string} path - documents.storage_path
+ * @param {number} [pageNumber]
+ * @returns {Promise<string>}
+ */
+export async function getOriginalUrl(path, pageNumber) {
+    const { data, error } = await supabase.storage
+        .from(DOCUMENTS_BUCKET)
+        .createSignedUrl(path, SIGNED_URL_TTL_SECONDS);
+
+    if (error) throw new Error(`Storage error: ${error.message}`);
+
+    // Browser PDF viewers honour #page=N
+    const isPdf = path.toLowerCase().endsWith('.pdf');
+    return isPdf && pageNumber ? `${data.signedUrl}#page=${pageNumber}` : data.signedUrl;
+}
+
+/**
+ * Open an original file in a new tab. The tab is opened before the signed URL
+ * is fetched so popup blockers treat it as part of the click.
+ * @param {string} path
+ * @param {number} [pageNumber]
+ */
+export async function openOriginal(path, pageNumber) {
+    const tab = window.open('', '_blank');
+    try {
+        const url = await getOriginalUrl(path, pageNumber);
+        if (tab) {
+            tab.opener = null;
+            tab.location.href = url;
+        } else {
+            window.open(url, '_blank', 'noopener');
+        }
+    } catch (error) {
+        tab?.close();
+        throw error;
+    }
+}
@@ -0,0 +1,61 @@
+import { translate } from './i18n';
+
+// Document categories admins can choose from (documents.category). Labels are
+// translated under taxonomy.categories in src/i18n.
+export const CATEGORIES = [
+    { value: 'academics' },
+    { value: 'fees' },
+    { value: 'hostel' },
+    { value: 'placements' },
+    { value: 'events' }
+];
+
+// Departments for documents.department and profiles.department. Documents
+// without a department apply to the whole college.
+export const DEPARTMENTS = [
+    { value: 'CSE' },
+    { value: 'ISE' },
+    { value: 'ECE' },
+    { value: 'EEE' },
+    { value: 'ME' },
+    { value: 'CV' },
+    { value: 'AIML' }
+];
+
+// Who can read a document (documents.access_level), from widest to narrowest.
+// Retrieval only uses documents the asking user's role can read.
+export const ACCESS_LEVELS = [
+    { value: 'public' },
+    { value: 'students' },
+    { value: 'faculty' },
+    { value: 'admin' }
+];
+
+export const DEFAULT_ACCESS_LEVEL = 'students';
+
+// Values saved before an option existed are shown as they are
+function label(options, group, value) {
+    return options.some(option => option.value === value) ? translate(`taxonomy.${group}.${value}`) : value;
+}
+
+export function accessLevelLabel(value) {
+    return label(ACCESS_LEVELS, 'access_levels', value);
+}
+
+export function categoryLabel(value) {
+    return label(CATEGORIES, 'categories', value);
+}
+
+export function departmentLabel(value) {
+    return label(DEPARTMENTS, 'departments', value);
+}
+
+/**
+ * Parse a comma-separated tag list, dropping blanks and duplicates
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseTags(text) {
+    const tags = text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    return [...new Set(tags)];
+}
@@ -0,0 +1,52 @@
+import { getLanguage, translate } from './i18n';
+
+// Documents whose validity ends within this many days are listed as expiring soon
+export const EXPIRING_SOON_DAYS = 14;
+
+// Today's date as YYYY-MM-DD in the local time zone, comparable with date columns
+export function todayISO(offsetDays = 0) {
+    const date = new Date();
+    date.setDate(date.getDate() + offsetDays);
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+        .map(part => String(part).padStart(2, '0'))
+        .join('-');
+}
+
+/**
+ * Format a YYYY-MM-DD date column for display without shifting it across time zones
+ * @param {string} isoDate
+ * @returns {string}
+ */
+export function formatDate(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(getLanguage());
+}
+
+/**
+ * Where a document is in its validity window
+ * @param {{valid_from?: string|null, valid_until?: string|null}} doc
+ * @returns {'upcoming'|'expired'|'expiring'|'current'|null} null when the document has no dates
+ */
+export function getValidityStatus(doc) {
+    if (!doc.valid_from && !doc.valid_until) return null;
+
+    const today = todayISO();
+    if (doc.valid_from && doc.valid_from > today) return 'upcoming';
+    if (doc.valid_until && doc.valid_until < today) return 'expired';
+    if (doc.valid_until && doc.valid_until <= todayISO(EXPIRING_SOON_DAYS)) return 'expiring';
+    return 'current';
+}
+
+/**
+ * Describe a document's validity window, e.g. "Effective 1/6/2026 – 30/6/2026"
+ * @param {{valid_from?: string|null, valid_until?: string|null}} doc
+ * @returns {string|null}
+ */
+export function describeValidity(doc) {
+    if (doc.valid_from && doc.valid_until) {
+        return translate('validity.effective_range', { from: formatDate(doc.valid_from), until: formatDate(doc.valid_until) });
+    }
+    if (doc.valid_from) return translate('validity.effective_from', { from: formatDate(doc.valid_from) });
+    if (doc.valid_until) return translate('validity.valid_until', { until: formatDate(doc.valid_until) });
+    return null;
+}
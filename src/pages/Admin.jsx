@@ -1,22 +1,56 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
-import { ArrowLeft, Upload, Trash2, FileText, File, Sparkles, Search, Edit2, Check, X, ThumbsDown, MessageCircle } from 'lucide-react';
+import { ArrowLeft, Trash2, History, RefreshCw, Layers, FileText, File, ExternalLink, Sparkles, ScanText, CalendarClock, Lock, Globe, Search, Edit2, Check, X, ThumbsDown, MessageCircle, Users } from 'lucide-react';
 import { supabase } from '../lib/supabase';
-import { extractTextFromPdf } from '../lib/pdf';
 import { useAuth } from '../components/AuthProvider';
-import { embedText } from '../lib/gemini';
+import { openOriginal, removeOriginals } from '../lib/storage';
+import { describeProgress, reindexDocument } from '../lib/ingestion';
+import { ACCEPTED_FILE_TYPES } from '../lib/extractors';
+import { EXPIRING_SOON_DAYS, describeValidity, formatDate, getValidityStatus } from '../lib/validity';
+import { PERMISSIONS } from '../lib/permissions';
+import { useTranslation } from '../lib/i18n';
+import { ACCESS_LEVELS, CATEGORIES, DEFAULT_ACCESS_LEVEL, DEPARTMENTS, accessLevelLabel, categoryLabel, departmentLabel, parseTags } from '../lib/taxonomy';
+import BotSettingsEditor from '../components/BotSettingsEditor';
+import FaqRulesEditor from '../components/FaqRulesEditor';
+import UploadQueue from '../components/UploadQueue';
+import DocumentHistory from '../components/DocumentHistory';
+
+// OCR'd pages below this confidence (0-100) are flagged for review
+const LOW_OCR_CONFIDENCE = 70;
+
+// Filter value for documents without a category or department
+const NO_VALUE = '__none';
+
+const VALIDITY_BADGES = {
+    upcoming: { labelKey: 'admin.validity_upcoming', color: '#93c5fd', background: 'rgba(59, 130, 246, 0.1)', border: 'rgba(59, 130, 246, 0.2)' },
+    expiring: { labelKey: 'admin.validity_expiring', color: '#f59e0b', background: 'rgba(245, 158, 11, 0.1)', border: 'rgba(245, 158, 11, 0.2)' },
+    expired: { labelKey: 'admin.validity_expired', color: '#ef4444', background: 'rgba(239, 68, 68, 0.1)', border: 'rgba(239, 68, 68, 0.2)' }
+};
 
 export default function Admin() {
-    const { user } = useAuth();
+    const { user, hasPermission, canManageDepartment } = useAuth();
+    const canUpload = hasPermission(PERMISSIONS.UPLOAD_DOCUMENTS);
+    const { t } = useTranslation();
     const [documents, setDocuments] = useState([]);
-    const [uploading, setUploading] = useState(false);
     const [loading, setLoading] = useState(true);
     const [message, setMessage] = useState({ type: '', text: '' });
     const [searchQuery, setSearchQuery] = useState('');
+    // '' matches everything, NO_VALUE matches documents without the field
+    const [categoryFilter, setCategoryFilter] = useState('');
+    const [departmentFilter, setDepartmentFilter] = useState('');
     const [selectedDocs, setSelectedDocs] = useState([]);
     const [editingId, setEditingId] = useState(null);
     const [editTitle, setEditTitle] = useState('');
+    const [editValidFrom, setEditValidFrom] = useState('');
+    const [editValidUntil, setEditValidUntil] = useState('');
+    const [editCategory, setEditCategory] = useState('');
+    const [editDepartment, setEditDepartment] = useState('');
+    const [editTags, setEditTags] = useState('');
+    const [editAccessLevel, setEditAccessLevel] = useState(DEFAULT_ACCESS_LEVEL);
     const [lowRatedMessages, setLowRatedMessages] = useState([]);
+    const [historyDoc, setHistoryDoc] = useState(null);
+    const [replacingDoc, setReplacingDoc] = useState(null);
+    const uploadQueueRef = useRef(null);
 
     useEffect(() => {
         fetchDocuments();
@@ -27,7 +61,8 @@ export default function Admin() {
         try {
             const { data, error } = await supabase
                 .from('documents')
-                .select('*')
+                .select('*, document_chunks(count)')
+                .eq('is_active', true)
                 .order('uploaded_at', { ascending: false });
 
             if (error) throw error;
@@ -57,131 +92,88 @@ export default function Admin() {
 
     async function dismissFeedback(id) {
         try {
-            // Clear the feedback text but keep the rating? Or clear rating?
-            // Let's clear the feedback text so it disappears from this list (if we filter by feedback)
-            // But if we want to keep the rating for analytics, we should just mark it handled.
-            // Since we don't have a 'handled' column, let's just clear the feedback text for now as a way to "archive" the feedback.
-            const { error } = await supabase
-                .from('chat_messages')
-                .update({ feedback: null })
-                .eq('id', id);
+            // Clearing the feedback text takes the message off this list and
+            // keeps its rating for analytics
+            const { error } = await supabase.rpc('dismiss_feedback', { p_id: id });
 
             if (error) throw error;
             setLowRatedMessages(prev => prev.filter(msg => msg.id !== id));
-            setMessage({ type: 'success', text: 'Feedback dismissed.' });
+            setMessage({ type: 'success', text: t('admin.feedback_dismissed') });
         } catch (error) {
             console.error('Error dismissing feedback:', error);
-            setMessage({ type: 'error', text: 'Failed to dismiss feedback.' });
+            setMessage({ type: 'error', text: t('admin.feedback_dismiss_failed') });
         }
     }
 
 
-    async function handleFileUpload(e) {
-        const file = e.target.files[0];
-        if (!file) return;
-
-        // File size validation (10MB max)
-        const maxSize = 10 * 1024 * 1024; // 10MB in bytes
-        if (file.size > maxSize) {
-            setMessage({
-                type: 'error',
-                text: `File size exceeds 10MB limit. Your file is ${(file.size / 1024 / 1024).toFixed(2)}MB.`
-            });
-            e.target.value = null;
-            return;
-        }
+    // Delete documents together with all their earlier versions and original files
+    async function deleteDocumentGroups(docs) {
+        const groupIds = docs.map(doc => doc.version_group_id);
+        const { data: versions, error: fetchError } = await supabase
+            .from('documents')
+            .select('storage_path')
+            .in('version_group_id', groupIds);
 
-        // File type validation
-        if (file.type !== 'application/pdf' && file.type !== 'text/plain') {
-            setMessage({
-                type: 'error',
-                text: 'Only PDF and TXT files are supported. Please upload a valid file.'
-            });
-            e.target.value = null;
-            return;
-        }
+        if (fetchError) throw fetchError;
 
-        setUploading(true);
-        setMessage({ type: 'info', text: 'Step 1/3: Reading file...' });
+        // Storage only lets department admins remove originals while the document exists
+        await removeOriginals(versions.map(v => v.storage_path));
 
-        try {
-            let content = '';
-
-            // Extract text from file
-            if (file.type === 'application/pdf') {
-                setMessage({ type: 'info', text: 'Step 1/3: Extracting text from PDF...' });
-                content = await extractTextFromPdf(file);
-            } else {
-                content = await file.text();
-            }
+        const { error } = await supabase
+            .from('documents')
+            .delete()
+            .in('version_group_id', groupIds);
 
-            if (!content.trim()) {
-                throw new Error('The file appears to be empty or contains no readable text.');
-            }
+        if (error) throw error;
+    }
 
-            // Generate embedding
-            setMessage({ type: 'info', text: 'Step 2/3: Generating embeddings...' });
-            const embedding = await embedText(content);
-
-            // Upload to database
-            setMessage({ type: 'info', text: 'Step 3/3: Saving to database...' });
-            const { error } = await supabase.from('documents').insert({
-                title: file.name,
-                content: content,
-                file_type: file.type === 'application/pdf' ? 'pdf' : 'txt',
-                uploaded_by: user.id,
-                embedding: embedding
-            });
-
-            if (error) {
-                if (error.code === '23505') {
-                    throw new Error('A document with this name already exists.');
-                }
-                throw new Error(`Database error: ${error.message}`);
-            }
+    async function handleDelete(id) {
+        if (!confirm(t('admin.confirm_delete'))) return;
 
-            setMessage({ type: 'success', text: '✅ Document uploaded and vectorized successfully!' });
-            fetchDocuments();
+        try {
+            await deleteDocumentGroups(documents.filter(doc => doc.id === id));
+            setDocuments(prev => prev.filter(doc => doc.id !== id));
+            setSelectedDocs(prev => prev.filter(docId => docId !== id));
+            setMessage({ type: 'success', text: t('admin.deleted') });
         } catch (error) {
-            console.error('Upload error:', error);
-
-            // Categorize errors for better user feedback
-            let errorMessage = 'Failed to upload document.';
-
-            if (error.message.includes('fetch') || error.message.includes('network')) {
-                errorMessage = '❌ Network error. Please check your internet connection and try again.';
-            } else if (error.message.includes('Embedding')) {
-                errorMessage = `❌ Embedding generation failed: ${error.message}`;
-            } else if (error.message.includes('PDF')) {
-                errorMessage = '❌ Failed to read PDF. The file may be corrupted or password-protected.';
-            } else if (error.message) {
-                errorMessage = `❌ ${error.message}`;
-            }
+            console.error('Delete error:', error);
+            setMessage({ type: 'error', text: t('admin.delete_failed') });
+        }
+    }
 
-            setMessage({ type: 'error', text: errorMessage });
-        } finally {
-            setUploading(false);
-            e.target.value = null; // Reset input
+    // Documents from before chunking are one whole-document passage
+    async function handleReindex(doc) {
+        setMessage({ type: 'info', text: t('admin.reindexing', { title: doc.title }) });
+        try {
+            const count = await reindexDocument(doc);
+            await fetchDocuments();
+            setMessage({ type: 'success', text: t('admin.reindexed', { count }) });
+        } catch (error) {
+            console.error('Re-index error:', error);
+            setMessage({ type: 'error', text: t('admin.reindex_failed', { message: describeProgress(error.message, t) }) });
         }
     }
 
-    async function handleDelete(id) {
-        if (!confirm('Are you sure you want to delete this document? This action cannot be undone.')) return;
+    function startReplace(doc) {
+        setReplacingDoc(doc);
+        document.getElementById('replace-upload').click();
+    }
 
-        try {
-            const { error } = await supabase
-                .from('documents')
-                .delete()
-                .eq('id', id);
+    function handleReplaceFile(e) {
+        const file = e.target.files[0];
+        e.target.value = null;
+        if (!file || !replacingDoc) return;
 
-            if (error) throw error;
+        uploadQueueRef.current?.replaceDocument(replacingDoc, file);
+        setReplacingDoc(null);
+    }
 
-            setDocuments(prev => prev.filter(doc => doc.id !== id));
-            setSelectedDocs(prev => prev.filter(docId => docId !== id));
-            setMessage({ type: 'success', text: 'Document deleted successfully.' });
+    async function handleOpenOriginal(doc) {
+        try {
+            await openOriginal(doc.storage_path);
         } catch (error) {
-            console.error('Delete error:', error);
-            setMessage({ type: 'error', text: 'Failed to delete document.' });
+            console.error('Open original error:', error);
+            setMessage({ type: 'error', text: t('admin.open_original_failed') });
         }
     }
 
@@ -193,76 +185,129 @@ export default function Admin() {
 
     async function handleBulkDelete() {
         if (selectedDocs.length === 0) return;
-        if (!confirm(`Delete ${selectedDocs.length} document(s)? This action cannot be undone.`)) return;
+        if (!confirm(t('admin.confirm_bulk_delete', { count: selectedDocs.length }))) return;
 
         try {
-            const { error } = await supabase
-                .from('documents')
-                .delete()
-                .in('id', selectedDocs);
-
-            if (error) throw error;
-
+            await deleteDocumentGroups(documents.filter(doc => selectedDocs.includes(doc.id)));
             setDocuments(prev => prev.filter(doc => !selectedDocs.includes(doc.id)));
             setSelectedDocs([]);
-            setMessage({ type: 'success', text: `${selectedDocs.length} document(s) deleted successfully.` });
+            setMessage({ type: 'success', text: t('admin.bulk_deleted', { count: selectedDocs.length }) });
         } catch (error) {
             console.error('Bulk delete error:', error);
-            setMessage({ type: 'error', text: 'Failed to delete documents.' });
+            setMessage({ type: 'error', text: t('admin.bulk_delete_failed') });
         }
     }
 
     function startEdit(doc) {
         setEditingId(doc.id);
         setEditTitle(doc.title);
+        setEditValidFrom(doc.valid_from ?? '');
+        setEditValidUntil(doc.valid_until ?? '');
+        setEditCategory(doc.category ?? '');
+        setEditDepartment(doc.department ?? '');
+        setEditTags((doc.tags ?? []).join(', '));
+        setEditAccessLevel(doc.access_level ?? DEFAULT_ACCESS_LEVEL);
+    }
+
+    // Edit a document's dates in the document list, bringing its row into view
+    function editFromExpiringList(doc) {
+        setSearchQuery('');
+        setCategoryFilter('');
+        setDepartmentFilter('');
+        startEdit(doc);
+        setTimeout(() => document.getElementById(`document-${doc.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' }));
     }
 
     async function saveEdit(id) {
         if (!editTitle.trim()) {
-            setMessage({ type: 'error', text: 'Title cannot be empty.' });
+            setMessage({ type: 'error', text: t('admin.title_required') });
+            return;
+        }
+        if (editValidFrom && editValidUntil && editValidFrom > editValidUntil) {
+            setMessage({ type: 'error', text: t('admin.invalid_date_range') });
             return;
         }
 
+        const changes = {
+            title: editTitle.trim(),
+            valid_from: editValidFrom || null,
+            valid_until: editValidUntil || null,
+            category: editCategory || null,
+            department: editDepartment || null,
+            tags: parseTags(editTags),
+            access_level: editAccessLevel
+        };
+
         try {
             const { error } = await supabase
                 .from('documents')
-                .update({ title: editTitle.trim() })
+                .update(changes)
                 .eq('id', id);
 
             if (error) throw error;
 
             setDocuments(prev => prev.map(doc =>
-                doc.id === id ? { ...doc, title: editTitle.trim() } : doc
+                doc.id === id ? { ...doc, ...changes } : doc
             ));
             setEditingId(null);
-            setMessage({ type: 'success', text: 'Title updated successfully.' });
+            setMessage({ type: 'success', text: t('admin.updated') });
         } catch (error) {
             console.error('Edit error:', error);
-            setMessage({ type: 'error', text: 'Failed to update title.' });
+            setMessage({ type: 'error', text: t('admin.update_failed') });
         }
     }
 
     function getDocStats(doc) {
         const wordCount = doc.content.trim().split(/\s+/).length;
         const charCount = doc.content.length;
-        return { wordCount, charCount };
+        const chunkCount = doc.document_chunks?.[0]?.count ?? 0;
+        return { wordCount, charCount, chunkCount };
     }
 
-    // Filter documents based on search query
+    const matchesFilter = (value, filter) => !filter || (filter === NO_VALUE ? !value : value === filter);
+
+    // Filter documents by search query (title or tag), category and department
+    const query = searchQuery.toLowerCase();
     const filteredDocuments = documents.filter(doc =>
-        doc.title.toLowerCase().includes(searchQuery.toLowerCase())
+        (doc.title.toLowerCase().includes(query) || doc.tags?.some(tag => tag.includes(query)))
+        && matchesFilter(doc.category, categoryFilter)
+        && matchesFilter(doc.department, departmentFilter)
     );
 
+    // Expired documents and those about to expire, soonest first
+    const expiringDocuments = documents
+        .filter(doc => canManageDepartment(doc.department) && ['expiring', 'expired'].includes(getValidityStatus(doc)))
+        .sort((a, b) => a.valid_until.localeCompare(b.valid_until));
+
+    const filterSelectStyle = {
+        padding: '0.75rem 1rem',
+        background: 'var(--bg-secondary)',
+        border: '1px solid var(--glass-border)',
+        borderRadius: '0.5rem',
+        color: 'var(--text-primary)',
+        fontSize: '0.95rem'
+    };
+
+    const editFieldStyle = {
+        padding: '0.25rem 0.5rem',
+        background: 'var(--bg-tertiary)',
+        border: '1px solid var(--glass-border)',
+        borderRadius: '0.25rem',
+        color: 'var(--text-primary)',
+        fontSize: '0.85rem',
+        colorScheme: 'dark'
+    };
+
     return (
         <div className="container" style={{ padding: '2rem' }}>
             <div style={{ marginBottom: '2rem' }}>
                 <Link to="/" style={{ display: 'inline-flex', alignItems: 'center', gap: '0.5rem', color: 'var(--text-secondary)', textDecoration: 'none', marginBottom: '1rem' }}>
-                    <ArrowLeft size={18} /> Back to Chat
+                    <ArrowLeft size={18} /> {t('analytics.back_to_chat')}
                 </Link>
                 <div style={{ display: 'flex', alignItems: 'center', gap: '1.5rem' }}>
                     <img
                         src="/brofessor-logo.jpg"
-                        alt="BroFessor Logo"
+                        alt={t('common.logo_alt')}
                         style={{
                             width: '80px',
                             height: '80px',
@@ -271,9 +316,14 @@ export default function Admin() {
                         }}
                     />
                     <div>
-                        <h1 style={{ fontSize: '2rem', fontWeight: 'bold', margin: 0 }}>Admin Dashboard</h1>
-                        <p style={{ color: 'var(--text-secondary)', margin: '0.25rem 0 0 0' }}>Manage knowledge base documents</p>
+                        <h1 style={{ fontSize: '2rem', fontWeight: 'bold', margin: 0 }}>{t('admin.title')}</h1>
+                        <p style={{ color: 'var(--text-secondary)', margin: '0.25rem 0 0 0' }}>{t('admin.subtitle')}</p>
                     </div>
+                    {hasPermission(PERMISSIONS.MANAGE_USERS) && (
+                        <Link to="/admin/users" className="btn btn-secondary" style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '0.5rem', textDecoration: 'none' }}>
+                            <Users size={18} /> {t('admin.manage_users')}
+                        </Link>
+                    )}
                 </div>
             </div>
 
@@ -290,60 +340,27 @@ export default function Admin() {
                 </div>
             )}
 
-            <div className="card" style={{ marginBottom: '2rem' }}>
-                <h2 style={{ fontSize: '1.25rem', fontWeight: 'bold', marginBottom: '1.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                    <Upload size={20} /> Upload New Document
-                </h2>
-
-                <div style={{
-                    border: '2px dashed var(--glass-border)',
-                    borderRadius: '1rem',
-                    padding: '3rem',
-                    textAlign: 'center',
-                    cursor: uploading ? 'wait' : 'pointer',
-                    background: 'rgba(255,255,255,0.02)',
-                    transition: 'all 0.2s'
-                }}
-                    onClick={() => !uploading && document.getElementById('file-upload').click()}
-                    onDragOver={(e) => e.preventDefault()}
-                >
+            {canUpload && (
+                <>
+                    <UploadQueue ref={uploadQueueRef} user={user} onMessage={setMessage} onIngested={fetchDocuments} />
                     <input
                         type="file"
-                        id="file-upload"
+                        id="replace-upload"
                         style={{ display: 'none' }}
-                        accept=".pdf,.txt"
-                        onChange={handleFileUpload}
-                        disabled={uploading}
+                        accept={ACCEPTED_FILE_TYPES}
+                        onChange={handleReplaceFile}
                     />
-                    <div style={{
-                        width: '64px',
-                        height: '64px',
-                        borderRadius: '50%',
-                        background: 'var(--bg-secondary)',
-                        display: 'flex',
-                        alignItems: 'center',
-                        justifyContent: 'center',
-                        margin: '0 auto 1rem'
-                    }}>
-                        <Upload size={32} color="var(--accent-primary)" />
-                    </div>
-                    <h3 style={{ fontSize: '1.1rem', marginBottom: '0.5rem' }}>
-                        {uploading ? 'Processing...' : 'Click to upload or drag and drop'}
-                    </h3>
-                    <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
-                        PDF or TXT files only
-                    </p>
-                </div>
-            </div>
+                </>
+            )}
 
 
 
             {/* Low Rated Messages Review */}
             {
-                lowRatedMessages.length > 0 && (
+                hasPermission(PERMISSIONS.REVIEW_FEEDBACK) && lowRatedMessages.length > 0 && (
                     <div className="card" style={{ marginBottom: '2rem' }}>
                         <h2 style={{ fontSize: '1.25rem', fontWeight: 'bold', marginBottom: '1.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#ef4444' }}>
-                            <ThumbsDown size={20} /> Review Low Rated Messages
+                            <ThumbsDown size={20} /> {t('admin.low_rated_title')}
                         </h2>
                         <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
                             {lowRatedMessages.map(msg => (
@@ -371,17 +388,22 @@ export default function Admin() {
                                             }}
                                             className="hover:text-primary"
                                         >
-                                            <Check size={14} /> Dismiss
+                                            <Check size={14} /> {t('admin.dismiss')}
                                         </button>
                                     </div>
 
                                     <div style={{ marginBottom: '0.75rem' }}>
-                                        <div style={{ fontSize: '0.9rem', fontWeight: 'bold', color: 'var(--text-primary)', marginBottom: '0.25rem' }}>User:</div>
+                                        <div style={{ fontSize: '0.9rem', fontWeight: 'bold', color: 'var(--text-primary)', marginBottom: '0.25rem' }}>{t('admin.feedback_user')}</div>
                                         <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>{msg.message}</div>
+                                        {msg.search_query && (
+                                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.375rem', marginTop: '0.25rem', color: 'var(--text-secondary)', fontSize: '0.8rem', fontStyle: 'italic' }}>
+                                                <Search size={12} /> {t('admin.feedback_search_query', { query: msg.search_query })}
+                                            </div>
+                                        )}
                                     </div>
 
                                     <div style={{ marginBottom: '0.75rem' }}>
-                                        <div style={{ fontSize: '0.9rem', fontWeight: 'bold', color: 'var(--text-primary)', marginBottom: '0.25rem' }}>Bot:</div>
+                                        <div style={{ fontSize: '0.9rem', fontWeight: 'bold', color: 'var(--text-primary)', marginBottom: '0.25rem' }}>{t('admin.feedback_bot')}</div>
                                         <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', maxHeight: '100px', overflowY: 'auto' }}>{msg.response}</div>
                                     </div>
 
@@ -394,7 +416,7 @@ export default function Admin() {
                                             borderLeft: '3px solid #ef4444'
                                         }}>
                                             <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.25rem', color: '#ef4444', fontWeight: 'bold', fontSize: '0.85rem' }}>
-                                                <MessageCircle size={14} /> Feedback
+                                                <MessageCircle size={14} /> {t('admin.feedback')}
                                             </div>
                                             <div style={{ color: 'var(--text-primary)', fontSize: '0.9rem' }}>{msg.feedback}</div>
                                         </div>
@@ -406,245 +428,541 @@ export default function Admin() {
                 )
             }
 
-            <div className="card">
-                <div style={{ marginBottom: '1.5rem' }}>
-                    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '1rem' }}>
-                        <h2 style={{ fontSize: '1.25rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '0.5rem', margin: 0 }}>
-                            <FileText size={20} /> Uploaded Documents
-                        </h2>
-                        {selectedDocs.length > 0 && (
-                            <button
-                                onClick={handleBulkDelete}
-                                style={{
-                                    padding: '0.5rem 1rem',
-                                    background: 'rgba(239, 68, 68, 0.1)',
-                                    border: '1px solid rgba(239, 68, 68, 0.3)',
-                                    borderRadius: '0.5rem',
-                                    color: '#ef4444',
-                                    cursor: 'pointer',
-                                    fontSize: '0.9rem',
-                                    fontWeight: '600',
-                                    display: 'flex',
-                                    alignItems: 'center',
-                                    gap: '0.5rem',
-                                    transition: 'all 0.2s'
-                                }}
-                                className="hover:bg-red-500/20"
-                            >
-                                <Trash2 size={16} /> Delete {selectedDocs.length} selected
-                            </button>
-                        )}
-                    </div>
-
-                    {/* Search Bar */}
-                    <div style={{ position: 'relative' }}>
-                        <Search size={18} style={{
-                            position: 'absolute',
-                            left: '1rem',
-                            top: '50%',
-                            transform: 'translateY(-50%)',
-                            color: 'var(--text-secondary)'
-                        }} />
-                        <input
-                            type="text"
-                            placeholder="Search documents..."
-                            value={searchQuery}
-                            onChange={(e) => setSearchQuery(e.target.value)}
-                            style={{
-                                width: '100%',
-                                padding: '0.75rem 1rem 0.75rem 3rem',
-                                background: 'var(--bg-secondary)',
-                                border: '1px solid var(--glass-border)',
-                                borderRadius: '0.5rem',
-                                color: 'var(--text-primary)',
-                                fontSize: '0.95rem',
-                                outline: 'none',
-                                transition: 'border-color 0.2s'
-                            }}
-                            onFocus={(e) => e.target.style.borderColor = 'var(--accent-primary)'}
-                            onBlur={(e) => e.target.style.borderColor = 'var(--glass-border)'}
-                        />
-                    </div>
-                </div>
-
-                {loading ? (
-                    <p style={{ color: 'var(--text-secondary)' }}>Loading documents...</p>
-                ) : filteredDocuments.length === 0 ? (
-                    <p style={{ color: 'var(--text-secondary)', textAlign: 'center', padding: '2rem' }}>
-                        {searchQuery ? 'No documents match your search.' : 'No documents uploaded yet.'}
+            {/* Expiring Documents */}
+            {canUpload && expiringDocuments.length > 0 && (
+                <div className="card" style={{ marginBottom: '2rem' }}>
+                    <h2 style={{ fontSize: '1.25rem', fontWeight: 'bold', marginBottom: '0.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#f59e0b' }}>
+                        <CalendarClock size={20} /> {t('admin.expiring_title')}
+                    </h2>
+                    <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', marginBottom: '1rem' }}>
+                        {t('admin.expiring_description', { days: EXPIRING_SOON_DAYS })}
                     </p>
-                ) : (
-                    <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
-                        {filteredDocuments.map(doc => {
-                            const stats = getDocStats(doc);
-                            const isEditing = editingId === doc.id;
-                            const isSelected = selectedDocs.includes(doc.id);
-
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                        {expiringDocuments.map(doc => {
+                            const expired = getValidityStatus(doc) === 'expired';
                             return (
                                 <div key={doc.id} style={{
                                     display: 'flex',
                                     alignItems: 'center',
                                     gap: '1rem',
-                                    padding: '1rem',
-                                    background: isSelected ? 'rgba(102, 126, 234, 0.1)' : 'var(--bg-secondary)',
+                                    padding: '0.75rem 1rem',
+                                    background: 'var(--bg-secondary)',
+                                    border: '1px solid var(--glass-border)',
                                     borderRadius: '0.5rem',
-                                    border: `1px solid ${isSelected ? 'var(--accent-primary)' : 'var(--glass-border)'}`,
-                                    transition: 'all 0.2s'
+                                    fontSize: '0.9rem'
                                 }}>
-                                    {/* Checkbox */}
-                                    <input
-                                        type="checkbox"
-                                        checked={isSelected}
-                                        onChange={() => toggleSelectDoc(doc.id)}
-                                        style={{
-                                            width: '18px',
-                                            height: '18px',
-                                            cursor: 'pointer',
-                                            accentColor: 'var(--accent-primary)'
-                                        }}
-                                    />
-
-                                    {/* File Icon */}
-                                    <div style={{
-                                        padding: '0.5rem',
-                                        background: 'rgba(99, 102, 241, 0.1)',
+                                    <span style={{ flex: 1, minWidth: 0, color: 'var(--text-primary)', wordBreak: 'break-word' }}>{doc.title}</span>
+                                    <span style={{ color: expired ? '#ef4444' : '#f59e0b', flexShrink: 0 }}>
+                                        {t(expired ? 'admin.expired_on' : 'admin.expires_on', { date: formatDate(doc.valid_until) })}
+                                    </span>
+                                    <button
+                                        onClick={() => editFromExpiringList(doc)}
+                                        style={{ background: 'transparent', border: 'none', color: 'var(--text-secondary)', cursor: 'pointer', padding: '0.25rem', display: 'flex', flexShrink: 0 }}
+                                        title={t('admin.edit_validity')}
+                                    >
+                                        <Edit2 size={16} />
+                                    </button>
+                                    <button
+                                        onClick={() => startReplace(doc)}
+                                        style={{ background: 'transparent', border: 'none', color: 'var(--text-secondary)', cursor: 'pointer', padding: '0.25rem', display: 'flex', flexShrink: 0 }}
+                                        title={t('admin.replace')}
+                                    >
+                                        <RefreshCw size={16} />
+                                    </button>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            {hasPermission(PERMISSIONS.MANAGE_BOT) && (
+                <>
+                    <BotSettingsEditor user={user} onMessage={setMessage} />
+
+                    <FaqRulesEditor user={user} onMessage={setMessage} />
+                </>
+            )}
+
+            {canUpload && (
+                <div className="card">
+                    <div style={{ marginBottom: '1.5rem' }}>
+                        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '1rem' }}>
+                            <h2 style={{ fontSize: '1.25rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '0.5rem', margin: 0 }}>
+                                <FileText size={20} /> {t('admin.documents_title')}
+                            </h2>
+                            {selectedDocs.length > 0 && (
+                                <button
+                                    onClick={handleBulkDelete}
+                                    style={{
+                                        padding: '0.5rem 1rem',
+                                        background: 'rgba(239, 68, 68, 0.1)',
+                                        border: '1px solid rgba(239, 68, 68, 0.3)',
                                         borderRadius: '0.5rem',
-                                        color: 'var(--accent-primary)',
-                                        flexShrink: 0
+                                        color: '#ef4444',
+                                        cursor: 'pointer',
+                                        fontSize: '0.9rem',
+                                        fontWeight: '600',
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        gap: '0.5rem',
+                                        transition: 'all 0.2s'
+                                    }}
+                                    className="hover:bg-red-500/20"
+                                >
+                                    <Trash2 size={16} /> {t('admin.delete_selected', { count: selectedDocs.length })}
+                                </button>
+                            )}
+                        </div>
+
+                        {/* Search Bar and Filters */}
+                        <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+                            <div style={{ position: 'relative', flex: 1, minWidth: '240px' }}>
+                                <Search size={18} style={{
+                                    position: 'absolute',
+                                    left: '1rem',
+                                    top: '50%',
+                                    transform: 'translateY(-50%)',
+                                    color: 'var(--text-secondary)'
+                                }} />
+                                <input
+                                    type="text"
+                                    placeholder={t('admin.search_placeholder')}
+                                    value={searchQuery}
+                                    onChange={(e) => setSearchQuery(e.target.value)}
+                                    style={{
+                                        width: '100%',
+                                        padding: '0.75rem 1rem 0.75rem 3rem',
+                                        background: 'var(--bg-secondary)',
+                                        border: '1px solid var(--glass-border)',
+                                        borderRadius: '0.5rem',
+                                        color: 'var(--text-primary)',
+                                        fontSize: '0.95rem',
+                                        outline: 'none',
+                                        transition: 'border-color 0.2s'
+                                    }}
+                                    onFocus={(e) => e.target.style.borderColor = 'var(--accent-primary)'}
+                                    onBlur={(e) => e.target.style.borderColor = 'var(--glass-border)'}
+                                />
+                            </div>
+                            <select value={categoryFilter} onChange={(e) => setCategoryFilter(e.target.value)} style={filterSelectStyle} title={t('admin.filter_category')}>
+                                <option value="">{t('admin.all_categories')}</option>
+                                {CATEGORIES.map(c => <option key={c.value} value={c.value}>{categoryLabel(c.value)}</option>)}
+                                <option value={NO_VALUE}>{t('admin.uncategorised')}</option>
+                            </select>
+                            <select value={departmentFilter} onChange={(e) => setDepartmentFilter(e.target.value)} style={filterSelectStyle} title={t('admin.filter_department')}>
+                                <option value="">{t('common.all_departments')}</option>
+                                {DEPARTMENTS.map(d => <option key={d.value} value={d.value}>{departmentLabel(d.value)}</option>)}
+                                <option value={NO_VALUE}>{t('admin.college_wide')}</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    {loading ? (
+                        <p style={{ color: 'var(--text-secondary)' }}>{t('admin.loading_documents')}</p>
+                    ) : filteredDocuments.length === 0 ? (
+                        <p style={{ color: 'var(--text-secondary)', textAlign: 'center', padding: '2rem' }}>
+                            {searchQuery || categoryFilter || departmentFilter ? t('admin.no_matches') : t('admin.no_documents')}
+                        </p>
+                    ) : (
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+                            {filteredDocuments.map(doc => {
+                                const stats = getDocStats(doc);
+                                const isEditing = editingId === doc.id;
+                                const isSelected = selectedDocs.includes(doc.id);
+                                const validityBadge = VALIDITY_BADGES[getValidityStatus(doc)];
+                                const canManage = canManageDepartment(doc.department);
+
+                                return (
+                                    <div key={doc.id} id={`document-${doc.id}`} style={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        gap: '1rem',
+                                        padding: '1rem',
+                                        background: isSelected ? 'rgba(102, 126, 234, 0.1)' : 'var(--bg-secondary)',
+                                        borderRadius: '0.5rem',
+                                        border: `1px solid ${isSelected ? 'var(--accent-primary)' : 'var(--glass-border)'}`,
+                                        transition: 'all 0.2s'
                                     }}>
-                                        <File size={20} />
-                                    </div>
+                                        {/* Checkbox */}
+                                        {canManage && (
+                                            <input
+                                                type="checkbox"
+                                                checked={isSelected}
+                                                onChange={() => toggleSelectDoc(doc.id)}
+                                                style={{
+                                                    width: '18px',
+                                                    height: '18px',
+                                                    cursor: 'pointer',
+                                                    accentColor: 'var(--accent-primary)'
+                                                }}
+                                            />
+                                        )}
+
+                                        {/* File Icon */}
+                                        <div style={{
+                                            padding: '0.5rem',
+                                            background: 'rgba(99, 102, 241, 0.1)',
+                                            borderRadius: '0.5rem',
+                                            color: 'var(--accent-primary)',
+                                            flexShrink: 0
+                                        }}>
+                                            <File size={20} />
+                                        </div>
 
-                                    {/* Document Info */}
-                                    <div style={{ flex: 1, minWidth: 0 }}>
-                                        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.25rem', flexWrap: 'wrap' }}>
-                                            {isEditing ? (
-                                                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flex: 1 }}>
-                                                    <input
-                                                        type="text"
-                                                        value={editTitle}
-                                                        onChange={(e) => setEditTitle(e.target.value)}
+                                        {/* Document Info */}
+                                        <div style={{ flex: 1, minWidth: 0 }}>
+                                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.25rem', flexWrap: 'wrap' }}>
+                                                {isEditing ? (
+                                                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flex: 1, flexWrap: 'wrap' }}>
+                                                        <input
+                                                            type="text"
+                                                            value={editTitle}
+                                                            onChange={(e) => setEditTitle(e.target.value)}
+                                                            style={{
+                                                                flex: 1,
+                                                                padding: '0.25rem 0.5rem',
+                                                                background: 'var(--bg-tertiary)',
+                                                                border: '1px solid var(--accent-primary)',
+                                                                borderRadius: '0.25rem',
+                                                                color: 'var(--text-primary)',
+                                                                fontSize: '1rem'
+                                                            }}
+                                                            autoFocus
+                                                        />
+                                                        <input
+                                                            type="date"
+                                                            value={editValidFrom}
+                                                            max={editValidUntil || undefined}
+                                                            onChange={(e) => setEditValidFrom(e.target.value)}
+                                                            style={editFieldStyle}
+                                                            title={t('admin.valid_from')}
+                                                        />
+                                                        <input
+                                                            type="date"
+                                                            value={editValidUntil}
+                                                            min={editValidFrom || undefined}
+                                                            onChange={(e) => setEditValidUntil(e.target.value)}
+                                                            style={editFieldStyle}
+                                                            title={t('admin.valid_until')}
+                                                        />
+                                                        <select value={editCategory} onChange={(e) => setEditCategory(e.target.value)} style={editFieldStyle} title={t('admin.category')}>
+                                                            <option value="">{t('admin.no_category')}</option>
+                                                            {CATEGORIES.map(c => <option key={c.value} value={c.value}>{categoryLabel(c.value)}</option>)}
+                                                        </select>
+                                                        <select value={editDepartment} onChange={(e) => setEditDepartment(e.target.value)} style={editFieldStyle} title={t('admin.department')}>
+                                                            {canManageDepartment(null) && <option value="">{t('common.all_departments')}</option>}
+                                                            {DEPARTMENTS.filter(d => canManageDepartment(d.value)).map(d => <option key={d.value} value={d.value}>{d.value}</option>)}
+                                                        </select>
+                                                        <select value={editAccessLevel} onChange={(e) => setEditAccessLevel(e.target.value)} style={editFieldStyle} title={t('admin.visible_to')}>
+                                                            {ACCESS_LEVELS.map(a => <option key={a.value} value={a.value}>{accessLevelLabel(a.value)}</option>)}
+                                                        </select>
+                                                        <input
+                                                            type="text"
+                                                            value={editTags}
+                                                            onChange={(e) => setEditTags(e.target.value)}
+                                                            placeholder={t('admin.tags_placeholder')}
+                                                            style={{ ...editFieldStyle, flex: 1, minWidth: '160px' }}
+                                                        />
+                                                        <button
+                                                            onClick={() => saveEdit(doc.id)}
+                                                            style={{
+                                                                padding: '0.25rem',
+                                                                background: 'transparent',
+                                                                border: 'none',
+                                                                color: '#10b981',
+                                                                cursor: 'pointer'
+                                                            }}
+                                                        >
+                                                            <Check size={18} />
+                                                        </button>
+                                                        <button
+                                                            onClick={() => setEditingId(null)}
+                                                            style={{
+                                                                padding: '0.25rem',
+                                                                background: 'transparent',
+                                                                border: 'none',
+                                                                color: '#ef4444',
+                                                                cursor: 'pointer'
+                                                            }}
+                                                        >
+                                                            <X size={18} />
+                                                        </button>
+                                                    </div>
+                                                ) : (
+                                                    <>
+                                                        <h3 style={{ margin: 0, fontSize: '1rem', color: 'var(--text-primary)', wordBreak: 'break-word' }}>
+                                                            {doc.title}
+                                                        </h3>
+                                                        {canManage && (
+                                                            <button
+                                                                onClick={() => startEdit(doc)}
+                                                                style={{
+                                                                    padding: '0.25rem',
+                                                                    background: 'transparent',
+                                                                    border: 'none',
+                                                                    color: 'var(--text-secondary)',
+                                                                    cursor: 'pointer',
+                                                                    display: 'flex',
+                                                                    alignItems: 'center'
+                                                                }}
+                                                                title={t('admin.edit_document')}
+                                                            >
+                                                                <Edit2 size={14} />
+                                                            </button>
+                                                        )}
+                                                    </>
+                                                )}
+
+                                                {/* File Type Badge */}
+                                                <span style={{
+                                                    fontSize: '0.7rem',
+                                                    padding: '0.1rem 0.4rem',
+                                                    borderRadius: '0.25rem',
+                                                    background: 'var(--bg-tertiary)',
+                                                    color: 'var(--text-secondary)',
+                                                    border: '1px solid var(--glass-border)'
+                                                }}>
+                                                    {doc.file_type.toUpperCase()}
+                                                </span>
+
+                                                {/* Category and Department Badges */}
+                                                {doc.category && (
+                                                    <span style={{
+                                                        fontSize: '0.7rem',
+                                                        padding: '0.1rem 0.4rem',
+                                                        borderRadius: '0.25rem',
+                                                        background: 'rgba(168, 85, 247, 0.1)',
+                                                        color: '#c084fc',
+                                                        border: '1px solid rgba(168, 85, 247, 0.2)'
+                                                    }}>
+                                                        {categoryLabel(doc.category)}
+                                                    </span>
+                                                )}
+                                                {doc.department && (
+                                                    <span style={{
+                                                        fontSize: '0.7rem',
+                                                        padding: '0.1rem 0.4rem',
+                                                        borderRadius: '0.25rem',
+                                                        background: 'rgba(14, 165, 233, 0.1)',
+                                                        color: '#38bdf8',
+                                                        border: '1px solid rgba(14, 165, 233, 0.2)'
+                                                    }}>
+                                                        {doc.department}
+                                                    </span>
+                                                )}
+
+                                                {/* Access Level Badge */}
+                                                {doc.access_level && doc.access_level !== DEFAULT_ACCESS_LEVEL && (
+                                                    <span
+                                                        title={t('admin.visible_to_level', { level: accessLevelLabel(doc.access_level) })}
                                                         style={{
-                                                            flex: 1,
-                                                            padding: '0.25rem 0.5rem',
-                                                            background: 'var(--bg-tertiary)',
-                                                            border: '1px solid var(--accent-primary)',
+                                                            fontSize: '0.7rem',
+                                                            padding: '0.1rem 0.4rem',
                                                             borderRadius: '0.25rem',
-                                                            color: 'var(--text-primary)',
-                                                            fontSize: '1rem'
-                                                        }}
-                                                        autoFocus
-                                                    />
-                                                    <button
-                                                        onClick={() => saveEdit(doc.id)}
-                                                        style={{
-                                                            padding: '0.25rem',
-                                                            background: 'transparent',
-                                                            border: 'none',
-                                                            color: '#10b981',
-                                                            cursor: 'pointer'
+                                                            background: doc.access_level === 'public' ? 'rgba(16, 185, 129, 0.1)' : 'rgba(239, 68, 68, 0.1)',
+                                                            color: doc.access_level === 'public' ? '#10b981' : '#fca5a5',
+                                                            border: `1px solid ${doc.access_level === 'public' ? 'rgba(16, 185, 129, 0.2)' : 'rgba(239, 68, 68, 0.2)'}`,
+                                                            display: 'flex',
+                                                            alignItems: 'center',
+                                                            gap: '0.25rem'
                                                         }}
                                                     >
-                                                        <Check size={18} />
-                                                    </button>
-                                                    <button
-                                                        onClick={() => setEditingId(null)}
+                                                        {doc.access_level === 'public' ? <Globe size={10} /> : <Lock size={10} />} {accessLevelLabel(doc.access_level)}
+                                                    </span>
+                                                )}
+
+                                                {/* Version Badge */}
+                                                {doc.version > 1 && (
+                                                    <span style={{
+                                                        fontSize: '0.7rem',
+                                                        padding: '0.1rem 0.4rem',
+                                                        borderRadius: '0.25rem',
+                                                        background: 'rgba(102, 126, 234, 0.1)',
+                                                        color: 'var(--accent-primary)',
+                                                        border: '1px solid rgba(102, 126, 234, 0.2)'
+                                                    }}>
+                                                        v{doc.version}
+                                                    </span>
+                                                )}
+
+                                                {/* Validity Badge */}
+                                                {validityBadge && (
+                                                    <span
+                                                        title={describeValidity(doc)}
                                                         style={{
-                                                            padding: '0.25rem',
-                                                            background: 'transparent',
-                                                            border: 'none',
-                                                            color: '#ef4444',
-                                                            cursor: 'pointer'
+                                                            fontSize: '0.7rem',
+                                                            padding: '0.1rem 0.4rem',
+                                                            borderRadius: '0.25rem',
+                                                            background: validityBadge.background,
+                                                            color: validityBadge.color,
+                                                            border: `1px solid ${validityBadge.border}`,
+                                                            display: 'flex',
+                                                            alignItems: 'center',
+                                                            gap: '0.25rem'
                                                         }}
                                                     >
-                                                        <X size={18} />
-                                                    </button>
-                                                </div>
-                                            ) : (
-                                                <>
-                                                    <h3 style={{ margin: 0, fontSize: '1rem', color: 'var(--text-primary)', wordBreak: 'break-word' }}>
-                                                        {doc.title}
-                                                    </h3>
-                                                    <button
-                                                        onClick={() => startEdit(doc)}
+                                                        <CalendarClock size={10} /> {t(validityBadge.labelKey)}
+                                                    </span>
+                                                )}
+
+                                                {/* Vectorized Badge */}
+                                                {stats.chunkCount > 0 && (
+                                                    <span style={{
+                                                        fontSize: '0.7rem',
+                                                        padding: '0.1rem 0.4rem',
+                                                        borderRadius: '0.25rem',
+                                                        background: 'rgba(16, 185, 129, 0.1)',
+                                                        color: '#10b981',
+                                                        border: '1px solid rgba(16, 185, 129, 0.2)',
+                                                        display: 'flex',
+                                                        alignItems: 'center',
+                                                        gap: '0.25rem'
+                                                    }}>
+                                                        <Sparkles size={10} /> {t('admin.vectorized')}
+                                                    </span>
+                                                )}
+
+                                                {/* OCR Badge */}
+                                                {doc.ocr_pages?.length > 0 && (
+                                                    <span
+                                                        title={t('admin.ocr_details', { pages: doc.ocr_pages.map(p => t('admin.ocr_page', { page: p.page_number, confidence: p.confidence })).join(', ') })}
                                                         style={{
-                                                            padding: '0.25rem',
-                                                            background: 'transparent',
-                                                            border: 'none',
-                                                            color: 'var(--text-secondary)',
-                                                            cursor: 'pointer',
+                                                            fontSize: '0.7rem',
+                                                            padding: '0.1rem 0.4rem',
+                                                            borderRadius: '0.25rem',
+                                                            background: 'rgba(245, 158, 11, 0.1)',
+                                                            color: '#f59e0b',
+                                                            border: '1px solid rgba(245, 158, 11, 0.2)',
                                                             display: 'flex',
-                                                            alignItems: 'center'
+                                                            alignItems: 'center',
+                                                            gap: '0.25rem'
                                                         }}
-                                                        title="Edit title"
                                                     >
-                                                        <Edit2 size={14} />
-                                                    </button>
-                                                </>
-                                            )}
-
-                                            {/* File Type Badge */}
-                                            <span style={{
-                                                fontSize: '0.7rem',
-                                                padding: '0.1rem 0.4rem',
-                                                borderRadius: '0.25rem',
-                                                background: 'var(--bg-tertiary)',
-                                                color: 'var(--text-secondary)',
-                                                border: '1px solid var(--glass-border)'
-                                            }}>
-                                                {doc.file_type.toUpperCase()}
-                                            </span>
+                                                        <ScanText size={10} /> {t('admin.ocr_pages', { count: doc.ocr_pages.length })}
+                                                        {doc.ocr_pages.some(p => p.confidence < LOW_OCR_CONFIDENCE) && ` · ${t('admin.ocr_review')}`}
+                                                    </span>
+                                                )}
+                                            </div>
 
-                                            {/* Vectorized Badge */}
-                                            {doc.embedding && (
-                                                <span style={{
-                                                    fontSize: '0.7rem',
-                                                    padding: '0.1rem 0.4rem',
-                                                    borderRadius: '0.25rem',
-                                                    background: 'rgba(16, 185, 129, 0.1)',
-                                                    color: '#10b981',
-                                                    border: '1px solid rgba(16, 185, 129, 0.2)',
-                                                    display: 'flex',
-                                                    alignItems: 'center',
-                                                    gap: '0.25rem'
-                                                }}>
-                                                    <Sparkles size={10} /> Vectorized
-                                                </span>
-                                            )}
+                                            {/* Document Statistics */}
+                                            <div style={{ display: 'flex', gap: '1rem', fontSize: '0.8rem', color: 'var(--text-secondary)', flexWrap: 'wrap' }}>
+                                                <span>📊 {t('admin.words', { count: stats.wordCount })}</span>
+                                                <span>📝 {t('admin.chars', { count: stats.charCount })}</span>
+                                                <span>🧩 {t('admin.passages', { count: stats.chunkCount })}</span>
+                                                <span>📅 {new Date(doc.uploaded_at).toLocaleDateString()}</span>
+                                                {describeValidity(doc) && <span>🗓️ {describeValidity(doc)}</span>}
+                                                {doc.tags?.length > 0 && <span>🏷️ {doc.tags.join(', ')}</span>}
+                                            </div>
                                         </div>
 
-                                        {/* Document Statistics */}
-                                        <div style={{ display: 'flex', gap: '1rem', fontSize: '0.8rem', color: 'var(--text-secondary)', flexWrap: 'wrap' }}>
-                                            <span>📊 {stats.wordCount.toLocaleString()} words</span>
-                                            <span>📝 {stats.charCount.toLocaleString()} chars</span>
-                                            <span>📅 {new Date(doc.uploaded_at).toLocaleDateString()}</span>
-                                        </div>
+                                        {/* Version History Button */}
+                                        {doc.version > 1 && (
+                                            <button
+                                                onClick={() => setHistoryDoc(doc)}
+                                                style={{
+                                                    background: 'transparent',
+                                                    border: 'none',
+                                                    color: 'var(--text-secondary)',
+                                                    cursor: 'pointer',
+                                                    padding: '0.5rem',
+                                                    borderRadius: '0.5rem',
+                                                    flexShrink: 0
+                                                }}
+                                                title={t('admin.version_history')}
+                                            >
+                                                <History size={18} />
+                                            </button>
+                                        )}
+
+                                        {/* Re-index Button */}
+                                        {canManage && doc.needs_reindex && (
+                                            <button
+                                                onClick={() => handleReindex(doc)}
+                                                style={{
+                                                    background: 'transparent',
+                                                    border: 'none',
+                                                    color: '#f59e0b',
+                                                    cursor: 'pointer',
+                                                    padding: '0.5rem',
+                                                    borderRadius: '0.5rem',
+                                                    flexShrink: 0
+                                                }}
+                                                title={t('admin.reindex')}
+                                            >
+                                                <Layers size={18} />
+                                            </button>
+                                        )}
+
+                                        {/* Replace With New Version Button */}
+                                        {canManage && (
+                                            <button
+                                                onClick={() => startReplace(doc)}
+                                                style={{
+                                                    background: 'transparent',
+                                                    border: 'none',
+                                                    color: 'var(--text-secondary)',
+                                                    cursor: 'pointer',
+                                                    padding: '0.5rem',
+                                                    borderRadius: '0.5rem',
+                                                    flexShrink: 0
+                                                }}
+                                                title={t('admin.replace')}
+                                            >
+                                                <RefreshCw size={18} />
+                                            </button>
+                                        )}
+
+                                        {/* View Original Button */}
+                                        {doc.storage_path && (
+                                            <button
+                                                onClick={() => handleOpenOriginal(doc)}
+                                                style={{
+                                                    background: 'transparent',
+                                                    border: 'none',
+                                                    color: 'var(--text-secondary)',
+                                                    cursor: 'pointer',
+                                                    padding: '0.5rem',
+                                                    borderRadius: '0.5rem',
+                                                    flexShrink: 0
+                                                }}
+                                                title={t('admin.view_original')}
+                                            >
+                                                <ExternalLink size={18} />
+                                            </button>
+                                        )}
+
+                                        {/* Delete Button */}
+                                        {canManage && (
+                                            <button
+                                                onClick={() => handleDelete(doc.id)}
+                                                style={{
+                                                    background: 'transparent',
+                                                    border: 'none',
+                                                    color: '#ef4444',
+                                                    cursor: 'pointer',
+                                                    padding: '0.5rem',
+                                                    borderRadius: '0.5rem',
+                                                    transition: 'background 0.2s',
+                                                    flexShrink: 0
+                                                }}
+                                                className="hover:bg-red-500/10"
+                                                title={t('admin.delete_document')}
+                                            >
+                                                <Trash2 size={18} />
+                                            </button>
+                                        )}
                                     </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+            )}
 
-                                    {/* Delete Button */}
-                                    <button
-                                        onClick={() => handleDelete(doc.id)}
-                                        style={{
-                                            background: 'transparent',
-                                            border: 'none',
-                                            color: '#ef4444',
-                                            cursor: 'pointer',
-                                            padding: '0.5rem',
-                                            borderRadius: '0.5rem',
-                                            transition: 'background 0.2s',
-                                            flexShrink: 0
-                                        }}
-                                        className="hover:bg-red-500/10"
-                                        title="Delete document"
-                                    >
-                                        <Trash2 size={18} />
-                                    </button>
-                                </div>
-                            );
-                        })}
-                    </div>
-                )}
-            </div>
+            {historyDoc && (
+                <DocumentHistory doc={historyDoc} onClose={() => setHistoryDoc(null)} />
+            )}
         </div >
     );
 }
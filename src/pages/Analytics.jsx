@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { ArrowLeft, TrendingUp, Users, MessageSquare, Clock, Sparkles } from 'lucide-react';
 import { supabase } from '../lib/supabase';
+import { useTranslation } from '../lib/i18n';
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, Legend } from 'recharts';
 
 export default function Analytics() {
@@ -9,6 +10,7 @@ export default function Analytics() {
     const [loading, setLoading] = useState(true);
     const [timeRange, setTimeRange] = useState(7);
     const [ratingStats, setRatingStats] = useState({ up: 0, down: 0, total: 0 });
+    const { t } = useTranslation();
 
     useEffect(() => {
         fetchAnalytics();
@@ -24,17 +26,9 @@ export default function Analytics() {
             if (error) throw error;
             setAnalytics(data);
 
-            // Fetch rating stats
-            const { data: ratings, error: ratingError } = await supabase
-                .from('chat_messages')
-                .select('rating')
-                .not('rating', 'is', null);
-
-            if (!ratingError && ratings) {
-                const up = ratings.filter(r => r.rating === 'up').length;
-                const down = ratings.filter(r => r.rating === 'down').length;
-                setRatingStats({ up, down, total: up + down });
-            }
+            const up = data?.ratings?.up ?? 0;
+            const down = data?.ratings?.down ?? 0;
+            setRatingStats({ up, down, total: up + down });
 
         } catch (error) {
             console.error('Error fetching analytics:', error);
@@ -56,7 +50,7 @@ export default function Analytics() {
                         animation: 'spin 1s linear infinite',
                         margin: '0 auto 1rem'
                     }}></div>
-                    <p style={{ color: 'var(--text-secondary)' }}>Loading analytics...</p>
+                    <p style={{ color: 'var(--text-secondary)' }}>{t('analytics.loading')}</p>
                 </div>
             </div>
         );
@@ -65,20 +59,20 @@ export default function Analytics() {
     const stats = [
         {
             icon: MessageSquare,
-            label: 'Total Messages',
+            label: t('analytics.total_messages'),
             value: analytics?.total_messages || 0,
             color: 'var(--accent-primary)'
         },
         {
             icon: Users,
-            label: 'Unique Users',
+            label: t('analytics.unique_users'),
             value: analytics?.unique_users || 0,
             color: 'var(--accent-secondary)'
         },
         {
             icon: Clock,
-            label: 'Avg Response Time',
-            value: analytics?.avg_response_time ? `${Math.round(analytics.avg_response_time)}ms` : 'N/A',
+            label: t('analytics.avg_response_time'),
+            value: analytics?.avg_response_time ? t('analytics.milliseconds', { ms: Math.round(analytics.avg_response_time) }) : t('analytics.not_available'),
             color: 'var(--accent-tertiary)'
         }
     ];
@@ -100,7 +94,7 @@ export default function Analytics() {
                     onMouseLeave={(e) => e.currentTarget.style.color = 'var(--text-secondary)'}
                 >
                     <ArrowLeft size={20} />
-                    Back to Chat
+                    {t('analytics.back_to_chat')}
                 </Link>
 
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '1rem' }}>
@@ -114,9 +108,9 @@ export default function Analytics() {
                             backgroundClip: 'text',
                             marginBottom: '0.5rem'
                         }}>
-                            Analytics Dashboard
+                            {t('analytics.title')}
                         </h1>
-                        <p style={{ color: 'var(--text-secondary)' }}>Track usage and performance metrics</p>
+                        <p style={{ color: 'var(--text-secondary)' }}>{t('analytics.subtitle')}</p>
                     </div>
 
                     <select
@@ -132,9 +126,9 @@ export default function Analytics() {
                             cursor: 'pointer'
                         }}
                     >
-                        <option value={7}>Last 7 days</option>
-                        <option value={14}>Last 14 days</option>
-                        <option value={30}>Last 30 days</option>
+                        <option value={7}>{t('analytics.last_7_days')}</option>
+                        <option value={14}>{t('analytics.last_14_days')}</option>
+                        <option value={30}>{t('analytics.last_30_days')}</option>
                     </select>
                 </div>
             </div>
@@ -204,7 +198,7 @@ export default function Analytics() {
                 }}>
                     <h3 style={{ marginBottom: '1.5rem', color: 'var(--text-primary)' }}>
                         <TrendingUp size={20} style={{ verticalAlign: 'middle', marginRight: '0.5rem' }} />
-                        Messages Over Time
+                        {t('analytics.messages_over_time')}
                     </h3>
                     {analytics?.messages_by_day && analytics.messages_by_day.length > 0 ? (
                         <ResponsiveContainer width="100%" height={300}>
@@ -224,7 +218,7 @@ export default function Analytics() {
                         </ResponsiveContainer>
                     ) : (
                         <p style={{ color: 'var(--text-secondary)', textAlign: 'center', padding: '3rem' }}>
-                            No data available
+                            {t('analytics.no_data')}
                         </p>
                     )}
                 </div>
@@ -239,7 +233,7 @@ export default function Analytics() {
                 }}>
                     <h3 style={{ marginBottom: '1.5rem', color: 'var(--text-primary)' }}>
                         <Sparkles size={20} style={{ verticalAlign: 'middle', marginRight: '0.5rem' }} />
-                        User Satisfaction
+                        {t('analytics.user_satisfaction')}
                     </h3>
                     {ratingStats.total > 0 ? (
                         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '300px' }}>
@@ -247,8 +241,8 @@ export default function Analytics() {
                                 <PieChart>
                                     <Pie
                                         data={[
-                                            { name: 'Helpful', value: ratingStats.up },
-                                            { name: 'Not Helpful', value: ratingStats.down }
+                                            { name: t('analytics.helpful'), value: ratingStats.up },
+                                            { name: t('analytics.not_helpful'), value: ratingStats.down }
                                         ]}
                                         cx="50%"
                                         cy="50%"
@@ -274,12 +268,12 @@ export default function Analytics() {
                                 <div style={{ fontSize: '2rem', fontWeight: 'bold', color: 'var(--text-primary)' }}>
                                     {Math.round((ratingStats.up / ratingStats.total) * 100)}%
                                 </div>
-                                <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>Satisfaction</div>
+                                <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>{t('analytics.satisfaction')}</div>
                             </div>
                         </div>
                     ) : (
                         <p style={{ color: 'var(--text-secondary)', textAlign: 'center', padding: '3rem' }}>
-                            No ratings yet
+                            {t('analytics.no_ratings')}
                         </p>
                     )}
                 </div>
@@ -295,7 +289,7 @@ export default function Analytics() {
                 }}>
                     <h3 style={{ marginBottom: '1.5rem', color: 'var(--text-primary)' }}>
                         <MessageSquare size={20} style={{ verticalAlign: 'middle', marginRight: '0.5rem' }} />
-                        Top Questions
+                        {t('analytics.top_questions')}
                     </h3>
                     {analytics?.top_questions && analytics.top_questions.length > 0 ? (
                         <ResponsiveContainer width="100%" height={300}>
@@ -315,7 +309,7 @@ export default function Analytics() {
                         </ResponsiveContainer>
                     ) : (
                         <p style={{ color: 'var(--text-secondary)', textAlign: 'center', padding: '3rem' }}>
-                            No data available
+                            {t('analytics.no_data')}
                         </p>
                     )}
                     {analytics?.top_questions && analytics.top_questions.length > 0 && (
@@ -2,50 +2,138 @@ import { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { Send, LogOut, Settings, Bot, User, Sparkles, TrendingUp, FileText, Trash2, ThumbsUp, ThumbsDown, X } from 'lucide-react';
 import { useAuth } from '../components/AuthProvider';
+import ConversationSidebar from '../components/ConversationSidebar';
+import CitationPanel from '../components/CitationPanel';
 import { supabase } from '../lib/supabase';
-import { generateResponse } from '../lib/gemini';
+import { generateResponse } from '../lib/chat';
+import { trackEvent } from '../lib/analytics';
+import { describeValidity } from '../lib/validity';
+import { DEPARTMENTS } from '../lib/taxonomy';
+import { ADMIN_PAGE_PERMISSIONS, PERMISSIONS } from '../lib/permissions';
+import { useTranslation, languageNames } from '../lib/i18n';
 import ReactMarkdown from 'react-markdown';
 
+// Title a new conversation after its first question, cut at a word boundary
+function titleFromMessage(message) {
+    const text = message.replace(/\s+/g, ' ').trim();
+    if (text.length <= 50) return text;
+    const cut = text.slice(0, 50);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > 20 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+async function loadMessages(conversationId) {
+    const { data, error } = await supabase
+        .from('chat_messages')
+        .select('*')
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        console.error('Error loading messages:', error);
+        return [];
+    }
+
+    const formatted = [];
+    data.forEach(msg => {
+        if (msg.message) {
+            formatted.push({ role: 'user', content: msg.message });
+        }
+        if (msg.response) {
+            formatted.push({
+                id: msg.id,
+                role: 'assistant',
+                content: msg.response,
+                rating: msg.rating,
+                citations: msg.citations || []
+            });
+        }
+    });
+    return formatted;
+}
+
 export default function Chat() {
-    const { user, signOut, isAdmin } = useAuth();
+    const { user, signOut, hasPermission, department, updateDepartment } = useAuth();
+    // A document manager's department decides what they manage, so only user managers change it
+    const departmentLocked = hasPermission(PERMISSIONS.UPLOAD_DOCUMENTS) && !hasPermission(PERMISSIONS.MANAGE_USERS);
+    const { t, language, languages, changeLanguage } = useTranslation();
+    const [conversations, setConversations] = useState([]);
+    const [activeConversationId, setActiveConversationId] = useState(null);
     const [messages, setMessages] = useState([]);
     const [input, setInput] = useState('');
     const [loading, setLoading] = useState(false);
     const [feedbackModalOpen, setFeedbackModalOpen] = useState(false);
-    const [clearChatModalOpen, setClearChatModalOpen] = useState(false);
+    const [deleteConversationId, setDeleteConversationId] = useState(null);
     const [currentRatingId, setCurrentRatingId] = useState(null);
     const [feedbackText, setFeedbackText] = useState('');
+    const [activeCitation, setActiveCitation] = useState(null);
     const messagesEndRef = useRef(null);
+    // Set while handleSend creates a conversation, so switching to it doesn't
+    // reload (and wipe) the message that is being sent
+    const creatingConversationRef = useRef(null);
 
     useEffect(() => {
-        // Load previous chat messages if needed
-        const fetchMessages = async () => {
-            const { data, error } = await supabase.from('chat_messages').select('*').eq('user_id', user?.id).order('created_at', { ascending: true });
-            if (!error && data) {
-                const formatted = [];
-                data.forEach(msg => {
-                    if (msg.message) {
-                        formatted.push({ role: 'user', content: msg.message });
-                    }
-                    if (msg.response) {
-                        formatted.push({
-                            id: msg.id,
-                            role: 'assistant',
-                            content: msg.response,
-                            rating: msg.rating
-                        });
-                    }
-                });
-                setMessages(formatted);
+        const fetchConversations = async () => {
+            const { data, error } = await supabase
+                .from('conversations')
+                .select('*')
+                .eq('user_id', user.id)
+                .order('updated_at', { ascending: false });
+
+            if (error) {
+                console.error('Error loading conversations:', error);
+                return;
             }
+            setConversations(data);
+            setActiveConversationId(data[0]?.id ?? null);
         };
-        if (user) fetchMessages();
+        if (user) fetchConversations();
     }, [user]);
 
+    useEffect(() => {
+        if (!activeConversationId) {
+            setMessages([]);
+            return;
+        }
+        if (creatingConversationRef.current === activeConversationId) return;
+
+        let cancelled = false;
+        loadMessages(activeConversationId).then(formatted => {
+            if (!cancelled) setMessages(formatted);
+        });
+        return () => { cancelled = true; };
+    }, [activeConversationId]);
+
     useEffect(() => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
     }, [messages]);
 
+    // Move a conversation to the top of the sidebar after new activity
+    function touchConversation(id) {
+        setConversations(prev => {
+            const conversation = prev.find(c => c.id === id);
+            if (!conversation) return prev;
+            return [{ ...conversation, updated_at: new Date().toISOString() }, ...prev.filter(c => c.id !== id)];
+        });
+    }
+
+    async function ensureConversation(firstMessage) {
+        if (activeConversationId) return activeConversationId;
+
+        const { data, error } = await supabase
+            .from('conversations')
+            .insert({ user_id: user.id, title: titleFromMessage(firstMessage) })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        creatingConversationRef.current = data.id;
+        setConversations(prev => [data, ...prev]);
+        setActiveConversationId(data.id);
+        return data.id;
+    }
+
     async function handleSend(e) {
         e.preventDefault();
         if (!input.trim()) return;
@@ -54,46 +142,35 @@ export default function Chat() {
         setMessages(prev => [...prev, { role: 'user', content: userMessage }]);
         setLoading(true);
         try {
-            // Check for name/identity questions
-            const lowerMsg = userMessage.toLowerCase();
-            if (lowerMsg.includes('what is your name') || lowerMsg.includes('who are you') || lowerMsg.includes('what are you called') || lowerMsg.includes('your name')) {
-                const response = "Hey! I'm **BroFessor** 🎓 - your friendly college assistant bro! Hit me up with any questions about college stuff and I'll help you out.";
-                setMessages(prev => [...prev, { role: 'assistant', content: response }]);
-
-                await supabase.from('chat_messages').insert({
-                    user_id: user.id,
-                    message: userMessage,
-                    response: response
-                });
-                setLoading(false);
-                return;
-            }
-
-            // Check for developer question
-            if (lowerMsg.includes('who developed you') || lowerMsg.includes('who made you') || lowerMsg.includes('who created you')) {
-                const response = "Those Backbenchers from ISE B section Pratham, Prashanth, Varun and Sumeeth developed me and I love them ❤️";
-                setMessages(prev => [...prev, { role: 'assistant', content: response }]);
-
-                await supabase.from('chat_messages').insert({
-                    user_id: user.id,
-                    message: userMessage,
-                    response: response
-                });
-                setLoading(false);
-                return;
-            }
-
-            const result = await generateResponse([...messages, { role: 'user', content: userMessage }]);
+            const conversationId = await ensureConversation(userMessage);
+
+            // The server reads earlier turns from the stored conversation.
+            // Fill the assistant bubble in as tokens arrive
+            const result = await generateResponse([{ role: 'user', content: userMessage }], {
+                language,
+                conversationId,
+                onToken: (_token, text) => setMessages(prev => {
+                    const last = prev[prev.length - 1];
+                    if (last?.streaming) {
+                        return [...prev.slice(0, -1), { ...last, content: text }];
+                    }
+                    return [...prev, { role: 'assistant', content: text, streaming: true }];
+                })
+            });
 
             const { data: insertedData, error: insertError } = await supabase.from('chat_messages').insert({
                 user_id: user.id,
+                conversation_id: conversationId,
                 message: userMessage,
-                response: result.response
+                response: result.response,
+                citations: result.citations.length > 0 ? result.citations : null,
+                search_query: result.searchQuery
             }).select().single();
 
             if (insertError) throw insertError;
+            touchConversation(conversationId);
 
-            setMessages(prev => [...prev, {
+            setMessages(prev => [...prev.filter(msg => !msg.streaming), {
                 id: insertedData.id,
                 role: 'assistant',
                 content: result.response,
@@ -101,29 +178,69 @@ export default function Chat() {
             }]);
         } catch (error) {
             console.error('Chat error:', error);
-            setMessages(prev => [...prev, { role: 'assistant', content: `Error: ${error.message || 'Unknown error'}` }]);
+            setMessages(prev => [...prev.filter(msg => !msg.streaming), { role: 'assistant', content: t('chat.error', { message: error.message || t('errors.unknown') }) }]);
         } finally {
+            creatingConversationRef.current = null;
             setLoading(false);
         }
     }
 
-    function clearChat() {
-        setClearChatModalOpen(true);
+    function startNewConversation() {
+        if (loading) return;
+        setActiveConversationId(null);
+    }
+
+    function selectConversation(id) {
+        if (loading || id === activeConversationId) return;
+        setActiveConversationId(id);
+    }
+
+    async function renameConversation(id, title) {
+        const previous = conversations;
+        setConversations(prev => prev.map(c => c.id === id ? { ...c, title } : c));
+
+        const { error } = await supabase
+            .from('conversations')
+            .update({ title })
+            .eq('id', id);
+
+        if (error) {
+            console.error('Error renaming conversation:', error);
+            setConversations(previous);
+            alert(t('chat.rename_failed'));
+        }
     }
 
-    async function confirmClearChat() {
+    async function confirmDeleteConversation() {
+        const id = deleteConversationId;
         try {
+            // Messages are removed by the ON DELETE CASCADE on chat_messages.conversation_id
             const { error } = await supabase
-                .from('chat_messages')
+                .from('conversations')
                 .delete()
-                .eq('user_id', user.id);
+                .eq('id', id);
 
             if (error) throw error;
-            setMessages([]);
-            setClearChatModalOpen(false);
+
+            const remaining = conversations.filter(c => c.id !== id);
+            setConversations(remaining);
+            if (id === activeConversationId) {
+                setActiveConversationId(remaining[0]?.id ?? null);
+            }
+            setDeleteConversationId(null);
+        } catch (error) {
+            console.error('Error deleting conversation:', error);
+            alert(t('chat.delete_failed'));
+        }
+    }
+
+    // Answers favour documents from the student's department
+    async function handleDepartmentChange(value) {
+        try {
+            await updateDepartment(value);
         } catch (error) {
-            console.error('Error clearing chat:', error);
-            alert('Failed to clear chat history');
+            console.error('Error updating department:', error);
+            alert(t('chat.department_failed'));
         }
     }
 
@@ -143,6 +260,7 @@ export default function Chat() {
 
         try {
             const newRating = messages.find(m => m.id === messageId)?.rating === rating ? null : rating;
+            trackEvent('rating', { message_id: messageId, rating: newRating });
 
             const { error } = await supabase
                 .from('chat_messages')
@@ -152,7 +270,7 @@ export default function Chat() {
             if (error) throw error;
         } catch (error) {
             console.error('Error updating rating:', error);
-            fetchMessages();
+            loadMessages(activeConversationId).then(setMessages);
         }
     }
 
@@ -171,13 +289,14 @@ export default function Chat() {
                 .eq('id', currentRatingId);
 
             if (error) throw error;
+            trackEvent('rating', { message_id: currentRatingId, rating: 'down', has_feedback: !!feedbackText.trim() });
 
             setFeedbackModalOpen(false);
             setFeedbackText('');
             setCurrentRatingId(null);
         } catch (error) {
             console.error('Error submitting feedback:', error);
-            alert('Failed to submit feedback');
+            alert(t('chat.feedback_failed'));
         }
     }
 
@@ -255,7 +374,7 @@ export default function Chat() {
                             color: 'var(--text-primary)',
                             margin: '0 0 0.15rem 0'
                         }}>
-                            BroFessor
+                            {t('app_name')}
                         </p>
                         <p style={{
                             fontSize: '0.85rem',
@@ -265,56 +384,92 @@ export default function Chat() {
                             alignItems: 'center',
                             gap: '0.25rem'
                         }}>
-                            <Sparkles size={13} /> AI-Powered Assistant
+                            <Sparkles size={13} /> {t('tagline')}
                         </p>
                     </div>
                 </div>
                 <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center' }}>
-                    <button onClick={clearChat} className="btn btn-secondary" style={{
-                        padding: '0.625rem 1.25rem',
-                        gap: '0.5rem',
-                        background: 'rgba(239, 68, 68, 0.1)',
-                        border: '1px solid rgba(239, 68, 68, 0.2)',
-                        borderRadius: '0.75rem',
-                        color: '#ef4444',
-                        transition: 'all 0.3s',
-                        display: 'flex',
-                        alignItems: 'center',
-                        cursor: 'pointer'
-                    }}>
-                        <Trash2 size={18} /> Clear Chat
-                    </button>
-                    {isAdmin && (
-                        <>
-                            <Link to="/admin" className="btn btn-secondary" style={{
-                                padding: '0.625rem 1.25rem',
-                                gap: '0.5rem',
-                                background: 'var(--bg-tertiary)',
-                                border: '1px solid var(--glass-border)',
-                                borderRadius: '0.75rem',
-                                color: 'var(--text-primary)',
-                                textDecoration: 'none',
-                                transition: 'all 0.3s',
-                                display: 'flex',
-                                alignItems: 'center'
-                            }}>
-                                <Settings size={18} /> Admin Panel
-                            </Link>
-                            <Link to="/analytics" className="btn btn-secondary" style={{
-                                padding: '0.625rem 1.25rem',
-                                gap: '0.5rem',
-                                background: 'var(--bg-tertiary)',
-                                border: '1px solid var(--glass-border)',
-                                borderRadius: '0.75rem',
-                                color: 'var(--text-primary)',
-                                textDecoration: 'none',
-                                transition: 'all 0.3s',
-                                display: 'flex',
-                                alignItems: 'center'
-                            }}>
-                                <TrendingUp size={18} /> Analytics
-                            </Link>
-                        </>
+                    <select
+                        value={language}
+                        onChange={(e) => changeLanguage(e.target.value)}
+                        title={t('chat.language')}
+                        style={{
+                            padding: '0.625rem 1rem',
+                            background: 'var(--bg-tertiary)',
+                            border: '1px solid var(--glass-border)',
+                            borderRadius: '0.75rem',
+                            color: 'var(--text-primary)',
+                            fontSize: '0.9rem',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        {languages.map(lang => <option key={lang} value={lang}>{languageNames[lang]}</option>)}
+                    </select>
+                    <select
+                        value={department ?? ''}
+                        onChange={(e) => handleDepartmentChange(e.target.value)}
+                        disabled={departmentLocked}
+                        title={t(departmentLocked ? 'chat.department_locked' : 'chat.your_department')}
+                        style={{
+                            padding: '0.625rem 1rem',
+                            background: 'var(--bg-tertiary)',
+                            border: '1px solid var(--glass-border)',
+                            borderRadius: '0.75rem',
+                            color: 'var(--text-primary)',
+                            fontSize: '0.9rem',
+                            cursor: departmentLocked ? 'not-allowed' : 'pointer'
+                        }}
+                    >
+                        <option value="">{t('common.all_departments')}</option>
+                        {DEPARTMENTS.map(d => <option key={d.value} value={d.value}>{d.value}</option>)}
+                    </select>
+                    {activeConversationId && (
+                        <button onClick={() => setDeleteConversationId(activeConversationId)} className="btn btn-secondary" style={{
+                            padding: '0.625rem 1.25rem',
+                            gap: '0.5rem',
+                            background: 'rgba(239, 68, 68, 0.1)',
+                            border: '1px solid rgba(239, 68, 68, 0.2)',
+                            borderRadius: '0.75rem',
+                            color: '#ef4444',
+                            transition: 'all 0.3s',
+                            display: 'flex',
+                            alignItems: 'center',
+                            cursor: 'pointer'
+                        }}>
+                            <Trash2 size={18} /> {t('chat.delete_chat')}
+                        </button>
+                    )}
+                    {ADMIN_PAGE_PERMISSIONS.some(hasPermission) && (
+                        <Link to="/admin" className="btn btn-secondary" style={{
+                            padding: '0.625rem 1.25rem',
+                            gap: '0.5rem',
+                            background: 'var(--bg-tertiary)',
+                            border: '1px solid var(--glass-border)',
+                            borderRadius: '0.75rem',
+                            color: 'var(--text-primary)',
+                            textDecoration: 'none',
+                            transition: 'all 0.3s',
+                            display: 'flex',
+                            alignItems: 'center'
+                        }}>
+                            <Settings size={18} /> {t('admin.panel')}
+                        </Link>
+                    )}
+                    {hasPermission(PERMISSIONS.VIEW_ANALYTICS) && (
+                        <Link to="/analytics" className="btn btn-secondary" style={{
+                            padding: '0.625rem 1.25rem',
+                            gap: '0.5rem',
+                            background: 'var(--bg-tertiary)',
+                            border: '1px solid var(--glass-border)',
+                            borderRadius: '0.75rem',
+                            color: 'var(--text-primary)',
+                            textDecoration: 'none',
+                            transition: 'all 0.3s',
+                            display: 'flex',
+                            alignItems: 'center'
+                        }}>
+                            <TrendingUp size={18} /> {t('admin.analytics')}
+                        </Link>
                     )}
                     <button onClick={signOut} className="btn btn-secondary" style={{
                         padding: '0.625rem 1.25rem',
@@ -325,324 +480,343 @@ export default function Chat() {
                         color: 'var(--text-primary)',
                         transition: 'all 0.3s'
                     }}>
-                        <LogOut size={18} /> Sign Out
+                        <LogOut size={18} /> {t('auth.sign_out')}
                     </button>
                 </div>
             </header>
 
-            {/* Chat Area */}
-            <main className="container" style={{
-                flex: 1,
-                overflowY: 'auto',
-                padding: '2rem',
-                display: 'flex',
-                flexDirection: 'column',
-                gap: '1.5rem',
-                position: 'relative',
-                zIndex: 1
-            }}>
-                {messages.length === 0 && (
-                    <div style={{
-                        textAlign: 'center',
-                        color: 'var(--text-secondary)',
-                        marginTop: 'auto',
-                        marginBottom: 'auto',
-                        animation: 'fadeIn 0.6s ease-out'
-                    }}>
-                        <div style={{
-                            width: '120px',
-                            height: '120px',
-                            margin: '0 auto 2rem',
-                            borderRadius: '50%',
-                            background: 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))',
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center',
-                            boxShadow: '0 8px 32px rgba(102, 126, 234, 0.3)',
-                            animation: 'float 3s ease-in-out infinite'
-                        }}>
-                            <Bot size={64} color="white" />
-                        </div>
-                        <h2 style={{
-                            fontSize: '2rem',
-                            marginBottom: '0.5rem',
-                            background: 'linear-gradient(135deg, var(--text-primary), var(--text-secondary))',
-                            WebkitBackgroundClip: 'text',
-                            WebkitTextFillColor: 'transparent',
-                            backgroundClip: 'text'
-                        }}>How can I help you today?</h2>
-                        <p style={{ fontSize: '1.1rem' }}>Ask me anything about the college documents.</p>
-                    </div>
-                )}
-                {messages.map((msg, idx) => (
-                    <div key={idx} className="animate-fade-in" style={{
+            <div style={{ display: 'flex', flex: 1, minHeight: 0 }}>
+                <ConversationSidebar
+                    conversations={conversations}
+                    activeId={activeConversationId}
+                    onSelect={selectConversation}
+                    onNew={startNewConversation}
+                    onRename={renameConversation}
+                    onDelete={setDeleteConversationId}
+                />
+
+                <div style={{ flex: 1, display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+                    {/* Chat Area */}
+                    <main className="container" style={{
+                        flex: 1,
+                        overflowY: 'auto',
+                        padding: '2rem',
                         display: 'flex',
-                        gap: '1rem',
-                        alignSelf: msg.role === 'user' ? 'flex-end' : 'flex-start',
-                        maxWidth: '75%',
-                        flexDirection: msg.role === 'user' ? 'row-reverse' : 'row',
-                        animation: 'slideIn 0.4s ease-out'
+                        flexDirection: 'column',
+                        gap: '1.5rem',
+                        position: 'relative',
+                        zIndex: 1
                     }}>
-                        <div style={{
-                            width: '40px',
-                            height: '40px',
-                            borderRadius: '50%',
-                            background: msg.role === 'user'
-                                ? 'linear-gradient(135deg, var(--bg-tertiary), var(--bg-secondary))'
-                                : 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))',
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center',
-                            flexShrink: 0,
-                            boxShadow: msg.role === 'assistant' ? '0 4px 12px rgba(102, 126, 234, 0.3)' : 'none',
-                            border: msg.role === 'user' ? '2px solid var(--glass-border)' : 'none'
-                        }}>
-                            {msg.role === 'user' ? <User size={20} /> : <Bot size={20} />}
-                        </div>
-                        <div style={{
-                            padding: '1.25rem 1.75rem',
-                            borderRadius: '1.25rem',
-                            background: msg.role === 'user'
-                                ? 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))'
-                                : 'rgba(30, 41, 59, 0.7)',
-                            backdropFilter: msg.role === 'assistant' ? 'blur(10px)' : 'none',
-                            color: 'var(--text-primary)',
-                            borderTopRightRadius: msg.role === 'user' ? '0.25rem' : '1.25rem',
-                            borderTopLeftRadius: msg.role === 'assistant' ? '0.25rem' : '1.25rem',
-                            boxShadow: msg.role === 'user'
-                                ? '0 4px 16px rgba(102, 126, 234, 0.25)'
-                                : '0 4px 16px rgba(0, 0, 0, 0.2)',
-                            lineHeight: '1.6',
-                            border: msg.role === 'assistant' ? '1px solid var(--glass-border)' : 'none',
-                            transition: 'transform 0.2s',
-                            cursor: 'default'
-                        }}
-                            onMouseEnter={e => e.currentTarget.style.transform = 'translateY(-2px)'}
-                            onMouseLeave={e => e.currentTarget.style.transform = 'translateY(0)'}
-                        >
-                            {msg.role === 'assistant' ? (
-                                <>
-                                    <ReactMarkdown components={{
-                                        p: ({ node, ...props }) => <p style={{ margin: '0 0 1rem 0' }} {...props} />,
-                                        ul: ({ node, ...props }) => <ul style={{ margin: '0 0 1rem 1.5rem', listStyleType: 'disc' }} {...props} />,
-                                        ol: ({ node, ...props }) => <ol style={{ margin: '0 0 1rem 1.5rem', listStyleType: 'decimal' }} {...props} />,
-                                        li: ({ node, ...props }) => <li style={{ marginBottom: '0.5rem' }} {...props} />,
-                                        a: ({ node, ...props }) => <a style={{ color: 'var(--accent-tertiary)', textDecoration: 'underline' }} {...props} />,
-                                        code: ({ node, ...props }) => <code style={{ background: 'rgba(0,0,0,0.3)', padding: '0.2rem 0.5rem', borderRadius: '0.375rem', fontFamily: 'monospace', fontSize: '0.9em', border: '1px solid rgba(255,255,255,0.1)' }} {...props} />
-                                    }}>
-                                        {msg.content}
-                                    </ReactMarkdown>
-                                    {msg.citations && msg.citations.length > 0 && (
-                                        <div style={{
-                                            marginTop: '1rem',
-                                            paddingTop: '1rem',
-                                            borderTop: '1px solid var(--glass-border)',
-                                            fontSize: '0.85rem',
-                                            color: 'var(--text-secondary)'
-                                        }}>
-                                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.5rem', fontWeight: '600' }}>
-                                                <FileText size={14} />
-                                                <span>Sources:</span>
-                                            </div>
-                                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
-                                                {msg.citations.map((c, i) => (
-                                                    <div key={i} style={{
-                                                        padding: '0.25rem 0.75rem',
-                                                        background: 'rgba(102, 126, 234, 0.1)',
-                                                        borderRadius: '0.5rem',
-                                                        border: '1px solid rgba(102, 126, 234, 0.3)',
-                                                        fontSize: '0.8rem'
-                                                    }}>
-                                                        Document {c.id} ({Math.round(c.similarity * 100)}% match)
+                        {messages.length === 0 && (
+                            <div style={{
+                                textAlign: 'center',
+                                color: 'var(--text-secondary)',
+                                marginTop: 'auto',
+                                marginBottom: 'auto',
+                                animation: 'fadeIn 0.6s ease-out'
+                            }}>
+                                <div style={{
+                                    width: '120px',
+                                    height: '120px',
+                                    margin: '0 auto 2rem',
+                                    borderRadius: '50%',
+                                    background: 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))',
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'center',
+                                    boxShadow: '0 8px 32px rgba(102, 126, 234, 0.3)',
+                                    animation: 'float 3s ease-in-out infinite'
+                                }}>
+                                    <Bot size={64} color="white" />
+                                </div>
+                                <h2 style={{
+                                    fontSize: '2rem',
+                                    marginBottom: '0.5rem',
+                                    background: 'linear-gradient(135deg, var(--text-primary), var(--text-secondary))',
+                                    WebkitBackgroundClip: 'text',
+                                    WebkitTextFillColor: 'transparent',
+                                    backgroundClip: 'text'
+                                }}>{t('chat.welcome_title')}</h2>
+                                <p style={{ fontSize: '1.1rem' }}>{t('chat.welcome_subtitle')}</p>
+                            </div>
+                        )}
+                        {messages.map((msg, idx) => (
+                            <div key={idx} className="animate-fade-in" style={{
+                                display: 'flex',
+                                gap: '1rem',
+                                alignSelf: msg.role === 'user' ? 'flex-end' : 'flex-start',
+                                maxWidth: '75%',
+                                flexDirection: msg.role === 'user' ? 'row-reverse' : 'row',
+                                animation: 'slideIn 0.4s ease-out'
+                            }}>
+                                <div style={{
+                                    width: '40px',
+                                    height: '40px',
+                                    borderRadius: '50%',
+                                    background: msg.role === 'user'
+                                        ? 'linear-gradient(135deg, var(--bg-tertiary), var(--bg-secondary))'
+                                        : 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))',
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'center',
+                                    flexShrink: 0,
+                                    boxShadow: msg.role === 'assistant' ? '0 4px 12px rgba(102, 126, 234, 0.3)' : 'none',
+                                    border: msg.role === 'user' ? '2px solid var(--glass-border)' : 'none'
+                                }}>
+                                    {msg.role === 'user' ? <User size={20} /> : <Bot size={20} />}
+                                </div>
+                                <div style={{
+                                    padding: '1.25rem 1.75rem',
+                                    borderRadius: '1.25rem',
+                                    background: msg.role === 'user'
+                                        ? 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))'
+                                        : 'rgba(30, 41, 59, 0.7)',
+                                    backdropFilter: msg.role === 'assistant' ? 'blur(10px)' : 'none',
+                                    color: 'var(--text-primary)',
+                                    borderTopRightRadius: msg.role === 'user' ? '0.25rem' : '1.25rem',
+                                    borderTopLeftRadius: msg.role === 'assistant' ? '0.25rem' : '1.25rem',
+                                    boxShadow: msg.role === 'user'
+                                        ? '0 4px 16px rgba(102, 126, 234, 0.25)'
+                                        : '0 4px 16px rgba(0, 0, 0, 0.2)',
+                                    lineHeight: '1.6',
+                                    border: msg.role === 'assistant' ? '1px solid var(--glass-border)' : 'none',
+                                    transition: 'transform 0.2s',
+                                    cursor: 'default'
+                                }}
+                                    onMouseEnter={e => e.currentTarget.style.transform = 'translateY(-2px)'}
+                                    onMouseLeave={e => e.currentTarget.style.transform = 'translateY(0)'}
+                                >
+                                    {msg.role === 'assistant' ? (
+                                        <>
+                                            <ReactMarkdown components={{
+                                                p: ({ node, ...props }) => <p style={{ margin: '0 0 1rem 0' }} {...props} />,
+                                                ul: ({ node, ...props }) => <ul style={{ margin: '0 0 1rem 1.5rem', listStyleType: 'disc' }} {...props} />,
+                                                ol: ({ node, ...props }) => <ol style={{ margin: '0 0 1rem 1.5rem', listStyleType: 'decimal' }} {...props} />,
+                                                li: ({ node, ...props }) => <li style={{ marginBottom: '0.5rem' }} {...props} />,
+                                                a: ({ node, ...props }) => <a style={{ color: 'var(--accent-tertiary)', textDecoration: 'underline' }} {...props} />,
+                                                code: ({ node, ...props }) => <code style={{ background: 'rgba(0,0,0,0.3)', padding: '0.2rem 0.5rem', borderRadius: '0.375rem', fontFamily: 'monospace', fontSize: '0.9em', border: '1px solid rgba(255,255,255,0.1)' }} {...props} />
+                                            }}>
+                                                {msg.content}
+                                            </ReactMarkdown>
+                                            {msg.citations && msg.citations.length > 0 && (
+                                                <div style={{
+                                                    marginTop: '1rem',
+                                                    paddingTop: '1rem',
+                                                    borderTop: '1px solid var(--glass-border)',
+                                                    fontSize: '0.85rem',
+                                                    color: 'var(--text-secondary)'
+                                                }}>
+                                                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.5rem', fontWeight: '600' }}>
+                                                        <FileText size={14} />
+                                                        <span>{t('chat.sources')}</span>
+                                                    </div>
+                                                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+                                                        {msg.citations.map((c, i) => (
+                                                            <button key={i} onClick={() => setActiveCitation(c)} title={c.snippet} style={{
+                                                                padding: '0.25rem 0.75rem',
+                                                                background: activeCitation === c ? 'rgba(102, 126, 234, 0.3)' : 'rgba(102, 126, 234, 0.1)',
+                                                                borderRadius: '0.5rem',
+                                                                border: '1px solid rgba(102, 126, 234, 0.3)',
+                                                                fontSize: '0.8rem',
+                                                                color: 'var(--text-primary)',
+                                                                cursor: 'pointer'
+                                                            }}>
+                                                                {c.title || t('chat.document_fallback', { id: String(c.id) })}
+                                                                {c.page_number ? ` · ${t('chat.page_short', { page: c.page_number })}` : ''}
+                                                                {describeValidity(c) ? ` · ${describeValidity(c)}` : ''} ({t('chat.match', { percent: Math.round(c.similarity * 100) })})
+                                                            </button>
+                                                        ))}
                                                     </div>
-                                                ))}
-                                            </div>
-                                        </div>
+                                                </div>
+                                            )}
+
+                                            {/* Rating Buttons (once the streamed reply is saved) */}
+                                            {!msg.streaming && (
+                                                <div style={{
+                                                    display: 'flex',
+                                                    gap: '0.5rem',
+                                                    marginTop: '0.75rem',
+                                                    justifyContent: 'flex-end'
+                                                }}>
+                                                    <button
+                                                        onClick={() => handleRating(msg.id, 'up')}
+                                                        style={{
+                                                            background: 'transparent',
+                                                            border: 'none',
+                                                            cursor: 'pointer',
+                                                            padding: '0.25rem',
+                                                            color: msg.rating === 'up' ? '#10b981' : 'var(--text-secondary)',
+                                                            transition: 'all 0.2s',
+                                                            display: 'flex',
+                                                            alignItems: 'center',
+                                                            gap: '0.25rem'
+                                                        }}
+                                                        title={t('chat.helpful')}
+                                                    >
+                                                        <ThumbsUp size={16} fill={msg.rating === 'up' ? 'currentColor' : 'none'} />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleRating(msg.id, 'down')}
+                                                        style={{
+                                                            background: 'transparent',
+                                                            border: 'none',
+                                                            cursor: 'pointer',
+                                                            padding: '0.25rem',
+                                                            color: msg.rating === 'down' ? '#ef4444' : 'var(--text-secondary)',
+                                                            transition: 'all 0.2s',
+                                                            display: 'flex',
+                                                            alignItems: 'center',
+                                                            gap: '0.25rem'
+                                                        }}
+                                                        title={t('chat.not_helpful')}
+                                                    >
+                                                        <ThumbsDown size={16} fill={msg.rating === 'down' ? 'currentColor' : 'none'} />
+                                                    </button>
+                                                </div>
+                                            )}
+                                        </>
+                                    ) : (
+                                        msg.content
                                     )}
-
-                                    {/* Rating Buttons */}
-                                    <div style={{
-                                        display: 'flex',
-                                        gap: '0.5rem',
-                                        marginTop: '0.75rem',
-                                        justifyContent: 'flex-end'
-                                    }}>
-                                        <button
-                                            onClick={() => handleRating(msg.id, 'up')}
-                                            style={{
-                                                background: 'transparent',
-                                                border: 'none',
-                                                cursor: 'pointer',
-                                                padding: '0.25rem',
-                                                color: msg.rating === 'up' ? '#10b981' : 'var(--text-secondary)',
-                                                transition: 'all 0.2s',
-                                                display: 'flex',
-                                                alignItems: 'center',
-                                                gap: '0.25rem'
-                                            }}
-                                            title="Helpful"
-                                        >
-                                            <ThumbsUp size={16} fill={msg.rating === 'up' ? 'currentColor' : 'none'} />
-                                        </button>
-                                        <button
-                                            onClick={() => handleRating(msg.id, 'down')}
-                                            style={{
-                                                background: 'transparent',
-                                                border: 'none',
-                                                cursor: 'pointer',
-                                                padding: '0.25rem',
-                                                color: msg.rating === 'down' ? '#ef4444' : 'var(--text-secondary)',
-                                                transition: 'all 0.2s',
-                                                display: 'flex',
-                                                alignItems: 'center',
-                                                gap: '0.25rem'
-                                            }}
-                                            title="Not helpful"
-                                        >
-                                            <ThumbsDown size={16} fill={msg.rating === 'down' ? 'currentColor' : 'none'} />
-                                        </button>
-                                    </div>
-                                </>
-                            ) : (
-                                msg.content
-                            )}
-                        </div>
-                    </div>
-                ))}
-                {loading && (
-                    <div style={{ display: 'flex', gap: '1rem', maxWidth: '75%', animation: 'slideIn 0.4s ease-out' }}>
-                        <div style={{
-                            width: '40px',
-                            height: '40px',
-                            borderRadius: '50%',
-                            background: 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))',
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center',
-                            boxShadow: '0 4px 12px rgba(102, 126, 234, 0.3)',
-                            animation: 'pulse 2s ease-in-out infinite'
-                        }}>
-                            <Bot size={20} />
-                        </div>
-                        <div style={{
-                            padding: '1.25rem 1.75rem',
-                            borderRadius: '1.25rem',
-                            background: 'var(--bg-secondary)',
-                            borderTopLeftRadius: '0.25rem',
-                            display: 'flex',
-                            gap: '0.625rem',
-                            alignItems: 'center',
-                            border: '1px solid var(--glass-border)',
-                            boxShadow: '0 4px 16px rgba(0, 0, 0, 0.2)'
+                                </div>
+                            </div>
+                        ))}
+                        {loading && !messages[messages.length - 1]?.streaming && (
+                            <div style={{ display: 'flex', gap: '1rem', maxWidth: '75%', animation: 'slideIn 0.4s ease-out' }}>
+                                <div style={{
+                                    width: '40px',
+                                    height: '40px',
+                                    borderRadius: '50%',
+                                    background: 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))',
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'center',
+                                    boxShadow: '0 4px 12px rgba(102, 126, 234, 0.3)',
+                                    animation: 'pulse 2s ease-in-out infinite'
+                                }}>
+                                    <Bot size={20} />
+                                </div>
+                                <div style={{
+                                    padding: '1.25rem 1.75rem',
+                                    borderRadius: '1.25rem',
+                                    background: 'var(--bg-secondary)',
+                                    borderTopLeftRadius: '0.25rem',
+                                    display: 'flex',
+                                    gap: '0.625rem',
+                                    alignItems: 'center',
+                                    border: '1px solid var(--glass-border)',
+                                    boxShadow: '0 4px 16px rgba(0, 0, 0, 0.2)'
+                                }}>
+                                    <span style={{
+                                        width: '10px',
+                                        height: '10px',
+                                        background: 'var(--accent-primary)',
+                                        borderRadius: '50%',
+                                        animation: 'bounce 1.4s infinite ease-in-out',
+                                        boxShadow: '0 0 10px var(--accent-primary)'
+                                    }} />
+                                    <span style={{
+                                        width: '10px',
+                                        height: '10px',
+                                        background: 'var(--accent-primary)',
+                                        borderRadius: '50%',
+                                        animation: 'bounce 1.4s infinite ease-in-out 0.2s',
+                                        boxShadow: '0 0 10px var(--accent-primary)'
+                                    }} />
+                                    <span style={{
+                                        width: '10px',
+                                        height: '10px',
+                                        background: 'var(--accent-primary)',
+                                        borderRadius: '50%',
+                                        animation: 'bounce 1.4s infinite ease-in-out 0.4s',
+                                        boxShadow: '0 0 10px var(--accent-primary)'
+                                    }} />
+                                </div>
+                            </div>
+                        )}
+                        <div ref={messagesEndRef} />
+                    </main>
+
+                    {/* Input Area */}
+                    <div style={{
+                        padding: '1.5rem 2rem 2rem',
+                        background: 'linear-gradient(to top, var(--bg-primary), transparent)',
+                        borderTop: '1px solid var(--glass-border)',
+                        position: 'relative',
+                        zIndex: 2
+                    }}>
+                        <form onSubmit={handleSend} className="container" style={{
+                            position: 'relative',
+                            maxWidth: '900px',
+                            margin: '0 auto'
                         }}>
-                            <span style={{
-                                width: '10px',
-                                height: '10px',
-                                background: 'var(--accent-primary)',
-                                borderRadius: '50%',
-                                animation: 'bounce 1.4s infinite ease-in-out',
-                                boxShadow: '0 0 10px var(--accent-primary)'
-                            }} />
-                            <span style={{
-                                width: '10px',
-                                height: '10px',
-                                background: 'var(--accent-primary)',
-                                borderRadius: '50%',
-                                animation: 'bounce 1.4s infinite ease-in-out 0.2s',
-                                boxShadow: '0 0 10px var(--accent-primary)'
-                            }} />
-                            <span style={{
-                                width: '10px',
-                                height: '10px',
-                                background: 'var(--accent-primary)',
-                                borderRadius: '50%',
-                                animation: 'bounce 1.4s infinite ease-in-out 0.4s',
-                                boxShadow: '0 0 10px var(--accent-primary)'
-                            }} />
-                        </div>
+                            <input
+                                type="text"
+                                className="input"
+                                placeholder={t('chat.placeholder')}
+                                value={input}
+                                onChange={e => setInput(e.target.value)}
+                                style={{
+                                    paddingRight: '4rem',
+                                    paddingLeft: '1.75rem',
+                                    height: '4rem',
+                                    borderRadius: '2rem',
+                                    background: 'var(--bg-secondary)',
+                                    border: '2px solid var(--glass-border)',
+                                    color: 'var(--text-primary)',
+                                    fontSize: '1rem',
+                                    transition: 'all 0.3s',
+                                    boxShadow: '0 4px 16px rgba(0, 0, 0, 0.2)'
+                                }}
+                                onFocus={e => {
+                                    e.target.style.borderColor = 'var(--accent-primary)';
+                                    e.target.style.boxShadow = '0 0 25px rgba(102, 126, 234, 0.4)';
+                                    e.target.style.background = 'rgba(26, 31, 58, 0.9)';
+                                }}
+                                onBlur={e => {
+                                    e.target.style.borderColor = 'var(--glass-border)';
+                                    e.target.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.2)';
+                                }}
+                                disabled={loading}
+                            />
+                            <button
+                                type="submit"
+                                disabled={loading || !input.trim()}
+                                style={{
+                                    position: 'absolute',
+                                    right: '0.75rem',
+                                    top: '50%',
+                                    transform: 'translateY(-50%)',
+                                    background: loading || !input.trim() ? 'var(--bg-tertiary)' : 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))',
+                                    border: 'none',
+                                    width: '3rem',
+                                    height: '3rem',
+                                    borderRadius: '50%',
+                                    color: 'white',
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'center',
+                                    cursor: loading || !input.trim() ? 'not-allowed' : 'pointer',
+                                    transition: 'all 0.3s',
+                                    boxShadow: loading || !input.trim() ? 'none' : '0 4px 16px rgba(102, 126, 234, 0.4)',
+                                    opacity: loading || !input.trim() ? 0.5 : 1
+                                }}
+                                onMouseEnter={e => {
+                                    if (!loading && input.trim()) {
+                                        e.currentTarget.style.transform = 'translateY(-50%) scale(1.05)';
+                                        e.currentTarget.style.boxShadow = '0 6px 20px rgba(102, 126, 234, 0.5)';
+                                    }
+                                }}
+                                onMouseLeave={e => {
+                                    e.currentTarget.style.transform = 'translateY(-50%) scale(1)';
+                                    e.currentTarget.style.boxShadow = loading || !input.trim() ? 'none' : '0 4px 16px rgba(102, 126, 234, 0.4)';
+                                }}
+                            >
+                                <Send size={20} />
+                            </button>
+                        </form>
                     </div>
-                )}
-                <div ref={messagesEndRef} />
-            </main>
-
-            {/* Input Area */}
-            <div style={{
-                padding: '1.5rem 2rem 2rem',
-                background: 'linear-gradient(to top, var(--bg-primary), transparent)',
-                borderTop: '1px solid var(--glass-border)',
-                position: 'relative',
-                zIndex: 2
-            }}>
-                <form onSubmit={handleSend} className="container" style={{
-                    position: 'relative',
-                    maxWidth: '900px',
-                    margin: '0 auto'
-                }}>
-                    <input
-                        type="text"
-                        className="input"
-                        placeholder="Type your question..."
-                        value={input}
-                        onChange={e => setInput(e.target.value)}
-                        style={{
-                            paddingRight: '4rem',
-                            paddingLeft: '1.75rem',
-                            height: '4rem',
-                            borderRadius: '2rem',
-                            background: 'var(--bg-secondary)',
-                            border: '2px solid var(--glass-border)',
-                            color: 'var(--text-primary)',
-                            fontSize: '1rem',
-                            transition: 'all 0.3s',
-                            boxShadow: '0 4px 16px rgba(0, 0, 0, 0.2)'
-                        }}
-                        onFocus={e => {
-                            e.target.style.borderColor = 'var(--accent-primary)';
-                            e.target.style.boxShadow = '0 0 25px rgba(102, 126, 234, 0.4)';
-                            e.target.style.background = 'rgba(26, 31, 58, 0.9)';
-                        }}
-                        onBlur={e => {
-                            e.target.style.borderColor = 'var(--glass-border)';
-                            e.target.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.2)';
-                        }}
-                        disabled={loading}
-                    />
-                    <button
-                        type="submit"
-                        disabled={loading || !input.trim()}
-                        style={{
-                            position: 'absolute',
-                            right: '0.75rem',
-                            top: '50%',
-                            transform: 'translateY(-50%)',
-                            background: loading || !input.trim() ? 'var(--bg-tertiary)' : 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))',
-                            border: 'none',
-                            width: '3rem',
-                            height: '3rem',
-                            borderRadius: '50%',
-                            color: 'white',
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center',
-                            cursor: loading || !input.trim() ? 'not-allowed' : 'pointer',
-                            transition: 'all 0.3s',
-                            boxShadow: loading || !input.trim() ? 'none' : '0 4px 16px rgba(102, 126, 234, 0.4)',
-                            opacity: loading || !input.trim() ? 0.5 : 1
-                        }}
-                        onMouseEnter={e => {
-                            if (!loading && input.trim()) {
-                                e.currentTarget.style.transform = 'translateY(-50%) scale(1.05)';
-                                e.currentTarget.style.boxShadow = '0 6px 20px rgba(102, 126, 234, 0.5)';
-                            }
-                        }}
-                        onMouseLeave={e => {
-                            e.currentTarget.style.transform = 'translateY(-50%) scale(1)';
-                            e.currentTarget.style.boxShadow = loading || !input.trim() ? 'none' : '0 4px 16px rgba(102, 126, 234, 0.4)';
-                        }}
-                    >
-                        <Send size={20} />
-                    </button>
-                </form>
+                </div>
             </div>
 
             <style>{`
@@ -659,8 +833,12 @@ export default function Chat() {
         main::-webkit-scrollbar-thumb:hover { background: var(--accent-secondary); }
       `}</style>
 
-            {/* Clear Chat Modal */}
-            {clearChatModalOpen && (
+            {activeCitation && (
+                <CitationPanel citation={activeCitation} onClose={() => setActiveCitation(null)} />
+            )}
+
+            {/* Delete Conversation Modal */}
+            {deleteConversationId && (
                 <div style={{
                     position: 'fixed',
                     top: 0,
@@ -687,15 +865,15 @@ export default function Chat() {
                         animation: 'pulse 0.3s ease-out'
                     }}>
                         <h3 style={{ fontSize: '1.25rem', fontWeight: 'bold', marginBottom: '1rem', color: 'var(--text-primary)' }}>
-                            Clear Chat History?
+                            {t('chat.delete_title')}
                         </h3>
                         <p style={{ color: 'var(--text-secondary)', marginBottom: '1.5rem' }}>
-                            This will permanently delete all your messages. This action cannot be undone.
+                            {t('chat.delete_body', { title: conversations.find(c => c.id === deleteConversationId)?.title })}
                         </p>
 
                         <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '1rem' }}>
                             <button
-                                onClick={() => setClearChatModalOpen(false)}
+                                onClick={() => setDeleteConversationId(null)}
                                 style={{
                                     padding: '0.75rem 1.5rem',
                                     background: 'transparent',
@@ -705,10 +883,10 @@ export default function Chat() {
                                     cursor: 'pointer'
                                 }}
                             >
-                                Cancel
+                                {t('common.cancel')}
                             </button>
                             <button
-                                onClick={confirmClearChat}
+                                onClick={confirmDeleteConversation}
                                 style={{
                                     padding: '0.75rem 1.5rem',
                                     background: 'rgba(239, 68, 68, 0.9)',
@@ -722,7 +900,7 @@ export default function Chat() {
                                     gap: '0.5rem'
                                 }}
                             >
-                                <Trash2 size={16} /> Delete
+                                <Trash2 size={16} /> {t('common.delete')}
                             </button>
                         </div>
                     </div>
@@ -770,16 +948,16 @@ export default function Chat() {
                         </button>
 
                         <h3 style={{ fontSize: '1.25rem', fontWeight: 'bold', marginBottom: '1rem' }}>
-                            What went wrong?
+                            {t('chat.feedback_title')}
                         </h3>
                         <p style={{ color: 'var(--text-secondary)', marginBottom: '1.5rem' }}>
-                            Your feedback helps us improve the bot's accuracy.
+                            {t('chat.feedback_subtitle')}
                         </p>
 
                         <textarea
                             value={feedbackText}
                             onChange={(e) => setFeedbackText(e.target.value)}
-                            placeholder="e.g., The answer was inaccurate, outdated, or irrelevant..."
+                            placeholder={t('chat.feedback_placeholder')}
                             style={{
                                 width: '100%',
                                 height: '120px',
@@ -805,7 +983,7 @@ export default function Chat() {
                                     cursor: 'pointer'
                                 }}
                             >
-                                Cancel
+                                {t('common.cancel')}
                             </button>
                             <button
                                 onClick={submitFeedback}
@@ -819,7 +997,7 @@ export default function Chat() {
                                     fontWeight: 'bold'
                                 }}
                             >
-                                Submit Feedback
+                                {t('chat.submit_feedback')}
                             </button>
                         </div>
                     </div>
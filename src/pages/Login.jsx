@@ -1,10 +1,12 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../components/AuthProvider';
+import { useTranslation } from '../lib/i18n';
 
 export default function Login() {
     const { signIn } = useAuth();
     const navigate = useNavigate();
+    const { t } = useTranslation();
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
@@ -40,7 +42,7 @@ export default function Login() {
                         }}
                     />
                 </div>
-                <h2 style={{ textAlign: 'center', marginBottom: '2rem', fontSize: '2rem', fontWeight: 'bold' }}>Welcome Back</h2>
+                <h2 style={{ textAlign: 'center', marginBottom: '2rem', fontSize: '2rem', fontWeight: 'bold' }}>{t('auth.login_title')}</h2>
 
                 {error && (
                     <div style={{ background: 'rgba(239, 68, 68, 0.2)', color: '#fca5a5', padding: '0.75rem', borderRadius: '0.5rem', marginBottom: '1rem', border: '1px solid rgba(239, 68, 68, 0.5)' }}>
@@ -50,7 +52,7 @@ export default function Login() {
 
                 <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
                     <div>
-                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)' }}>Email</label>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)' }}>{t('auth.email')}</label>
                         <input
                             type="email"
                             className="input"
@@ -61,7 +63,7 @@ export default function Login() {
                     </div>
 
                     <div>
-                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)' }}>Password</label>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)' }}>{t('auth.password')}</label>
                         <input
                             type="password"
                             className="input"
@@ -72,12 +74,12 @@ export default function Login() {
                     </div>
 
                     <button type="submit" className="btn btn-primary" disabled={loading} style={{ marginTop: '1rem' }}>
-                        {loading ? 'Signing in...' : 'Sign In'}
+                        {loading ? t('auth.signing_in') : t('auth.sign_in')}
                     </button>
                 </form>
 
                 <p style={{ textAlign: 'center', marginTop: '1.5rem', color: 'var(--text-secondary)' }}>
-                    Don't have an account? <Link to="/register" style={{ color: 'var(--accent-primary)', textDecoration: 'none' }}>Sign up</Link>
+                    {t('auth.no_account')} <Link to="/register" style={{ color: 'var(--accent-primary)', textDecoration: 'none' }}>{t('auth.sign_up')}</Link>
                 </p>
             </div>
         </div>
@@ -1,13 +1,17 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../components/AuthProvider';
+import { useTranslation } from '../lib/i18n';
+import { DEPARTMENTS, departmentLabel } from '../lib/taxonomy';
 
 export default function Register() {
     const { signUp } = useAuth();
     const navigate = useNavigate();
+    const { t } = useTranslation();
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [fullName, setFullName] = useState('');
+    const [department, setDepartment] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
 
@@ -22,6 +26,7 @@ export default function Register() {
                 options: {
                     data: {
                         full_name: fullName,
+                        department,
                     },
                 },
             });
@@ -37,7 +42,7 @@ export default function Register() {
     return (
         <div className="container" style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
             <div className="card animate-fade-in" style={{ width: '100%', maxWidth: '400px' }}>
-                <h2 style={{ textAlign: 'center', marginBottom: '2rem', fontSize: '2rem', fontWeight: 'bold' }}>Create Account</h2>
+                <h2 style={{ textAlign: 'center', marginBottom: '2rem', fontSize: '2rem', fontWeight: 'bold' }}>{t('auth.register_title')}</h2>
 
                 {error && (
                     <div style={{ background: 'rgba(239, 68, 68, 0.2)', color: '#fca5a5', padding: '0.75rem', borderRadius: '0.5rem', marginBottom: '1rem', border: '1px solid rgba(239, 68, 68, 0.5)' }}>
@@ -47,7 +52,7 @@ export default function Register() {
 
                 <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
                     <div>
-                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)' }}>Full Name</label>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)' }}>{t('auth.full_name')}</label>
                         <input
                             type="text"
                             className="input"
@@ -58,7 +63,19 @@ export default function Register() {
                     </div>
 
                     <div>
-                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)' }}>Email</label>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)' }}>{t('auth.department')}</label>
+                        <select
+                            className="input"
+                            value={department}
+                            onChange={(e) => setDepartment(e.target.value)}
+                        >
+                            <option value="">{t('auth.no_department')}</option>
+                            {DEPARTMENTS.map(d => <option key={d.value} value={d.value}>{departmentLabel(d.value)}</option>)}
+                        </select>
+                    </div>
+
+                    <div>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)' }}>{t('auth.email')}</label>
                         <input
                             type="email"
                             className="input"
@@ -69,7 +86,7 @@ export default function Register() {
                     </div>
 
                     <div>
-                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)' }}>Password</label>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-secondary)' }}>{t('auth.password')}</label>
                         <input
                             type="password"
                             className="input"
@@ -80,12 +97,12 @@ export default function Register() {
                     </div>
 
                     <button type="submit" className="btn btn-primary" disabled={loading} style={{ marginTop: '1rem' }}>
-                        {loading ? 'Creating account...' : 'Sign Up'}
+                        {loading ? t('auth.creating_account') : t('auth.sign_up')}
                     </button>
                 </form>
 
                 <p style={{ textAlign: 'center', marginTop: '1.5rem', color: 'var(--text-secondary)' }}>
-                    Already have an account? <Link to="/login" style={{ color: 'var(--accent-primary)', textDecoration: 'none' }}>Sign in</Link>
+                    {t('auth.have_account')} <Link to="/login" style={{ color: 'var(--accent-primary)', textDecoration: 'none' }}>{t('auth.sign_in')}</Link>
                 </p>
             </div>
         </div>
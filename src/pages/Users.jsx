@@ -0,0 +1,274 @@
+import { useState, useEffect, useEffectEvent } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Users as UsersIcon, Search, Ban, CheckCircle, LogOut } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import { useAuth } from '../components/AuthProvider';
+import { DEPARTMENTS } from '../lib/taxonomy';
+import { useTranslation, hasTranslation } from '../lib/i18n';
+
+const PAGE_SIZE = 50;
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+
+export default function Users() {
+    const { user } = useAuth();
+    const { t } = useTranslation();
+    const [users, setUsers] = useState([]);
+    const [roles, setRoles] = useState([]);
+    const [totalCount, setTotalCount] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [searchQuery, setSearchQuery] = useState('');
+    const [busyId, setBusyId] = useState(null);
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    useEffect(() => {
+        fetchRoles();
+    }, []);
+
+    const searchUsers = useEffectEvent(() => fetchUsers(0));
+
+    useEffect(() => {
+        const timer = setTimeout(searchUsers, SEARCH_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [searchQuery]);
+
+    async function fetchRoles() {
+        const { data, error } = await supabase.from('roles').select('name, label').order('name');
+        if (error) {
+            console.error('Error fetching roles:', error);
+            return;
+        }
+        setRoles(data);
+    }
+
+    // offset 0 replaces the list; a larger offset appends the next page
+    async function fetchUsers(offset) {
+        setLoading(true);
+        try {
+            const { data, error } = await supabase.rpc('list_users', {
+                p_search: searchQuery.trim() || null,
+                p_limit: PAGE_SIZE,
+                p_offset: offset
+            });
+
+            if (error) throw error;
+            setUsers(prev => offset === 0 ? data : [...prev, ...data]);
+            setTotalCount(data[0]?.total_count ?? (offset === 0 ? 0 : totalCount));
+        } catch (error) {
+            console.error('Error fetching users:', error);
+            setMessage({ type: 'error', text: t('users.load_failed') });
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    // Run an admin RPC for one user, then apply the change to the list
+    async function runAction(target, rpcName, params, changes, successText) {
+        setBusyId(target.id);
+        try {
+            const { error } = await supabase.rpc(rpcName, { p_user_id: target.id, ...params });
+            if (error) throw error;
+
+            setUsers(prev => prev.map(u => u.id === target.id ? { ...u, ...changes } : u));
+            setMessage({ type: 'success', text: successText });
+        } catch (error) {
+            console.error(`Error running ${rpcName}:`, error);
+            setMessage({ type: 'error', text: error.message || t('users.action_failed') });
+        } finally {
+            setBusyId(null);
+        }
+    }
+
+    function changeRole(target, role) {
+        // Department admins always manage one department; default to the user's own
+        const department = role === 'dept_admin' ? (target.department ?? DEPARTMENTS[0].value) : target.department;
+        runAction(target, 'set_user_role', { p_role: role, p_department: department }, { role, department }, t('users.role_updated', { name: displayName(target) }));
+    }
+
+    function changeDepartment(target, department) {
+        runAction(target, 'set_user_role', { p_role: target.role, p_department: department }, { department }, t('users.department_updated', { name: displayName(target) }));
+    }
+
+    function toggleDisabled(target) {
+        const disable = !target.disabled_at;
+        if (disable && !confirm(t('users.confirm_disable', { name: displayName(target) }))) return;
+
+        runAction(
+            target,
+            'set_user_disabled',
+            { p_disabled: disable },
+            { disabled_at: disable ? new Date().toISOString() : null },
+            t(disable ? 'users.disabled' : 'users.enabled', { name: displayName(target) })
+        );
+    }
+
+    function forceSignOut(target) {
+        if (!confirm(t('users.confirm_sign_out', { name: displayName(target) }))) return;
+        runAction(target, 'force_sign_out', {}, {}, t('users.signed_out', { name: displayName(target) }));
+    }
+
+    // Roles added to the roles table without a translation use their stored label
+    function roleLabel(role) {
+        const key = `users.roles.${role.name}`;
+        return hasTranslation(key) ? t(key) : role.label;
+    }
+
+    const selectStyle = {
+        padding: '0.25rem 0.5rem',
+        background: 'var(--bg-tertiary)',
+        border: '1px solid var(--glass-border)',
+        borderRadius: '0.25rem',
+        color: 'var(--text-primary)',
+        fontSize: '0.85rem'
+    };
+
+    const actionButtonStyle = {
+        background: 'transparent',
+        border: 'none',
+        color: 'var(--text-secondary)',
+        cursor: 'pointer',
+        padding: '0.25rem'
+    };
+
+    return (
+        <div className="container" style={{ padding: '2rem' }}>
+            <div style={{ marginBottom: '2rem' }}>
+                <Link to="/admin" style={{ display: 'inline-flex', alignItems: 'center', gap: '0.5rem', color: 'var(--text-secondary)', textDecoration: 'none', marginBottom: '1rem' }}>
+                    <ArrowLeft size={18} /> {t('users.back_to_admin')}
+                </Link>
+                <h1 style={{ fontSize: '2rem', fontWeight: 'bold', margin: 0 }}>{t('users.title')}</h1>
+                <p style={{ color: 'var(--text-secondary)', margin: '0.25rem 0 0 0' }}>{t('users.subtitle')}</p>
+            </div>
+
+            {message.text && (
+                <div style={{
+                    padding: '1rem',
+                    borderRadius: '0.5rem',
+                    marginBottom: '2rem',
+                    background: message.type === 'error' ? 'rgba(239, 68, 68, 0.2)' : 'rgba(34, 197, 94, 0.2)',
+                    color: message.type === 'error' ? '#fca5a5' : '#86efac',
+                    border: `1px solid ${message.type === 'error' ? 'rgba(239, 68, 68, 0.5)' : 'rgba(34, 197, 94, 0.5)'}`
+                }}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="card">
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '1rem', marginBottom: '1.5rem', flexWrap: 'wrap' }}>
+                    <h2 style={{ fontSize: '1.25rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '0.5rem', margin: 0 }}>
+                        <UsersIcon size={20} /> {t('users.count', { count: totalCount })}
+                    </h2>
+                    <div style={{ position: 'relative', flex: 1, maxWidth: '400px', minWidth: '240px' }}>
+                        <Search size={18} style={{
+                            position: 'absolute',
+                            left: '1rem',
+                            top: '50%',
+                            transform: 'translateY(-50%)',
+                            color: 'var(--text-secondary)'
+                        }} />
+                        <input
+                            type="text"
+                            placeholder={t('users.search_placeholder')}
+                            value={searchQuery}
+                            onChange={(e) => setSearchQuery(e.target.value)}
+                            style={{
+                                width: '100%',
+                                padding: '0.75rem 1rem 0.75rem 3rem',
+                                background: 'var(--bg-secondary)',
+                                border: '1px solid var(--glass-border)',
+                                borderRadius: '0.5rem',
+                                color: 'var(--text-primary)',
+                                fontSize: '0.95rem',
+                                outline: 'none'
+                            }}
+                        />
+                    </div>
+                </div>
+
+                {users.length === 0 ? (
+                    <p style={{ color: 'var(--text-secondary)', textAlign: 'center', padding: '2rem' }}>
+                        {loading ? t('users.loading') : searchQuery ? t('users.no_matches') : t('users.empty')}
+                    </p>
+                ) : (
+                    <div style={{ overflowX: 'auto' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+                            <thead>
+                                <tr style={{ textAlign: 'left', color: 'var(--text-secondary)', borderBottom: '1px solid var(--glass-border)' }}>
+                                    <th style={{ padding: '0.75rem 0.5rem' }}>{t('users.user')}</th>
+                                    <th style={{ padding: '0.75rem 0.5rem' }}>{t('users.role')}</th>
+                                    <th style={{ padding: '0.75rem 0.5rem' }}>{t('admin.department')}</th>
+                                    <th style={{ padding: '0.75rem 0.5rem' }}>{t('users.last_active')}</th>
+                                    <th style={{ padding: '0.75rem 0.5rem' }}>{t('users.messages')}</th>
+                                    <th style={{ padding: '0.75rem 0.5rem' }}>{t('users.status')}</th>
+                                    <th style={{ padding: '0.75rem 0.5rem' }}></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {users.map(u => {
+                                    const isSelf = u.id === user.id;
+                                    const isBusy = busyId === u.id;
+
+                                    return (
+                                        <tr key={u.id} style={{ borderBottom: '1px solid var(--glass-border)', opacity: u.disabled_at ? 0.6 : 1 }}>
+                                            <td style={{ padding: '0.75rem 0.5rem' }}>
+                                                <div style={{ fontWeight: '500' }}>{u.full_name || u.email}{isSelf && ` ${t('users.you')}`}</div>
+                                                {u.full_name && <div style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>{u.email}</div>}
+                                            </td>
+                                            <td style={{ padding: '0.75rem 0.5rem' }}>
+                                                <select value={u.role} onChange={(e) => changeRole(u, e.target.value)} disabled={isSelf || isBusy} style={selectStyle}>
+                                                    {roles.map(r => <option key={r.name} value={r.name}>{roleLabel(r)}</option>)}
+                                                </select>
+                                            </td>
+                                            <td style={{ padding: '0.75rem 0.5rem' }}>
+                                                <select value={u.department ?? ''} onChange={(e) => changeDepartment(u, e.target.value || null)} disabled={isBusy} style={selectStyle}>
+                                                    {u.role !== 'dept_admin' && <option value="">{t('common.none')}</option>}
+                                                    {DEPARTMENTS.map(d => <option key={d.value} value={d.value}>{d.value}</option>)}
+                                                </select>
+                                            </td>
+                                            <td style={{ padding: '0.75rem 0.5rem', color: 'var(--text-secondary)' }}>
+                                                {u.last_active_at ? new Date(u.last_active_at).toLocaleString() : t('common.never')}
+                                            </td>
+                                            <td style={{ padding: '0.75rem 0.5rem', fontWeight: 'bold' }}>{u.message_count}</td>
+                                            <td style={{ padding: '0.75rem 0.5rem' }}>
+                                                {u.disabled_at ? (
+                                                    <span style={{ color: '#fca5a5' }} title={t('users.disabled_since', { date: new Date(u.disabled_at).toLocaleString() })}>{t('users.status_disabled')}</span>
+                                                ) : (
+                                                    <span style={{ color: '#86efac' }}>{t('users.status_active')}</span>
+                                                )}
+                                            </td>
+                                            <td style={{ padding: '0.75rem 0.5rem', whiteSpace: 'nowrap' }}>
+                                                {!isSelf && (
+                                                    <>
+                                                        <button onClick={() => toggleDisabled(u)} disabled={isBusy} title={u.disabled_at ? t('users.enable') : t('users.disable')} style={{ ...actionButtonStyle, color: u.disabled_at ? '#86efac' : '#ef4444' }}>
+                                                            {u.disabled_at ? <CheckCircle size={16} /> : <Ban size={16} />}
+                                                        </button>
+                                                        <button onClick={() => forceSignOut(u)} disabled={isBusy || !!u.disabled_at} title={t('users.sign_out')} style={actionButtonStyle}>
+                                                            <LogOut size={16} />
+                                                        </button>
+                                                    </>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {users.length < totalCount && (
+                    <div style={{ textAlign: 'center', marginTop: '1rem' }}>
+                        <button onClick={() => fetchUsers(users.length)} disabled={loading} className="btn btn-secondary">
+                            {loading ? t('common.loading') : t('users.load_more')}
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+function displayName(u) {
+    return u.full_name || u.email;
+}
@@ -0,0 +1,31 @@
+-- Keep the original uploaded files in Supabase Storage so users can open the
+-- official document behind a citation.
+
+-- 1. Private bucket for originals (files are served through signed URLs)
+insert into storage.buckets (id, name, public, file_size_limit)
+values ('documents', 'documents', false, 10485760)
+on conflict (id) do nothing;
+
+-- 2. Where each document's original lives in the bucket
+alter table documents
+add column if not exists storage_path text;
+
+-- 3. Storage policies. Signed URLs are created with the caller's session, so
+-- signed-in users need read access; only admins can add or remove files.
+create policy "Authenticated users can read original documents."
+  on storage.objects for select
+  using ( bucket_id = 'documents' and auth.role() = 'authenticated' );
+
+create policy "Only admins can upload original documents."
+  on storage.objects for insert
+  with check (
+    bucket_id = 'documents'
+    and exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
+
+create policy "Only admins can delete original documents."
+  on storage.objects for delete
+  using (
+    bucket_id = 'documents'
+    and exists ( select 1 from profiles where id = auth.uid() and is_admin = true )
+  );
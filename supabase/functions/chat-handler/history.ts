@@ -0,0 +1,214 @@
+// Conversation history sent to the model. The last few exchanges go verbatim,
+// within a token budget; older ones are folded into a rolling summary stored
+// on the conversation (conversations.summary, see conversation_memory_setup.sql),
+// so long conversations don't outgrow the model's context or the token bill.
+// Exchanges are summarized a batch at a time, not one per turn: until a batch
+// has built up, the exchanges past the recent window are still sent verbatim.
+
+import { createChatCompletion, type ProviderConfig } from './providers.ts'
+import type { ChatTurn } from './query.ts'
+
+// One question and its answer. `id` is the chat_messages row, when stored.
+export interface Exchange {
+  id?: number
+  messages: ChatTurn[]
+}
+
+export interface ConversationHistory {
+  summary: string
+  // Exchanges not yet in the summary to send verbatim, oldest first
+  exchanges: Exchange[]
+  // The oldest exchanges not yet in the summary, due to be folded into it
+  // now. Empty until at least summaryBatch of them are past the recent window.
+  due: Exchange[]
+}
+
+export interface HistoryBudget {
+  recentTurns: number
+  historyTokens: number
+  maxMessageChars: number
+  summaryBatch: number
+}
+
+// Longest summary we ask for
+const MAX_SUMMARY_TOKENS = 400
+
+// Most exchanges folded into the summary at once. A longer backlog (e.g. a
+// conversation from before summaries, or after they failed for a while) is
+// worked through oldest first over the following turns.
+const MAX_SUMMARY_BATCH = 10
+
+// Rough token count, about four characters per token in English. Good enough
+// for budgeting; providers report the real usage.
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4)
+}
+
+export function trimMessage(text: string, maxChars: number): string {
+  return text.length > maxChars ? `${text.substring(0, maxChars)}…` : text
+}
+
+// Group a flat message list into exchanges, each starting at a student message
+export function exchangesFromMessages(messages: any[]): Exchange[] {
+  const exchanges: Exchange[] = []
+  for (const message of messages) {
+    if (typeof message?.content !== 'string') continue
+
+    const role = message.role === 'assistant' ? 'assistant' : 'user'
+    if (role === 'user' || exchanges.length === 0) exchanges.push({ messages: [] })
+    exchanges[exchanges.length - 1].messages.push({ role, content: message.content })
+  }
+  return exchanges
+}
+
+function exchangeFromRow(row: any): Exchange {
+  return {
+    id: row.id,
+    messages: [
+      { role: 'user', content: row.message },
+      ...(row.response ? [{ role: 'assistant', content: row.response }] : [])
+    ]
+  }
+}
+
+// Load a conversation's summary and the exchanges not yet folded into it.
+// Returns null if the conversation can't be read.
+export async function loadConversationHistory(
+  supabaseClient: any,
+  userId: string,
+  conversationId: number,
+  budget: HistoryBudget
+): Promise<ConversationHistory | null> {
+  const { data: conversation, error } = await supabaseClient
+    .from('conversations')
+    .select('summary, summarized_until')
+    .eq('id', conversationId)
+    .single()
+
+  if (error) {
+    console.error('Failed to load conversation:', error)
+    return null
+  }
+
+  const unsummarized = () => {
+    const query = supabaseClient
+      .from('chat_messages')
+      .select('id, message, response')
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+    return conversation.summarized_until != null ? query.gt('id', conversation.summarized_until) : query
+  }
+
+  // The recent window, plus the exchanges waiting for a full batch. One more
+  // row than that tells us a batch is due.
+  const windowSize = budget.recentTurns + budget.summaryBatch - 1
+  const { data: rows, error: rowsError } = await unsummarized()
+    .order('id', { ascending: false })
+    .limit(windowSize + 1)
+
+  if (rowsError) {
+    console.error('Failed to load conversation messages:', rowsError)
+    return null
+  }
+
+  const exchanges: Exchange[] = (rows ?? []).reverse().map(exchangeFromRow)
+  const summary = conversation.summary ?? ''
+  if (exchanges.length <= windowSize) {
+    return { summary, exchanges, due: [] }
+  }
+
+  // A batch is due: page through everything before the recent window, oldest
+  // first, so no exchange is skipped however long the backlog
+  const recent = exchanges.slice(exchanges.length - budget.recentTurns)
+  let dueQuery = unsummarized()
+  if (recent.length > 0) dueQuery = dueQuery.lt('id', recent[0].id)
+
+  const { data: dueRows, error: dueError } = await dueQuery
+    .order('id', { ascending: true })
+    .limit(MAX_SUMMARY_BATCH)
+
+  if (dueError) {
+    console.error('Failed to load conversation messages to summarize:', dueError)
+    return { summary, exchanges: recent, due: [] }
+  }
+
+  return { summary, exchanges: recent, due: (dueRows ?? []).map(exchangeFromRow) }
+}
+
+// Keep as many of the latest exchanges (at most maxTurns) as fit the token
+// budget, with long messages cut short. The rest, oldest first, are returned
+// as `older`.
+export function fitHistory(
+  exchanges: Exchange[],
+  budget: HistoryBudget,
+  maxTurns = Infinity
+): { recent: Exchange[], older: Exchange[] } {
+  const recent: Exchange[] = []
+  let tokens = 0
+
+  for (let i = exchanges.length - 1; i >= 0 && recent.length < maxTurns; i--) {
+    const messages = exchanges[i].messages.map((message) => ({
+      role: message.role,
+      content: trimMessage(message.content, budget.maxMessageChars)
+    }))
+    const cost = messages.reduce((sum, message) => sum + estimateTokens(message.content), 0)
+    if (tokens + cost > budget.historyTokens) break
+
+    tokens += cost
+    recent.unshift({ ...exchanges[i], messages })
+  }
+
+  return { recent, older: exchanges.slice(0, exchanges.length - recent.length) }
+}
+
+// Fold older exchanges into the running summary with the configured chat
+// provider. Throws if the provider fails or returns nothing.
+export async function summarizeHistory(
+  previousSummary: string,
+  older: Exchange[],
+  maxMessageChars: number,
+  providers: ProviderConfig[]
+): Promise<string> {
+  const transcript = older
+    .flatMap((exchange) => exchange.messages)
+    .map((message) => `${message.role === 'assistant' ? 'Assistant' : 'Student'}: ${trimMessage(message.content, maxMessageChars)}`)
+    .join('\n\n')
+
+  const { response } = await createChatCompletion([
+    {
+      role: 'system',
+      content: 'You keep a running summary of a student\'s conversation with the college assistant. Update the summary with the new messages. Keep what the student told us about themselves (department, year, course), what they asked, and the key facts, dates and figures in the answers. Write it in English, in under 150 words. Reply with the summary only.'
+    },
+    {
+      role: 'user',
+      content: `Current summary:\n${previousSummary || '(none yet)'}\n\nNew messages:\n${transcript}`
+    }
+  ], { maxTokens: MAX_SUMMARY_TOKENS, temperature: 0, stream: false }, providers)
+
+  const data = await response.json()
+  const summary = data.choices?.[0]?.message?.content
+    // Reasoning models may think out loud before answering
+    ?.replace(/<think>[\s\S]*?<\/think>/g, '')
+    .trim()
+
+  if (!summary) {
+    throw new Error('Empty summary from AI model')
+  }
+  return summary
+}
+
+// Store the updated summary and the last exchange it covers. Needs the service
+// role client: users can't change these columns (see conversation_memory_setup.sql).
+export async function saveConversationSummary(
+  serviceClient: any,
+  conversationId: number,
+  summary: string,
+  summarizedUntil: number
+): Promise<void> {
+  const { error } = await serviceClient
+    .from('conversations')
+    .update({ summary, summarized_until: summarizedUntil })
+    .eq('id', conversationId)
+
+  if (error) throw error
+}
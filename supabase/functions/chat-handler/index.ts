@@ -1,24 +1,47 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { configuredProviders, createChatCompletion, type ProviderConfig } from './providers.ts'
+import { buildSystemPrompt, loadBotSettings, normalizeSettings, resolveLanguage } from './settings.ts'
+import { higherPriorityMatch, loadFaqRules, matchPatternRule, matchSemanticRule, recordFaqHit, semanticRuleMayOutrank, type FaqMatch } from './rules.ts'
+import { detectLanguage, rewriteQuery } from './query.ts'
+import { exchangesFromMessages, fitHistory, loadConversationHistory, saveConversationSummary, summarizeHistory, type ConversationHistory } from './history.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
-// Helper function to generate embeddings using OpenRouter API
-async function generateEmbedding(text: string, openRouterApiKey: string): Promise<number[]> {
+const EMBEDDING_MODEL = 'BAAI/bge-base-en-v1.5'
+// OpenRouter by default; point at scripts/mock-llm-server.js for local testing
+const EMBEDDING_BASE_URL = (Deno.env.get('EMBEDDING_BASE_URL') ?? 'https://openrouter.ai/api/v1').replace(/\/+$/, '')
+// Self-hosted embedding servers usually need no key, so one is only required for OpenRouter
+const EMBEDDING_REQUIRES_KEY = !Deno.env.get('EMBEDDING_BASE_URL')
+const EMBEDDING_API_KEY = EMBEDDING_REQUIRES_KEY ? Deno.env.get('OPENROUTER_API_KEY') : Deno.env.get('EMBEDDING_API_KEY')
+
+// Longest text accepted by the embedding model. Documents are chunked client-side
+// well below this, so longer inputs are rejected instead of silently truncated.
+const MAX_EMBEDDING_CHARS = 8000
+
+// Most texts sent in one embedding request
+const MAX_EMBEDDING_BATCH = 32
+
+// Longest passage put into the prompt or a citation. Chunks are ~1000 characters;
+// this only guards against oversized legacy rows awaiting re-indexing.
+const MAX_PASSAGE_CHARS = 2000
+
+// Helper function to generate embeddings for a batch of texts using OpenRouter API
+async function generateEmbeddings(texts: string[]): Promise<number[][]> {
   try {
     // Using OpenRouter's embeddings API with sentence-transformers model
-    const response = await fetch('https://openrouter.ai/api/v1/embeddings', {
+    const response = await fetch(`${EMBEDDING_BASE_URL}/embeddings`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${openRouterApiKey}`
+        ...(EMBEDDING_API_KEY ? { 'Authorization': `Bearer ${EMBEDDING_API_KEY}` } : {})
       },
       body: JSON.stringify({
-        model: 'BAAI/bge-base-en-v1.5',
-        input: text.substring(0, 8000) // Limit text length
+        model: EMBEDDING_MODEL,
+        input: texts
       })
     })
 
@@ -30,87 +53,458 @@ async function generateEmbedding(text: string, openRouterApiKey: string): Promis
 
     const data = await response.json()
     // OpenRouter returns embeddings in OpenAI-compatible format
-    return data.data[0].embedding
+    return [...data.data]
+      .sort((a: any, b: any) => a.index - b.index)
+      .map((item: any) => item.embedding)
   } catch (error: any) {
     console.error('Error generating embedding:', error)
     throw error
   }
 }
 
-// Helper function to search documents using vector similarity
+// Helper function to generate a single embedding
+async function generateEmbedding(text: string): Promise<number[]> {
+  const [embedding] = await generateEmbeddings([text])
+  return embedding
+}
+
+// Requests allowed per sliding window, per user and endpoint. Override with
+// RATE_LIMIT_<ENDPOINT>_<TIER> secrets, e.g. RATE_LIMIT_CHAT_STUDENT=30.
+// Users who can upload documents get the admin tier (ingestion embeds a lot).
+const RATE_LIMIT_WINDOW_SECONDS = positiveEnvNumber('RATE_LIMIT_WINDOW_SECONDS', 60)
+const RATE_LIMIT_DEFAULTS: Record<string, { student: number, admin: number }> = {
+  chat: { student: 20, admin: 60 },
+  embed: { student: 5, admin: 120 },
+}
+
+// A whole number of at least 1 from a secret, or the fallback
+function positiveEnvNumber(name: string, fallback: number): number {
+  const value = Math.floor(Number(Deno.env.get(name)))
+  return value >= 1 ? value : fallback
+}
+
+function rateLimitFor(endpoint: string, isAdmin: boolean): number {
+  const tier = isAdmin ? 'admin' : 'student'
+  return positiveEnvNumber(`RATE_LIMIT_${endpoint.toUpperCase()}_${tier.toUpperCase()}`, RATE_LIMIT_DEFAULTS[endpoint][tier])
+}
+
+// Helper function to record a request against the rate_limits table. Needs the
+// service role client: check_rate_limit() can't be called with a user's token.
+// `unavailable` is set when the limiter itself failed.
+async function checkRateLimit(
+  serviceClient: any,
+  userId: string,
+  endpoint: string,
+  isAdmin: boolean
+): Promise<{ allowed: boolean, remaining: number, retryAfterSeconds: number, unavailable?: boolean }> {
+  try {
+    const { data, error } = await serviceClient.rpc('check_rate_limit', {
+      p_user_id: userId,
+      p_endpoint: endpoint,
+      p_max_requests: rateLimitFor(endpoint, isAdmin),
+      p_window_seconds: RATE_LIMIT_WINDOW_SECONDS
+    })
+
+    if (error) throw error
+
+    const result = data?.[0]
+    if (!result) throw new Error('check_rate_limit returned no result')
+
+    return {
+      allowed: result.allowed,
+      remaining: result.remaining ?? 0,
+      retryAfterSeconds: result.retry_after_seconds ?? 0
+    }
+  } catch (error: any) {
+    // Fail closed: without a working limiter there is nothing capping spend
+    console.error('Rate limit check failed, rejecting request:', error)
+    return { allowed: false, remaining: 0, retryAfterSeconds: RATE_LIMIT_WINDOW_SECONDS, unavailable: true }
+  }
+}
+
+// Helper function to record an analytics_events row. Failures are logged, never thrown,
+// so analytics can't break a chat.
+async function logEvent(
+  supabaseClient: any,
+  userId: string,
+  eventType: string,
+  metadata: Record<string, unknown>
+) {
+  try {
+    const { error } = await supabaseClient.from('analytics_events').insert({
+      event_type: eventType,
+      user_id: userId,
+      metadata
+    })
+    if (error) throw error
+  } catch (error: any) {
+    console.error(`Failed to record ${eventType} event:`, error)
+  }
+}
+
+// Retrieval tuning. Override with Edge Function secrets of the same name.
+function envNumber(name: string, fallback: number): number {
+  const raw = Deno.env.get(name)
+  const value = Number(raw)
+  return raw && Number.isFinite(value) ? value : fallback
+}
+
+const RETRIEVAL_CONFIG = {
+  matchCount: envNumber('RETRIEVAL_MATCH_COUNT', 5),
+  matchThreshold: envNumber('RETRIEVAL_MATCH_THRESHOLD', 0.5),
+  fullTextWeight: envNumber('RETRIEVAL_FULL_TEXT_WEIGHT', 1),
+  semanticWeight: envNumber('RETRIEVAL_SEMANTIC_WEIGHT', 1),
+  rrfK: envNumber('RETRIEVAL_RRF_K', 50),
+  // 'boost' ranks the student's department's documents higher; 'restrict'
+  // skips other departments' documents
+  departmentMode: Deno.env.get('RETRIEVAL_DEPARTMENT_MODE') === 'restrict' ? 'restrict' : 'boost',
+  departmentWeight: envNumber('RETRIEVAL_DEPARTMENT_WEIGHT', 1),
+  // Translate non-English questions to English before searching, since the
+  // embedding model only understands English
+  translateQueries: Deno.env.get('RETRIEVAL_TRANSLATE_QUERIES') !== 'false',
+  // Earlier messages used to rewrite follow-up questions into standalone
+  // queries; 0 searches with the latest message alone
+  rewriteHistoryMessages: envNumber('RETRIEVAL_REWRITE_HISTORY_MESSAGES', 6),
+}
+
+// Conversation history sent to the model. Override with Edge Function secrets
+// of the same name.
+const CONTEXT_CONFIG = {
+  // Longest message a student can send; longer earlier messages are cut short
+  maxMessageChars: envNumber('CONTEXT_MAX_MESSAGE_CHARS', 4000),
+  // Latest exchanges sent verbatim, as long as they fit historyTokens; older
+  // ones are summarized, summaryBatch at a time so that most turns make no
+  // summary call
+  recentTurns: envNumber('CONTEXT_RECENT_TURNS', 4),
+  historyTokens: envNumber('CONTEXT_HISTORY_TOKENS', 3000),
+  summaryBatch: Math.max(1, envNumber('CONTEXT_SUMMARY_BATCH', 4)),
+}
+
+// Department and validity dates of a retrieved passage's document, for the
+// context header. Retrieval already skips documents outside their window.
+function describeScope(chunk: { department?: string | null }): string {
+  return chunk.department ? `, ${chunk.department} department` : ''
+}
+
+function describeValidity(chunk: { valid_from?: string | null, valid_until?: string | null }): string {
+  if (chunk.valid_from && chunk.valid_until) return `, effective ${chunk.valid_from} to ${chunk.valid_until}`
+  if (chunk.valid_from) return `, effective from ${chunk.valid_from}`
+  if (chunk.valid_until) return `, valid until ${chunk.valid_until}`
+  return ''
+}
+
+// Helper function to search document passages by keyword and vector similarity,
+// scoped to the student's department (if known).
+// Falls back to vector-only match_documents if the hybrid RPC is not installed.
 async function searchDocuments(
   supabaseClient: any,
+  queryText: string,
   queryEmbedding: number[],
-  matchThreshold: number = 0.5,
-  matchCount: number = 3
+  department: string | null = null,
+  config = RETRIEVAL_CONFIG
 ) {
   try {
-    const { data, error } = await supabaseClient.rpc('match_documents', {
+    const { data, error } = await supabaseClient.rpc('hybrid_search_documents', {
+      query_text: queryText,
       query_embedding: queryEmbedding,
-      match_threshold: matchThreshold,
-      match_count: matchCount
+      match_count: config.matchCount,
+      match_threshold: config.matchThreshold,
+      full_text_weight: config.fullTextWeight,
+      semantic_weight: config.semanticWeight,
+      rrf_k: config.rrfK,
+      user_department: department,
+      department_mode: config.departmentMode,
+      department_weight: config.departmentWeight
     })
 
-    if (error) {
-      console.error('Vector search error:', error)
+    if (!error) {
+      return data || []
+    }
+
+    console.error('Hybrid search error, falling back to vector search:', error)
+
+    const { data: vectorData, error: vectorError } = await supabaseClient.rpc('match_documents', {
+      query_embedding: queryEmbedding,
+      match_threshold: config.matchThreshold,
+      match_count: config.matchCount,
+      user_department: department,
+      department_mode: config.departmentMode
+    })
+
+    if (vectorError) {
+      console.error('Vector search error:', vectorError)
       return []
     }
 
-    return data || []
+    return vectorData || []
   } catch (error: any) {
     console.error('Error searching documents:', error)
     return []
   }
 }
 
+const sseHeaders = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+}
+
+// Encode one server-sent event
+function sseEvent(payload: Record<string, unknown>): Uint8Array {
+  return new TextEncoder().encode(`data: ${JSON.stringify(payload)}\n\n`)
+}
+
+// Re-emit an OpenAI-compatible `stream: true` completion as our own SSE events:
+// `{ type: 'token', content }` per delta, then `{ type: 'citations', citations }`
+// and `{ type: 'done', response, searchQuery }` with the full text, or `{ type: 'error', error }`.
+// `onFinish` receives the full text and token usage (or the error) once the stream ends.
+function streamCompletion(
+  upstream: Response,
+  citations: any[],
+  searchQuery: string | null,
+  onFinish: (result: { responseText?: string, usage?: any, error?: Error }) => Promise<void>
+): ReadableStream<Uint8Array> {
+  return new ReadableStream({
+    async start(controller) {
+      const reader = upstream.body!.pipeThrough(new TextDecoderStream()).getReader()
+      let buffer = ''
+      let responseText = ''
+      let usage: any = null
+
+      try {
+        while (true) {
+          const { value, done } = await reader.read()
+          if (done) break
+
+          buffer += value
+          const lines = buffer.split('\n')
+          buffer = lines.pop() ?? ''
+
+          for (const line of lines) {
+            const trimmed = line.trim()
+            if (!trimmed.startsWith('data:')) continue
+
+            const payload = trimmed.slice(5).trim()
+            if (payload === '[DONE]') continue
+
+            try {
+              const chunk = JSON.parse(payload)
+              // With include_usage the final chunk carries token counts and no choices
+              if (chunk.usage) usage = chunk.usage
+              const token = chunk.choices?.[0]?.delta?.content
+              if (token) {
+                responseText += token
+                controller.enqueue(sseEvent({ type: 'token', content: token }))
+              }
+            } catch {
+              console.error('Skipping malformed stream chunk:', payload)
+            }
+          }
+        }
+
+        if (!responseText) {
+          throw new Error('Invalid response from AI model')
+        }
+
+        console.log(`Streamed response successfully (${responseText.length} chars)`)
+        controller.enqueue(sseEvent({ type: 'citations', citations }))
+        controller.enqueue(sseEvent({ type: 'done', response: responseText, searchQuery }))
+        await onFinish({ responseText, usage })
+      } catch (error: any) {
+        console.error('Streaming error:', error)
+        controller.enqueue(sseEvent({ type: 'error', error: error.message || 'Stream interrupted' }))
+        await onFinish({ error })
+      } finally {
+        controller.close()
+      }
+    }
+  })
+}
+
+// Emit a fixed answer (e.g. a pinned FAQ answer) as the same SSE events as a
+// streamed completion, so the client handles both the same way
+function streamText(text: string, searchQuery: string | null): ReadableStream<Uint8Array> {
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(sseEvent({ type: 'token', content: text }))
+      controller.enqueue(sseEvent({ type: 'citations', citations: [] }))
+      controller.enqueue(sseEvent({ type: 'done', response: text, searchQuery }))
+      controller.close()
+    }
+  })
+}
+
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders })
   }
 
+  // Replaced with a real recorder once the user is authenticated
+  let track = async (_eventType: string, _metadata: Record<string, unknown>) => {}
+  let action = 'chat'
+
   try {
     // Validate request body
     const body = await req.json()
+    // 'preview' runs a chat turn with a draft bot_settings version (admins only)
+    action = ['embed', 'preview'].includes(body.action) ? body.action : 'chat'
     
     // Validate API keys
-    const bytezApiKey = Deno.env.get('BYTEZ_API_KEY')
-    const openRouterApiKey = Deno.env.get('OPENROUTER_API_KEY')
-    
-    if (!bytezApiKey) {
-      console.error('BYTEZ_API_KEY environment variable is not set')
+    let providers: ProviderConfig[]
+    try {
+      providers = configuredProviders()
+    } catch (error: any) {
+      console.error('LLM provider configuration error:', error.message)
       return new Response(
-        JSON.stringify({ error: 'Server configuration error: Bytez API key not configured' }),
+        JSON.stringify({ error: error.message }),
         { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       )
     }
     
-    if (!openRouterApiKey) {
+    if (EMBEDDING_REQUIRES_KEY && !EMBEDDING_API_KEY) {
       console.error('OPENROUTER_API_KEY environment variable is not set')
       return new Response(
-        JSON.stringify({ error: 'Server configuration error: OpenRouter API key not configured' }),
+        JSON.stringify({ error: 'Server configuration error: OpenRouter API key not configured for embeddings' }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    // Authenticate user
+    const authHeader = req.headers.get('authorization')
+    if (!authHeader) {
+      return new Response(
+        JSON.stringify({ error: 'Missing authorization header' }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const supabaseClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      { global: { headers: { Authorization: authHeader } } }
+    )
+
+    // Service role client for the rate limiter only; everything else runs as the user
+    const serviceClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    const { data: { user }, error: userError } = await supabaseClient.auth.getUser()
+    if (userError || !user) {
+      console.error('Auth error:', userError)
+      return new Response(
+        JSON.stringify({ error: 'Unauthorized' }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    track = (eventType, metadata) => logEvent(supabaseClient, user.id, eventType, metadata)
+
+    // Permissions come from the user's role (role_permissions, see roles_setup.sql)
+    const [{ data: profile }, { data: permissions }] = await Promise.all([
+      supabaseClient.from('profiles').select('department, disabled_at').eq('id', user.id).single(),
+      supabaseClient.rpc('my_permissions')
+    ])
+    const hasPermission = (permission: string) => (permissions ?? []).includes(permission)
+    const department: string | null = profile?.department ?? null
+
+    // A disabled account's access token stays valid until it expires
+    if (profile?.disabled_at) {
+      return new Response(
+        JSON.stringify({ error: 'This account has been disabled' }),
+        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    if (action === 'preview' && !hasPermission('manage_bot')) {
+      return new Response(
+        JSON.stringify({ error: 'Only admins can preview bot settings' }),
         { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       )
     }
 
-    // Handle embedding generation request
-    if (body.action === 'embed') {
-        const { text } = body
-        if (!text || typeof text !== 'string') {
+    // Enforce per-user, per-endpoint rate limits before any billable work.
+    // Previews share the chat budget.
+    const rateLimit = await checkRateLimit(serviceClient, user.id, action === 'embed' ? 'embed' : 'chat', hasPermission('upload_documents'))
+    if (rateLimit.unavailable) {
+      await track('error', { action, stage: 'rate_limit' })
+      return new Response(
+        JSON.stringify({
+          error: 'The service is temporarily unavailable. Please try again shortly.',
+          retryAfter: rateLimit.retryAfterSeconds
+        }),
+        {
+          status: 200,
+          headers: {
+            ...corsHeaders,
+            'Content-Type': 'application/json',
+            'Retry-After': String(rateLimit.retryAfterSeconds)
+          }
+        }
+      )
+    }
+    if (!rateLimit.allowed) {
+      console.log(`Rate limit hit for user ${user.id} on ${action}, retry in ${rateLimit.retryAfterSeconds}s`)
+      await track('rate_limited', { action, retry_after_seconds: rateLimit.retryAfterSeconds })
+      return new Response(
+        JSON.stringify({
+          error: `Rate limit exceeded. Please try again in ${rateLimit.retryAfterSeconds} seconds.`,
+          retryAfter: rateLimit.retryAfterSeconds
+        }),
+        {
+          status: 200,
+          headers: {
+            ...corsHeaders,
+            'Content-Type': 'application/json',
+            'Retry-After': String(rateLimit.retryAfterSeconds)
+          }
+        }
+      )
+    }
+
+    // Handle embedding generation request. Accepts a single `text` or a batch of `texts`.
+    if (action === 'embed') {
+        const { text, texts } = body
+        const inputs: unknown[] = Array.isArray(texts) ? texts : [text]
+
+        if (inputs.length === 0 || inputs.some((t) => !t || typeof t !== 'string')) {
             return new Response(
                 JSON.stringify({ error: 'Invalid request: text is required for embedding' }),
                 { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
             )
         }
-        
+
+        if (inputs.length > MAX_EMBEDDING_BATCH) {
+            return new Response(
+                JSON.stringify({ error: `Invalid request: at most ${MAX_EMBEDDING_BATCH} texts can be embedded at once` }),
+                { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+            )
+        }
+
+        if ((inputs as string[]).some((t) => t.length > MAX_EMBEDDING_CHARS)) {
+            return new Response(
+                JSON.stringify({ error: `Invalid request: text exceeds ${MAX_EMBEDDING_CHARS} characters, split it into chunks first` }),
+                { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+            )
+        }
+
         try {
-            console.log('Attempting to generate embedding. API Key present:', !!bytezApiKey);
-            const embedding = await generateEmbedding(text, openRouterApiKey)
+            const embedStartedAt = Date.now()
+            const embeddings = await generateEmbeddings(inputs as string[])
+            await track('embedding', {
+                model: EMBEDDING_MODEL,
+                count: inputs.length,
+                characters: (inputs as string[]).reduce((sum, t) => sum + t.length, 0),
+                latency_ms: Date.now() - embedStartedAt
+            })
             return new Response(
-                JSON.stringify({ embedding }),
+                JSON.stringify(Array.isArray(texts) ? { embeddings } : { embedding: embeddings[0] }),
                 { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
             )
         } catch (error: any) {
             console.error('Embedding generation failed:', error);
+            await track('error', { action, stage: 'embedding', message: error.message })
             return new Response(
                 JSON.stringify({ error: `Embedding generation failed: ${error.message}` }),
                 { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
@@ -118,8 +512,9 @@ serve(async (req) => {
         }
     }
 
-    // Default: Handle chat request
+    // Default: Handle chat request (or a preview of draft settings)
     const { messages } = body
+    const isPreview = action === 'preview'
 
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
       return new Response(
@@ -136,130 +531,263 @@ serve(async (req) => {
       )
     }
 
-    // Authenticate user
-    const authHeader = req.headers.get('authorization')
-    if (!authHeader) {
+    if (userMessage.length > CONTEXT_CONFIG.maxMessageChars) {
       return new Response(
-        JSON.stringify({ error: 'Missing authorization header' }),
+        JSON.stringify({
+          error: `Message is too long (${userMessage.length} characters). Please keep it under ${CONTEXT_CONFIG.maxMessageChars} characters.`,
+          maxChars: CONTEXT_CONFIG.maxMessageChars
+        }),
         { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       )
     }
 
-    const supabaseClient = createClient(
-      Deno.env.get('SUPABASE_URL') ?? '',
-      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
-      { global: { headers: { Authorization: authHeader } } }
-    )
+    console.log(`Processing message for user ${user.id}: "${userMessage.substring(0, 50)}..."`)
+    const startedAt = Date.now()
+
+    // Earlier exchanges come from the stored conversation when there is one,
+    // otherwise from the messages sent (previews, or conversations not yet saved)
+    const conversationId = Number.isInteger(body.conversationId) ? body.conversationId as number : null
+    const conversation: ConversationHistory | null = conversationId
+      ? await loadConversationHistory(supabaseClient, user.id, conversationId, CONTEXT_CONFIG)
+      : null
+    const { recent, older } = conversation
+      ? fitHistory(conversation.exchanges, CONTEXT_CONFIG)
+      : fitHistory(exchangesFromMessages(messages.slice(0, -1)), CONTEXT_CONFIG, CONTEXT_CONFIG.recentTurns)
+    const historyMessages = recent.flatMap((exchange) => exchange.messages)
+
+    // Answer in the language the question is asked in, or the app's language
+    // for English questions
+    const questionLanguage = detectLanguage(userMessage)
+    const language = questionLanguage === 'en' ? resolveLanguage(body.language) : questionLanguage
+
+    // FAQ rules: admin-pinned answers skip retrieval and the model. Previews test
+    // the draft persona, so they always go to the model.
+    // Keyword and regex rules are checked first; the question is only embedded
+    // for semantic rules if one of them could outrank that match.
+    const faqRules = isPreview ? [] : await loadFaqRules(supabaseClient)
+    const patternMatch = matchPatternRule(faqRules, userMessage)
+    let faqMatch: FaqMatch | null = patternMatch
+
+    const retrievalStartedAt = Date.now()
+    let queryEmbedding: number[] | null = null
+    // The question as it is searched for: standalone and in English, so it
+    // matches the documents
+    let searchQuery = userMessage
+    if (!patternMatch || semanticRuleMayOutrank(faqRules, patternMatch)) {
+      const historyLength = RETRIEVAL_CONFIG.rewriteHistoryMessages
+      const history = historyLength > 0 ? historyMessages.slice(-historyLength) : []
+      const translate = questionLanguage !== 'en' && RETRIEVAL_CONFIG.translateQueries
+
+      if (history.length > 0 || translate) {
+        try {
+          searchQuery = await rewriteQuery(history, userMessage, { language: questionLanguage, translate }, providers)
+          console.log(`Rewrote question for retrieval: "${searchQuery.substring(0, 100)}"`)
+        } catch (error: any) {
+          console.error('Query rewriting error:', error)
+          await track('error', { action, stage: 'query_rewrite', message: error.message })
+          // Search with the original question if the rewrite fails
+        }
+      }
 
-    const { data: { user }, error: userError } = await supabaseClient.auth.getUser()
-    if (userError || !user) {
-      console.error('Auth error:', userError)
+      try {
+        queryEmbedding = await generateEmbedding(searchQuery.substring(0, MAX_EMBEDDING_CHARS))
+        faqMatch = higherPriorityMatch(patternMatch, await matchSemanticRule(supabaseClient, faqRules, queryEmbedding))
+      } catch (error: any) {
+        console.error('Query embedding error:', error)
+        await track('error', { action, stage: 'retrieval', message: error.message })
+        // Continue without RAG if the embedding fails
+      }
+    }
+    // Returned to the client and stored with the message for feedback review
+    const rewrittenQuery = searchQuery !== userMessage ? searchQuery : null
+
+    if (faqMatch) {
+      const { rule, similarity } = faqMatch
+      const stream = body.stream === true
+      console.log(`FAQ rule ${rule.id} (${rule.name}) matched`)
+
+      await recordFaqHit(serviceClient, rule.id)
+      await track('faq_hit', {
+        rule_id: rule.id,
+        rule_name: rule.name,
+        match_type: rule.match_type,
+        similarity: similarity ?? null,
+        question: userMessage.substring(0, 500)
+      })
+      await track('chat_message', {
+        question: userMessage.substring(0, 500),
+        response_time_ms: Date.now() - startedAt,
+        response_chars: rule.answer.length,
+        provider: 'faq',
+        model: null,
+        faq_rule_id: rule.id,
+        retrieved_documents: 0,
+        language,
+        streamed: stream
+      })
+
+      if (stream) {
+        return new Response(streamText(rule.answer, rewrittenQuery), { headers: { ...corsHeaders, ...sseHeaders } })
+      }
       return new Response(
-        JSON.stringify({ error: 'Unauthorized' }),
-        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+        JSON.stringify({ response: rule.answer, faqRuleId: rule.id, searchQuery: rewrittenQuery ?? undefined }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       )
     }
 
-    console.log(`Processing message for user ${user.id}: "${userMessage.substring(0, 50)}..."`)
+    // Once a batch of exchanges has left the recent window, fold them into the
+    // conversation's summary while retrieval runs
+    let summaryUpdate: Promise<string> = Promise.resolve(conversation?.summary ?? '')
+    const due = conversation?.due ?? []
+    if (conversation && due.length > 0) {
+      summaryUpdate = (async () => {
+        try {
+          const summary = await summarizeHistory(conversation.summary, due, CONTEXT_CONFIG.maxMessageChars, providers)
+          await saveConversationSummary(serviceClient, conversationId!, summary, due[due.length - 1].id!)
+          console.log(`Summarized ${due.length} earlier exchanges of conversation ${conversationId}`)
+          return summary
+        } catch (error: any) {
+          console.error('Conversation summary error:', error)
+          await track('error', { action, stage: 'summary', message: error.message })
+          // Answer with the previous summary; these exchanges are retried next turn
+          return conversation.summary
+        }
+      })()
+    }
+    if (older.length > 0) {
+      console.log(`Leaving out ${older.length} earlier exchanges that don't fit the history budget`)
+    }
 
     // RAG: Search for relevant documents
     let contextText = ''
     let citations: any[] = []
     
-    try {
-      const queryEmbedding = await generateEmbedding(userMessage, openRouterApiKey)
-      const relevantDocs = await searchDocuments(supabaseClient, queryEmbedding, 0.5, 3)
+    if (queryEmbedding) {
+      try {
+        const relevantChunks = await searchDocuments(supabaseClient, searchQuery, queryEmbedding, department)
+
+        await track('retrieval', {
+          hit: relevantChunks.length > 0,
+          retrieved_passages: relevantChunks.length,
+          retrieved_documents: new Set(relevantChunks.map((chunk: any) => chunk.id)).size,
+          top_similarity: relevantChunks[0]?.similarity ?? null,
+          keyword_matches: relevantChunks.filter((chunk: any) => chunk.keyword_rank != null).length,
+          department,
+          department_matches: department ? relevantChunks.filter((chunk: any) => chunk.department === department).length : null,
+          embedding_model: EMBEDDING_MODEL,
+          question_language: questionLanguage,
+          search_query: rewrittenQuery?.substring(0, 500) ?? null,
+          latency_ms: Date.now() - retrievalStartedAt
+        })
       
-      if (relevantDocs && relevantDocs.length > 0) {
-        console.log(`Found ${relevantDocs.length} relevant documents`)
+        if (relevantChunks && relevantChunks.length > 0) {
+          console.log(`Found ${relevantChunks.length} relevant passages`)
         
-        // Build context from retrieved documents
-        contextText = relevantDocs
-          .map((doc: any, idx: number) => `[Document ${idx + 1}]: ${doc.content.substring(0, 1000)}`)
-          .join('\n\n')
+          // Build context from retrieved passages
+          contextText = relevantChunks
+            .map((chunk: any, idx: number) => `[Document ${idx + 1}: ${chunk.title}, page ${chunk.page_number ?? 1}${describeScope(chunk)}${describeValidity(chunk)}]: ${chunk.content.substring(0, MAX_PASSAGE_CHARS)}`)
+            .join('\n\n')
         
-        // Store citations for response
-        citations = relevantDocs.map((doc: any) => ({
-          id: doc.id,
-          similarity: doc.similarity
-        }))
-      } else {
-        console.log('No relevant documents found')
+          // Store one citation per parent document, keeping its best passage
+          const seen = new Set<number>()
+          citations = relevantChunks
+            .filter((chunk: any) => !seen.has(chunk.id) && seen.add(chunk.id))
+            .map((chunk: any) => ({
+              id: chunk.id,
+              title: chunk.title,
+              file_type: chunk.file_type,
+              page_number: chunk.page_number,
+              chunk_id: chunk.chunk_id,
+              snippet: chunk.content.substring(0, MAX_PASSAGE_CHARS),
+              similarity: chunk.similarity,
+              category: chunk.category ?? null,
+              department: chunk.department ?? null,
+              valid_from: chunk.valid_from ?? null,
+              valid_until: chunk.valid_until ?? null
+            }))
+        } else {
+          console.log('No relevant documents found')
+        }
+      } catch (error: any) {
+        console.error('RAG search error:', error)
+        await track('error', { action, stage: 'retrieval', message: error.message })
+        // Continue without RAG if search fails
       }
-    } catch (error: any) {
-      console.error('RAG search error:', error)
-      // Continue without RAG if search fails
     }
 
-    // Prepare system prompt with context
-    const systemPrompt = contextText
-      ? `You are a helpful and enthusiastic college assistant chatbot.
-You have access to the following information from college documents:
-
-${contextText}
-
-Use this information to answer the student's questions accurately.
-If the information is in the documents above, cite it in your response.
-If you don't know something or it's not in the documents, say so and advise them to contact the college administration.
-Format your response using Markdown (bold, lists, etc.) where appropriate.
-
-IMPORTANT: If anyone asks who developed you, who made you, or who created you, respond with:
-"Those Backbenchers from ISE B section Pratham, Prashanth, Varun and Sumeeth developed me and I love them ❤️"`
-      : `You are a helpful and enthusiastic college assistant chatbot.
-Answer the student's questions about the college to the best of your ability.
-If you don't know something, say so and advise them to contact the college administration.
-Format your response using Markdown (bold, lists, etc.) where appropriate.
-
-IMPORTANT: If anyone asks who developed you, who made you, or who created you, respond with:
-"Those Backbenchers from ISE B section Pratham, Prashanth, Varun and Sumeeth developed me and I love them ❤️"`
+    // Prepare system prompt from the published (or, for previews, draft) bot settings
+    const settings = isPreview ? normalizeSettings(body.settings) : await loadBotSettings(supabaseClient)
+    const conversationSummary = await summaryUpdate
+    const systemPrompt = buildSystemPrompt(settings, contextText, department, language, conversationSummary)
 
-    // Prepare messages for Bytez API (OpenAI-compatible format)
+    // Prepare messages for the LLM provider (OpenAI-compatible format)
     const apiMessages = [
       {
         role: 'system',
         content: systemPrompt
       },
-      ...messages.map((m: any) => ({
-        role: m.role === 'assistant' ? 'assistant' : 'user',
-        content: m.content
-      }))
+      ...historyMessages,
+      { role: 'user', content: userMessage }
     ]
 
-    // Call Bytez API using OpenAI-compatible endpoint
-    const response = await fetch('https://api.bytez.com/models/v2/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${bytezApiKey}`
-      },
-      body: JSON.stringify({
-        model: 'Qwen/Qwen3-4B-Instruct-2507',
-        messages: apiMessages,
-        max_tokens: 1000,
-        temperature: 0.7
-      })
+    const stream = body.stream === true && !isPreview
+
+    // Call the configured provider, falling back to the secondary on 429/5xx
+    const { response, provider } = await createChatCompletion(apiMessages, {
+      maxTokens: settings.max_tokens,
+      temperature: settings.temperature,
+      stream
+    }, providers)
+
+    // Shape of the chat_message event read by get_analytics_summary
+    const chatMessageEvent = (responseText: string, usage: any, streamed: boolean) => ({
+      question: userMessage.substring(0, 500),
+      response_time_ms: Date.now() - startedAt,
+      response_chars: responseText.length,
+      provider: provider.name,
+      model: provider.model,
+      prompt_tokens: usage?.prompt_tokens ?? null,
+      completion_tokens: usage?.completion_tokens ?? null,
+      total_tokens: usage?.total_tokens ?? null,
+      retrieved_documents: citations.length,
+      bot_settings_id: settings.id ?? null,
+      language,
+      history_messages: historyMessages.length,
+      summarized_exchanges: due.length,
+      streamed
     })
 
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error('Bytez API error:', response.status, errorText)
-      throw new Error(`Bytez API returned ${response.status}: ${errorText}`)
+    if (stream) {
+      return new Response(
+        streamCompletion(response, citations, rewrittenQuery, async ({ responseText, usage, error }) => {
+          if (error) {
+            await track('error', { action, stage: 'generation', provider: provider.name, model: provider.model, message: error.message })
+          } else {
+            await track('chat_message', chatMessageEvent(responseText!, usage, true))
+          }
+        }),
+        { headers: { ...corsHeaders, ...sseHeaders } }
+      )
     }
 
     const data = await response.json()
     const responseText = data.choices?.[0]?.message?.content
 
     if (!responseText) {
-      console.error('Invalid response from Bytez API:', data)
+      console.error(`Invalid response from ${provider.name} API:`, data)
       throw new Error('Invalid response from AI model')
     }
 
     console.log(`Response generated successfully (${responseText.length} chars)`)
+    // Previews are admin tests, not student questions
+    await track(isPreview ? 'prompt_preview' : 'chat_message', chatMessageEvent(responseText, data.usage, false))
 
     return new Response(
       JSON.stringify({ 
         response: responseText,
-        citations: citations.length > 0 ? citations : undefined
+        citations: citations.length > 0 ? citations : undefined,
+        searchQuery: rewrittenQuery ?? undefined,
+        systemPrompt: isPreview ? systemPrompt : undefined
       }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
@@ -270,6 +798,7 @@ IMPORTANT: If anyone asks who developed you, who made you, or who created you, r
       stack: error.stack,
       name: error.name
     })
+    await track('error', { action, stage: 'request', message: error.message })
 
     // Provide user-friendly error messages
     let errorMessage = 'An unexpected error occurred'
@@ -0,0 +1,160 @@
+// Chat completion providers. Every provider speaks the OpenAI-compatible
+// /chat/completions API, so they differ only in base URL, key and model.
+//
+// Selected with Edge Function secrets:
+//   LLM_PROVIDER           primary provider (default: bytez)
+//   LLM_FALLBACK_PROVIDER  tried when the primary returns 429/5xx or is unreachable
+//   <PROVIDER>_BASE_URL, <PROVIDER>_API_KEY, <PROVIDER>_MODEL  per-provider overrides,
+//                          e.g. OLLAMA_BASE_URL, OPENAI_MODEL
+
+export interface ProviderConfig {
+  name: string
+  baseUrl: string
+  apiKey?: string
+  model: string
+}
+
+interface ProviderDefaults {
+  baseUrl: string
+  model: string
+  requiresKey: boolean
+}
+
+const PROVIDER_DEFAULTS: Record<string, ProviderDefaults> = {
+  bytez: {
+    baseUrl: 'https://api.bytez.com/models/v2/openai/v1',
+    model: 'Qwen/Qwen3-4B-Instruct-2507',
+    requiresKey: true,
+  },
+  openrouter: {
+    baseUrl: 'https://openrouter.ai/api/v1',
+    model: 'qwen/qwen3-8b',
+    requiresKey: true,
+  },
+  // Any OpenAI-compatible server: OpenAI itself, vLLM, LM Studio, or a local stand-in
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    requiresKey: false,
+  },
+  ollama: {
+    baseUrl: 'http://host.docker.internal:11434/v1',
+    model: 'qwen3:4b',
+    requiresKey: false,
+  },
+  llamacpp: {
+    baseUrl: 'http://host.docker.internal:8080/v1',
+    model: 'default',
+    requiresKey: false,
+  },
+}
+
+export class ProviderConfigError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'ProviderConfigError'
+  }
+}
+
+// Resolve a provider name into its endpoint, key and model from the environment
+export function resolveProvider(name: string): ProviderConfig {
+  const key = name.toLowerCase()
+  const defaults = PROVIDER_DEFAULTS[key]
+  if (!defaults) {
+    throw new ProviderConfigError(
+      `Server configuration error: unknown LLM provider "${name}" (expected one of ${Object.keys(PROVIDER_DEFAULTS).join(', ')})`
+    )
+  }
+
+  const prefix = key.toUpperCase()
+  const apiKey = Deno.env.get(`${prefix}_API_KEY`)
+  if (defaults.requiresKey && !apiKey) {
+    throw new ProviderConfigError(`Server configuration error: ${prefix}_API_KEY not configured`)
+  }
+
+  return {
+    name: key,
+    baseUrl: (Deno.env.get(`${prefix}_BASE_URL`) ?? defaults.baseUrl).replace(/\/+$/, ''),
+    apiKey,
+    model: Deno.env.get(`${prefix}_MODEL`) ?? defaults.model,
+  }
+}
+
+// The configured primary provider followed by the fallback, if any
+export function configuredProviders(): ProviderConfig[] {
+  const primary = resolveProvider(Deno.env.get('LLM_PROVIDER') ?? 'bytez')
+  const fallbackName = Deno.env.get('LLM_FALLBACK_PROVIDER')
+
+  if (!fallbackName || fallbackName.toLowerCase() === primary.name) {
+    return [primary]
+  }
+
+  try {
+    return [primary, resolveProvider(fallbackName)]
+  } catch (error: any) {
+    // A misconfigured fallback shouldn't stop the primary from serving requests
+    console.error('Ignoring fallback provider:', error.message)
+    return [primary]
+  }
+}
+
+function isRetryable(status: number): boolean {
+  return status === 429 || status >= 500
+}
+
+export interface CompletionOptions {
+  maxTokens: number
+  temperature: number
+  stream: boolean
+}
+
+// Send a chat completion to the first provider that accepts it. Returns the raw
+// response (JSON or an SSE stream) together with the provider that produced it.
+export async function createChatCompletion(
+  messages: { role: string, content: string }[],
+  options: CompletionOptions,
+  providers: ProviderConfig[] = configuredProviders()
+): Promise<{ response: Response, provider: ProviderConfig }> {
+  let lastError: Error | null = null
+
+  for (const [idx, provider] of providers.entries()) {
+    const isLast = idx === providers.length - 1
+
+    try {
+      const response = await fetch(`${provider.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(provider.apiKey ? { 'Authorization': `Bearer ${provider.apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model: provider.model,
+          messages,
+          max_tokens: options.maxTokens,
+          temperature: options.temperature,
+          stream: options.stream,
+          ...(options.stream ? { stream_options: { include_usage: true } } : {})
+        })
+      })
+
+      if (response.ok) {
+        return { response, provider }
+      }
+
+      const errorText = await response.text()
+      console.error(`${provider.name} API error:`, response.status, errorText)
+      lastError = new Error(`${provider.name} API returned ${response.status}: ${errorText}`)
+
+      if (!isRetryable(response.status)) break
+    } catch (error: any) {
+      console.error(`${provider.name} request failed:`, error)
+      lastError = new Error(`${provider.name} network error: ${error.message}`)
+    }
+
+    if (!isLast) {
+      console.log(`Falling back from ${provider.name} to ${providers[idx + 1].name}`)
+    }
+  }
+
+  throw lastError ?? new Error('No LLM provider configured')
+}
@@ -0,0 +1,111 @@
+// The query documents are searched with. Two things can make the latest
+// message a poor query on its own:
+// - Follow-ups ("and for the hostel?") only make sense with the conversation,
+//   so they are rewritten into a standalone question using the last few turns.
+// - Documents are embedded with an English-only model, so a question asked in
+//   another language is translated to English. The answer is still written in
+//   the student's language (see buildSystemPrompt) and cites the English sources.
+// Both are done in one call to the chat provider.
+
+import { createChatCompletion, type ProviderConfig } from './providers.ts'
+import { ANSWER_LANGUAGES } from './settings.ts'
+
+// Scripts that identify a language on their own
+const SCRIPT_LANGUAGES: [RegExp, string][] = [
+  [/\p{Script=Devanagari}/gu, 'hi'],
+  [/\p{Script=Kannada}/gu, 'kn'],
+]
+
+// Share of a question's letters that must be in a script for it to count
+// as that language, so "CSE का syllabus" is Hindi but "Is Diwali a holiday?" isn't
+const MIN_SCRIPT_SHARE = 0.3
+
+// Common words that tell the Latin-script languages apart
+const STOPWORDS: Record<string, Set<string>> = {
+  en: new Set(['the', 'is', 'are', 'what', 'when', 'where', 'how', 'who', 'which', 'do', 'does', 'can', 'i', 'my', 'of', 'for', 'to', 'and', 'in', 'there']),
+  es: new Set(['el', 'la', 'los', 'las', 'es', 'son', 'qué', 'cuál', 'cuándo', 'dónde', 'cómo', 'quién', 'puedo', 'mi', 'para', 'del', 'hay', 'una', 'por', 'y']),
+  fr: new Set(['le', 'les', 'est', 'sont', 'quel', 'quelle', 'quand', 'où', 'comment', 'qui', 'je', 'mon', 'ma', 'pour', 'du', 'des', 'une', 'et', 'puis', 'il']),
+}
+
+// Longest rewritten query we ask for; questions are short
+const MAX_QUERY_TOKENS = 256
+
+// Earlier messages are cut to this length; long answers add little to a query
+const MAX_HISTORY_MESSAGE_CHARS = 1000
+
+export interface ChatTurn {
+  role: string
+  content: string
+}
+
+// Best guess at the language a question is written in, as an ANSWER_LANGUAGES
+// code. English when nothing points elsewhere.
+export function detectLanguage(text: string): string {
+  const letters = text.match(/\p{L}/gu)?.length ?? 0
+  if (letters === 0) return 'en'
+
+  for (const [pattern, language] of SCRIPT_LANGUAGES) {
+    const count = text.match(pattern)?.length ?? 0
+    if (count / letters >= MIN_SCRIPT_SHARE) return language
+  }
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) ?? []
+  let best = 'en'
+  let bestScore = words.filter((word) => STOPWORDS.en.has(word)).length
+  for (const [language, stopwords] of Object.entries(STOPWORDS)) {
+    const score = words.filter((word) => stopwords.has(word)).length
+    if (score > bestScore) {
+      best = language
+      bestScore = score
+    }
+  }
+
+  // Opening punctuation only Spanish uses
+  if (best === 'en' && /[¿¡]/.test(text)) return 'es'
+  return best
+}
+
+// Rewrite the latest question into a standalone search query with the
+// configured chat provider. `history` is the conversation before the question,
+// oldest first; pass [] to only translate. `language` is the question's
+// language and `translate` whether to turn it into English. Throws if the
+// provider fails or returns nothing.
+export async function rewriteQuery(
+  history: ChatTurn[],
+  question: string,
+  { language, translate }: { language: string, translate: boolean },
+  providers: ProviderConfig[]
+): Promise<string> {
+  const instructions = history.length > 0
+    ? 'Rewrite the student\'s latest question as a standalone question that can be understood without the conversation, filling in what words like "it", "that" or "there" refer to. Do not answer it.'
+    : 'Rewrite the student\'s question for searching. Do not answer it.'
+  const translation = !translate || language === 'en'
+    ? 'Keep it in the language it is asked in.'
+    : `The question is in ${ANSWER_LANGUAGES[language] ?? 'another language'}; translate it into English, since the college documents are in English.`
+
+  const conversation = history
+    .map((turn) => `${turn.role === 'assistant' ? 'Assistant' : 'Student'}: ${turn.content.substring(0, MAX_HISTORY_MESSAGE_CHARS)}`)
+    .join('\n\n')
+
+  const { response } = await createChatCompletion([
+    {
+      role: 'system',
+      content: `${instructions} ${translation} Keep names, course codes, numbers and abbreviations as they are. Reply with the question only, without quotes or explanations.`
+    },
+    {
+      role: 'user',
+      content: conversation ? `Conversation:\n${conversation}\n\nLatest question: ${question}` : question
+    }
+  ], { maxTokens: MAX_QUERY_TOKENS, temperature: 0, stream: false }, providers)
+
+  const data = await response.json()
+  const rewritten = data.choices?.[0]?.message?.content
+    // Reasoning models may think out loud before answering
+    ?.replace(/<think>[\s\S]*?<\/think>/g, '')
+    .trim()
+
+  if (!rewritten) {
+    throw new Error('Empty search query from AI model')
+  }
+  return rewritten
+}
@@ -0,0 +1,126 @@
+// FAQ / intent rules, edited by admins on the Admin page and stored in the
+// faq_rules table. A matching rule's pinned answer is returned before retrieval,
+// so exact answers (fee deadlines, office hours) never go through the model.
+
+export type FaqMatchType = 'keywords' | 'regex' | 'semantic'
+
+export interface FaqRule {
+  id: number
+  name: string
+  match_type: FaqMatchType
+  patterns: string[]
+  answer: string
+  priority: number
+}
+
+export interface FaqMatch {
+  rule: FaqRule
+  // Only set for semantic matches
+  similarity?: number
+}
+
+// Rules are re-read at most once a minute per function instance
+const CACHE_TTL_MS = 60_000
+let cached: { rules: FaqRule[], loadedAt: number } | null = null
+
+// Load active rules, highest priority first. Returns no rules if the table is missing.
+export async function loadFaqRules(supabaseClient: any): Promise<FaqRule[]> {
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.rules
+  }
+
+  try {
+    const { data, error } = await supabaseClient
+      .from('faq_rules')
+      .select('id, name, match_type, patterns, answer, priority')
+      .eq('is_active', true)
+      .order('priority', { ascending: false })
+      .order('id', { ascending: true })
+
+    if (error) throw error
+
+    const rules = (data ?? []) as FaqRule[]
+    cached = { rules, loadedAt: Date.now() }
+    return rules
+  } catch (error: any) {
+    console.error('Failed to load FAQ rules:', error)
+    return []
+  }
+}
+
+// Lowercase and reduce to space-separated words so "Who are you?" matches "who are you"
+function normalize(text: string): string {
+  return ` ${text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `
+}
+
+function matchesRule(rule: FaqRule, question: string, normalized: string): boolean {
+  if (rule.match_type === 'keywords') {
+    return rule.patterns.some((phrase) => {
+      const needle = normalize(phrase)
+      return needle.trim() !== '' && normalized.includes(needle)
+    })
+  }
+
+  if (rule.match_type === 'regex') {
+    return rule.patterns.some((pattern) => {
+      try {
+        return new RegExp(pattern, 'iu').test(question)
+      } catch {
+        console.error(`Skipping invalid regex in FAQ rule ${rule.id}:`, pattern)
+        return false
+      }
+    })
+  }
+
+  return false
+}
+
+// Highest priority keyword or regex rule that matches the question
+export function matchPatternRule(rules: FaqRule[], question: string): FaqMatch | null {
+  const normalized = normalize(question)
+  const rule = rules.find((r) => matchesRule(r, question, normalized))
+  return rule ? { rule } : null
+}
+
+// Whether a semantic rule could still win over a keyword or regex match, so the
+// question has to be embedded and compared with the example questions
+export function semanticRuleMayOutrank(rules: FaqRule[], match: FaqMatch | null): boolean {
+  return rules.some((r) => r.match_type === 'semantic' && (!match || r.priority > match.rule.priority))
+}
+
+// The higher priority of two matches; the keyword or regex match wins a tie
+export function higherPriorityMatch(patternMatch: FaqMatch | null, semanticMatch: FaqMatch | null): FaqMatch | null {
+  if (!patternMatch || !semanticMatch) return patternMatch ?? semanticMatch
+  return semanticMatch.rule.priority > patternMatch.rule.priority ? semanticMatch : patternMatch
+}
+
+// Best semantic rule whose example questions are close enough to the question
+export async function matchSemanticRule(
+  supabaseClient: any,
+  rules: FaqRule[],
+  queryEmbedding: number[]
+): Promise<FaqMatch | null> {
+  if (!rules.some((r) => r.match_type === 'semantic')) return null
+
+  const { data, error } = await supabaseClient.rpc('match_faq_rules', {
+    query_embedding: queryEmbedding
+  })
+
+  if (error) {
+    console.error('Semantic FAQ matching failed:', error)
+    return null
+  }
+
+  const best = data?.[0]
+  const rule = best && rules.find((r) => r.id === best.rule_id)
+  return rule ? { rule, similarity: best.similarity } : null
+}
+
+// Count a hit with the service role client: students can't call record_faq_hit().
+// Failures are logged and never block the answer.
+export async function recordFaqHit(serviceClient: any, ruleId: number) {
+  const { error } = await serviceClient.rpc('record_faq_hit', { p_rule_id: ruleId })
+  if (error) {
+    console.error('Failed to record FAQ hit:', error)
+  }
+}
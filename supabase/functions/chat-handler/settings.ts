@@ -0,0 +1,151 @@
+// Bot persona and generation settings, edited by admins on the Admin page and
+// stored as versioned rows in the bot_settings table.
+
+export interface CannedAnswer {
+  question: string
+  answer: string
+}
+
+export interface BotSettings {
+  id?: number
+  bot_name: string
+  persona: string
+  tone: string
+  refusal_message: string
+  canned_answers: CannedAnswer[]
+  temperature: number
+  max_tokens: number
+}
+
+// Used until an admin publishes a version, and to fill in missing fields
+export const DEFAULT_BOT_SETTINGS: BotSettings = {
+  bot_name: 'BroFessor',
+  persona: 'You are a helpful and enthusiastic college assistant chatbot.',
+  tone: 'Friendly and encouraging, like a senior student helping a junior.',
+  refusal_message: 'If you don\'t know something or it\'s not in the documents, say so and advise them to contact the college administration.',
+  canned_answers: [
+    {
+      question: 'who developed you, who made you, or who created you',
+      answer: 'Those Backbenchers from ISE B section Pratham, Prashanth, Varun and Sumeeth developed me and I love them ❤️'
+    }
+  ],
+  temperature: 0.7,
+  max_tokens: 1000,
+}
+
+const MAX_TOKENS_LIMIT = 4000
+
+// Fill gaps and clamp numeric fields, so a half-edited draft or an older row
+// can always be turned into a prompt
+export function normalizeSettings(raw: any): BotSettings {
+  const settings = { ...DEFAULT_BOT_SETTINGS, ...(raw ?? {}) }
+  const temperature = Number(settings.temperature)
+  const maxTokens = Math.round(Number(settings.max_tokens))
+
+  return {
+    id: settings.id,
+    bot_name: String(settings.bot_name || DEFAULT_BOT_SETTINGS.bot_name),
+    persona: String(settings.persona || DEFAULT_BOT_SETTINGS.persona),
+    tone: String(settings.tone ?? ''),
+    refusal_message: String(settings.refusal_message || DEFAULT_BOT_SETTINGS.refusal_message),
+    canned_answers: Array.isArray(settings.canned_answers)
+      ? settings.canned_answers.filter((c: any) => c?.question && c?.answer)
+      : [],
+    temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 2) : DEFAULT_BOT_SETTINGS.temperature,
+    max_tokens: Number.isFinite(maxTokens) ? Math.min(Math.max(maxTokens, 1), MAX_TOKENS_LIMIT) : DEFAULT_BOT_SETTINGS.max_tokens,
+  }
+}
+
+// Settings are re-read at most once a minute per function instance
+const CACHE_TTL_MS = 60_000
+let cached: { settings: BotSettings, loadedAt: number } | null = null
+
+// Load the published bot_settings version, falling back to the defaults
+export async function loadBotSettings(supabaseClient: any): Promise<BotSettings> {
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.settings
+  }
+
+  try {
+    const { data, error } = await supabaseClient
+      .from('bot_settings')
+      .select('*')
+      .eq('is_published', true)
+      .maybeSingle()
+
+    if (error) throw error
+
+    const settings = normalizeSettings(data)
+    cached = { settings, loadedAt: Date.now() }
+    return settings
+  } catch (error: any) {
+    console.error('Failed to load bot settings, using defaults:', error)
+    return DEFAULT_BOT_SETTINGS
+  }
+}
+
+// Languages the app's UI can be switched to (src/i18n), by code
+export const ANSWER_LANGUAGES: Record<string, string> = {
+  en: 'English',
+  es: 'Spanish',
+  hi: 'Hindi',
+  fr: 'French',
+  kn: 'Kannada',
+}
+
+// The requested answer language, or English for anything the UI doesn't offer
+export function resolveLanguage(code: unknown): string {
+  return typeof code === 'string' && code in ANSWER_LANGUAGES ? code : 'en'
+}
+
+// Build the system prompt from the bot settings and any retrieved document context.
+// `department` is the asking student's department, if they have set one, and
+// `language` the code of the language to answer in: the question's, or the app's.
+// `summary` covers the earlier turns of the conversation that are no longer sent.
+export function buildSystemPrompt(settings: BotSettings, contextText: string, department: string | null = null, language = 'en', summary = ''): string {
+  const sections = [
+    `${settings.persona}\nYour name is ${settings.bot_name}.`,
+  ]
+
+  if (language !== 'en') {
+    const name = ANSWER_LANGUAGES[language]
+    sections.push(`The student is writing in ${name}. Always answer in ${name}, even when the documents or earlier messages are in English. Keep document titles, names, codes and figures as they are written.`)
+  }
+
+  if (department) {
+    sections.push(`The student is in the ${department} department. When documents differ by department, answer for ${department} unless they ask about another department.`)
+  }
+
+  if (settings.tone) {
+    sections.push(`Tone: ${settings.tone}`)
+  }
+
+  if (summary) {
+    sections.push(`Summary of the earlier conversation with this student:
+${summary}
+
+Use it to follow up on what was already discussed, but prefer the documents for facts.`)
+  }
+
+  if (contextText) {
+    sections.push(`You have access to the following information from college documents:
+
+${contextText}
+
+Use this information to answer the student's questions accurately.
+If the information is in the documents above, cite it in your response.
+When a document lists effective or valid-until dates, mention the date the information applies from or until.`)
+  } else {
+    sections.push('Answer the student\'s questions about the college to the best of your ability.')
+  }
+
+  sections.push(`${settings.refusal_message}
+Format your response using Markdown (bold, lists, etc.) where appropriate.`)
+
+  for (const canned of settings.canned_answers) {
+    sections.push(`IMPORTANT: If anyone asks ${canned.question}, respond with:
+"${canned.answer}"`)
+  }
+
+  return sections.join('\n\n')
+}
@@ -0,0 +1,178 @@
+-- User management for the /admin/users page. Every function runs with elevated
+-- rights (it reads auth.users and ends sessions), so each checks the caller's
+-- manage_users permission itself.
+-- Run after roles_setup.sql.
+
+-- 1. Disabled accounts
+alter table profiles
+add column if not exists disabled_at timestamp with time zone,
+add column if not exists disabled_by uuid references auth.users;
+
+-- "Users can update own profile." must not let a disabled user re-enable themselves
+create or replace function guard_profile_disabled()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if (new.disabled_at is distinct from old.disabled_at or new.disabled_by is distinct from old.disabled_by)
+     and auth.uid() is not null and not has_permission('manage_users') then
+    raise exception 'Only user managers can disable accounts';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_guard_disabled on profiles;
+create trigger profiles_guard_disabled
+before update on profiles
+for each row execute function guard_profile_disabled();
+
+-- 2. List users with their activity, newest first. total_count is the number of
+-- matching users, for paging.
+create or replace function list_users(
+  p_search text default null,
+  p_limit int default 50,
+  p_offset int default 0
+)
+returns table (
+  id uuid,
+  email text,
+  full_name text,
+  role text,
+  department text,
+  disabled_at timestamp with time zone,
+  created_at timestamp with time zone,
+  last_active_at timestamp with time zone,
+  message_count bigint,
+  total_count bigint
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not has_permission('manage_users') then
+    raise exception 'You cannot manage users';
+  end if;
+
+  return query
+  select
+    profiles.id,
+    profiles.email,
+    profiles.full_name,
+    profiles.role,
+    profiles.department,
+    profiles.disabled_at,
+    profiles.created_at,
+    greatest(users.last_sign_in_at, activity.last_message_at) as last_active_at,
+    coalesce(activity.message_count, 0) as message_count,
+    count(*) over () as total_count
+  from profiles
+  left join auth.users users on users.id = profiles.id
+  left join lateral (
+    select count(*) as message_count, max(chat_messages.created_at) as last_message_at
+    from chat_messages
+    where chat_messages.user_id = profiles.id
+  ) activity on true
+  where p_search is null or p_search = ''
+     or profiles.email ilike '%' || p_search || '%'
+     or profiles.full_name ilike '%' || p_search || '%'
+  order by profiles.created_at desc
+  limit least(greatest(p_limit, 1), 200)
+  offset greatest(p_offset, 0);
+end;
+$$;
+
+-- 3. Change a user's role and department
+create or replace function set_user_role(p_user_id uuid, p_role text, p_department text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not has_permission('manage_users') then
+    raise exception 'You cannot manage users';
+  end if;
+
+  if p_user_id = auth.uid() and p_role is distinct from current_user_role() then
+    raise exception 'You cannot change your own role';
+  end if;
+
+  if not exists ( select 1 from roles where name = p_role ) then
+    raise exception 'Role % does not exist', p_role;
+  end if;
+
+  if p_role = 'dept_admin' and p_department is null then
+    raise exception 'Department admins need a department';
+  end if;
+
+  update profiles
+  set role = p_role, department = p_department
+  where id = p_user_id;
+
+  if not found then
+    raise exception 'User % does not exist', p_user_id;
+  end if;
+end;
+$$;
+
+-- 4. End all of a user's sessions. Access tokens already issued stay valid
+-- until they expire (an hour by default); chat-handler also rejects disabled users.
+create or replace function force_sign_out(p_user_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not has_permission('manage_users') then
+    raise exception 'You cannot manage users';
+  end if;
+
+  delete from auth.sessions where user_id = p_user_id;
+end;
+$$;
+
+-- 5. Disable (ban and sign out) or re-enable an account
+create or replace function set_user_disabled(p_user_id uuid, p_disabled boolean)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not has_permission('manage_users') then
+    raise exception 'You cannot manage users';
+  end if;
+
+  if p_user_id = auth.uid() then
+    raise exception 'You cannot disable your own account';
+  end if;
+
+  update auth.users
+  set banned_until = case when p_disabled then 'infinity'::timestamptz else null end
+  where id = p_user_id;
+
+  if not found then
+    raise exception 'User % does not exist', p_user_id;
+  end if;
+
+  update profiles
+  set disabled_at = case when p_disabled then timezone('utc'::text, now()) else null end,
+      disabled_by = case when p_disabled then auth.uid() else null end
+  where id = p_user_id;
+
+  if p_disabled then
+    delete from auth.sessions where user_id = p_user_id;
+  end if;
+end;
+$$;
+
+revoke execute on function list_users(text, int, int) from anon;
+revoke execute on function set_user_role(uuid, text, text) from anon;
+revoke execute on function force_sign_out(uuid) from anon;
+revoke execute on function set_user_disabled(uuid, boolean) from anon;
@@ -0,0 +1,203 @@
+-- Document versions. Replacing a document uploads the new file as a new row in
+-- the same version group and retires the old row from retrieval, keeping its
+-- text and passages for history and diffs.
+-- Run after chunking_setup.sql, hybrid_search_setup.sql and ingestion_setup.sql.
+
+-- 1. Version columns
+alter table documents
+add column if not exists version_group_id bigint,
+add column if not exists version int not null default 1,
+add column if not exists is_active boolean not null default true,
+add column if not exists replaced_at timestamp with time zone;
+
+-- Existing documents start their own group
+update documents set version_group_id = id where version_group_id is null;
+
+-- New documents start their own group too
+create or replace function set_document_version_group()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.version_group_id := coalesce(new.version_group_id, new.id);
+  return new;
+end;
+$$;
+
+drop trigger if exists documents_version_group on documents;
+create trigger documents_version_group
+before insert on documents
+for each row execute function set_document_version_group();
+
+create index if not exists idx_documents_version_group
+on documents(version_group_id, version);
+
+-- At most one active version per group
+create unique index if not exists idx_documents_active_version
+on documents(version_group_id) where is_active;
+
+-- Queued replacements remember which document they replace
+alter table ingestion_jobs
+add column if not exists replaces_document_id bigint references documents on delete set null;
+
+-- 2. Make a freshly ingested document the active version of another's group
+create or replace function publish_document_version(p_old_id bigint, p_new_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_group_id bigint;
+  v_version int;
+begin
+  if not exists ( select 1 from profiles where id = auth.uid() and is_admin = true ) then
+    raise exception 'Only admins can replace documents';
+  end if;
+
+  select version_group_id into v_group_id from documents where id = p_old_id;
+  if v_group_id is null then
+    raise exception 'Document % does not exist', p_old_id;
+  end if;
+
+  select max(version) + 1 into v_version from documents where version_group_id = v_group_id;
+
+  update documents
+  set is_active = false, replaced_at = timezone('utc'::text, now())
+  where version_group_id = v_group_id and is_active;
+
+  update documents
+  set version_group_id = v_group_id, version = v_version, is_active = true
+  where id = p_new_id;
+end;
+$$;
+
+revoke execute on function publish_document_version(bigint, bigint) from anon;
+
+-- 3. Retrieval only considers active versions
+create or replace function match_documents (
+  query_embedding vector(768),
+  match_threshold float,
+  match_count int
+)
+returns table (
+  id bigint,
+  title text,
+  file_type text,
+  chunk_id bigint,
+  chunk_index int,
+  page_number int,
+  content text,
+  similarity float
+)
+language plpgsql
+as $$
+begin
+  return query
+  select
+    documents.id,
+    documents.title,
+    documents.file_type,
+    document_chunks.id as chunk_id,
+    document_chunks.chunk_index,
+    document_chunks.page_number,
+    document_chunks.content,
+    1 - (document_chunks.embedding <=> query_embedding) as similarity
+  from document_chunks
+  join documents on documents.id = document_chunks.document_id
+  where documents.is_active
+    and 1 - (document_chunks.embedding <=> query_embedding) > match_threshold
+  order by document_chunks.embedding <=> query_embedding
+  limit match_count;
+end;
+$$;
+
+create or replace function hybrid_search_documents (
+  query_text text,
+  query_embedding vector(768),
+  match_count int,
+  match_threshold float default 0.5,
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50
+)
+returns table (
+  id bigint,
+  title text,
+  file_type text,
+  chunk_id bigint,
+  chunk_index int,
+  page_number int,
+  content text,
+  similarity float,
+  keyword_rank int,
+  semantic_rank int,
+  score float
+)
+language plpgsql
+as $$
+declare
+  -- Match any of the question's terms rather than all of them
+  keyword_query tsquery := to_tsquery(
+    'english',
+    coalesce(array_to_string(tsvector_to_array(to_tsvector('english', query_text)), ' | '), '')
+  );
+begin
+  return query
+  with active_chunks as (
+    select document_chunks.*
+    from document_chunks
+    join documents on documents.id = document_chunks.document_id
+    where documents.is_active
+  ),
+  semantic as (
+    select
+      active_chunks.id,
+      row_number() over (order by active_chunks.embedding <=> query_embedding)::int as rank
+    from active_chunks
+    where 1 - (active_chunks.embedding <=> query_embedding) > match_threshold
+    order by active_chunks.embedding <=> query_embedding
+    limit match_count * 4
+  ),
+  keyword as (
+    select
+      active_chunks.id,
+      row_number() over (
+        order by ts_rank_cd(active_chunks.fts, keyword_query)
+          + word_similarity(query_text, active_chunks.content) desc
+      )::int as rank
+    from active_chunks
+    where active_chunks.fts @@ keyword_query
+       or query_text <% active_chunks.content
+    order by rank
+    limit match_count * 4
+  ),
+  fused as (
+    select
+      coalesce(semantic.id, keyword.id) as id,
+      keyword.rank as keyword_rank,
+      semantic.rank as semantic_rank,
+      coalesce(semantic_weight / (rrf_k + semantic.rank), 0.0)
+        + coalesce(full_text_weight / (rrf_k + keyword.rank), 0.0) as score
+    from semantic
+    full outer join keyword on semantic.id = keyword.id
+  )
+  select
+    documents.id,
+    documents.title,
+    documents.file_type,
+    document_chunks.id as chunk_id,
+    document_chunks.chunk_index,
+    document_chunks.page_number,
+    document_chunks.content,
+    1 - (document_chunks.embedding <=> query_embedding) as similarity,
+    fused.keyword_rank,
+    fused.semantic_rank,
+    fused.score
+  from fused
+  join document_chunks on document_chunks.id = fused.id
+  join documents on documents.id = document_chunks.document_id
+  order by fused.score desc
+  limit match_count;
+end;
+$$;
@@ -1,7 +1,44 @@
+import { readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { dirname, join } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const packageDir = (name, from = import.meta.url) => dirname(createRequire(from).resolve(`${name}/package.json`))
+
+// The Tesseract worker, wasm cores and English training data, served from
+// /tesseract/ so OCR works without reaching a CDN (see src/lib/pdf.js).
+// tesseract.js picks the core that matches the browser's SIMD support.
+const TESSERACT_ASSETS = {
+  'tesseract/worker.min.js': join(packageDir('tesseract.js'), 'dist/worker.min.js'),
+  ...Object.fromEntries(
+    ['tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js', 'tesseract-core-relaxedsimd-lstm.wasm.js']
+      .map((name) => [`tesseract/core/${name}`, join(packageDir('tesseract.js-core', join(packageDir('tesseract.js'), 'package.json')), name)])
+  ),
+  'tesseract/lang/eng.traineddata.gz': join(packageDir('@tesseract.js-data/eng'), '4.0.0_best_int/eng.traineddata.gz'),
+}
+
+function tesseractAssets() {
+  return {
+    name: 'tesseract-assets',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const path = req.url?.split('?')[0].slice(server.config.base.length)
+        if (!TESSERACT_ASSETS[path]) return next()
+
+        res.setHeader('Content-Type', path.endsWith('.js') ? 'text/javascript' : 'application/octet-stream')
+        res.end(readFileSync(TESSERACT_ASSETS[path]))
+      })
+    },
+    generateBundle() {
+      for (const [fileName, source] of Object.entries(TESSERACT_ASSETS)) {
+        this.emitFile({ type: 'asset', fileName, source: readFileSync(source) })
+      }
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), tesseractAssets()],
 })